@@ -3,38 +3,109 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 const MongoUtil = require('./utilities/MongoUtil');
+const DatabaseUtil = require('./utilities/DatabaseUtil');
 const ObjectId = require('mongodb').ObjectId;
 const BcryptUtil = require('./utilities/BcryptUtil');
-
-// --- Setup Express App ---
-const app = express();
-
-// Enable CORS
-app.use(cors());
-
-// Enable form processing
-app.use(
-	express.urlencoded({
-		extended: false
-	})
-);
-
-// Enable JSON data processing
-app.use(express.json());
+const TokenUtil = require('./utilities/TokenUtil');
+const RatingUtil = require('./utilities/RatingUtil');
+const RateLimitUtil = require('./utilities/RateLimitUtil');
+const BrewLogUtil = require('./utilities/BrewLogUtil');
+const ScaleUtil = require('./utilities/ScaleUtil');
+const UnitUtil = require('./utilities/UnitUtil');
+const SearchUtil = require('./utilities/SearchUtil');
+const PaginationUtil = require('./utilities/PaginationUtil');
+const MigrationUtil = require('./utilities/MigrationUtil');
+const ExportUtil = require('./utilities/ExportUtil');
+const MongoRepository = require('./repositories/MongoRepository');
 
 // --- Global variables ---
 const MONGO_URI = process.env.MONGO_URI;
 const PORT = process.env.PORT || 3000;
+const TOKEN_SECRET = process.env.TOKEN_SECRET;
+const TOKEN_EXPIRY = process.env.TOKEN_EXPIRY || '1d';
+const EMAIL_KEY_SECRET = process.env.EMAIL_KEY_SECRET;
+const RATING_PRIOR = RatingUtil.getRatingPrior(
+	process.env.RATING_PRIOR_MEAN,
+	process.env.RATING_PRIOR_WEIGHT
+);
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD);
+const RATE_LIMITS = RateLimitUtil.getRateLimits(
+	process.env.RATE_LIMIT_WINDOW_SECONDS,
+	process.env.RATE_LIMIT_CLIENT_MAX,
+	process.env.RATE_LIMIT_USER_MAX
+);
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY) || false;
 
-const DB_NAME = 'coffee_talk';
-const DB_COLLECTION = {
-	recipes: 'recipes',
-	favorites: 'favorites',
-	beans: 'beans',
-	grinders: 'grinders',
-	brewers: 'brewers',
-	methods: 'methods'
-};
+const DB_NAME = DatabaseUtil.DB_NAME;
+
+// Environment variables that the server cannot run without (checked when the server starts)
+// -> MONGO_URI to connect to the database, TOKEN_SECRET to sign and verify access tokens
+//    and EMAIL_KEY_SECRET to link favorites kept by email key (see migration 004)
+const REQUIRED_ENV_VARIABLES = [
+	'MONGO_URI',
+	'TOKEN_SECRET',
+	'EMAIL_KEY_SECRET'
+];
+
+const ROAST_LEVELS = ['Light', 'Medium Light', 'Medium', 'Medium Dark', 'Dark'];
+const EQUIPMENT_TYPES = ['Manual', 'Electric'];
+
+// Name of the favorite list used by /favorites (created when the first recipe is added)
+const DEFAULT_FAVORITE_LIST_NAME = 'Favorites';
+const FAVORITE_LIST_NAME_MAX_LENGTH = 50;
+
+// Sort orders of reviews of a recipe (default is newest first)
+const REVIEW_SORTS = ['newest', 'highest', 'lowest', 'helpful'];
+
+// Number of latest reviews included with a recipe (all reviews are paginated by /recipes/:recipe_id/reviews)
+const RECIPE_REVIEW_PREVIEW_LIMIT = 3;
+
+// Reason codes of reports of recipes and reviews ('other' requires details)
+const REPORT_REASONS = ['spam', 'abuse', 'offensive', 'misleading', 'other'];
+const REPORT_DETAILS_MAX_LENGTH = 500;
+
+// Actions of admins to resolve reports ('hide' hides the reported content, 'dismiss' shows it again)
+const REPORT_ACTIONS = ['hide', 'dismiss'];
+
+// Default number of open reports after which content is hidden until it is moderated
+const DEFAULT_REPORT_HIDE_THRESHOLD = 3;
+
+// Request methods that are rate limited (see checkWriteRateLimit)
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Maximum score and TDS (total dissolved solids, in %) of brews and maximum length of their tasting notes
+const BREW_SCORE_MAX = 10;
+const BREW_TDS_MAX = 25;
+const BREW_TASTING_NOTES_MAX_LENGTH = 500;
+
+// Idempotency keys of requests that create records (see checkIdempotencyKey)
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+const IDEMPOTENCY_KEY_EXPIRY_HOURS = 24;
+
+// Fields of recipe document that are kept in version history (editable fields)
+const RECIPE_VERSIONED_FIELDS = [
+	'image_url',
+	'recipe_name',
+	'description',
+	'total_brew_time',
+	'total_brew_time_seconds',
+	'brew_yield',
+	'brew_yield_ml',
+	'brewing_method',
+	'coffee_beans',
+	'coffee_rest_period',
+	'amount_of_coffee',
+	'grinder',
+	'grind_setting',
+	'amount_of_water',
+	'amount_of_water_ml',
+	'brew_ratio',
+	'water_temperature',
+	'additional_ingredients',
+	'brewer',
+	'additional_equipment',
+	'steps'
+];
 
 const IMAGE_URLS = [
 	'https://images.unsplash.com/photo-1585146205802-0a24b48fa5ce?ixlib=rb-1.2.1&ixid=MnwxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8&auto=format&fit=crop&w=1936&q=80',
@@ -49,41 +120,149 @@ const IMAGE_URLS = [
 	'https://images.unsplash.com/photo-1561882468-9110e03e0f78?ixlib=rb-1.2.1&ixid=MnwxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8&auto=format&fit=crop&w=687&q=80'
 ];
 
-// --- Main ---
-async function main() {
-	// Connect to database
-	const db = await MongoUtil.connect(MONGO_URI, DB_NAME);
+// --- Setup Express App ---
+// Function to create the Express app with all routes
+// -> repositories store the records of all collections (see repositories/)
+// -> options are { tokenSecret, tokenExpiry } used to sign and verify access tokens
+//    and { emailKeySecret } used to link favorites kept by email key (see migration 004)
+//    and { reportHideThreshold } which is the number of open reports after which content is hidden
+//    and { rateLimits } which are the limits of write requests (see RateLimitUtil.getRateLimits)
+//    and { trustProxy } which is the number of proxies in front of the server (eg. 1 on Heroku)
+function createApp(repositories, options) {
+	const app = express();
+
+	// Trust the client IP address forwarded by proxies (used for rate limits)
+	if (options.trustProxy) {
+		app.set('trust proxy', options.trustProxy);
+	}
+
+	// Enable CORS
+	app.use(cors());
+
+	// Enable form processing
+	app.use(
+		express.urlencoded({
+			extended: false
+		})
+	);
+
+	// Enable JSON data processing
+	app.use(express.json());
+
+	const tokenSecret = options.tokenSecret;
+	const tokenExpiry = options.tokenExpiry || '1d';
+	const emailKeySecret = options.emailKeySecret;
+	const reportHideThreshold =
+		options.reportHideThreshold || DEFAULT_REPORT_HIDE_THRESHOLD;
+	const rateLimits = options.rateLimits || RateLimitUtil.DEFAULT_RATE_LIMITS;
+	const clientRateLimiter = RateLimitUtil.createRateLimiter(
+		rateLimits.clientMax,
+		rateLimits.windowSeconds
+	);
+	const userRateLimiter = RateLimitUtil.createRateLimiter(
+		rateLimits.userMax,
+		rateLimits.windowSeconds
+	);
 
 	// --- Functions ---
-	async function getRecordById(collection, id) {
-		const record = await db.collection(DB_COLLECTION[collection]).findOne({
-			_id: ObjectId(id)
-		});
-		return record;
+	// Returns pagination details of a page to be sent together with the records
+	function getPageInfo(req, pagination, page) {
+		return PaginationUtil.buildPageInfo(
+			req.baseUrl + req.path,
+			req.query,
+			pagination,
+			page.count,
+			page.nextCursor,
+			page.prevCursor
+		);
 	}
 
-	async function populateRecipeFields(recipe) {
-		// Populate beans records
-		let beans = [];
-		for (let beanId of recipe.coffee_beans) {
-			let beanRecord = await getRecordById('beans', beanId);
-			beans.push(beanRecord);
+	// Populates recipes with referenced documents for beans, grinders, brewers and brewing methods
+	// Note: referenced documents of all recipes are fetched together (one query per collection)
+	async function populateRecipes(recipes) {
+		// Collect referenced IDs of all recipes
+		let beanIds = [];
+		let grinderIds = [];
+		let brewerIds = [];
+		let methodIds = [];
+		for (let recipe of recipes) {
+			beanIds = beanIds.concat(recipe.coffee_beans);
+			if (recipe.grinder) {
+				grinderIds.push(recipe.grinder);
+			}
+			brewerIds.push(recipe.brewer);
+			methodIds.push(recipe.brewing_method);
 		}
-		recipe.coffee_beans = beans;
 
-		// Populate grinder record
-		if (recipe.grinder) {
-			recipe.grinder = await getRecordById('grinders', recipe.grinder);
+		let [beans, grinders, brewers, methods] = await Promise.all([
+			repositories.catalogs.findByIds('beans', beanIds),
+			repositories.catalogs.findByIds('grinders', grinderIds),
+			repositories.catalogs.findByIds('brewers', brewerIds),
+			repositories.catalogs.findByIds('methods', methodIds)
+		]);
+
+		// Replace referenced IDs with records (null if record does not exist)
+		function getRecord(recordMap, id) {
+			return (id && recordMap.get(id.toString())) || null;
 		}
 
-		// Populate brewer record
-		recipe.brewer = await getRecordById('brewers', recipe.brewer);
+		for (let recipe of recipes) {
+			recipe.coffee_beans = recipe.coffee_beans.map((id) =>
+				getRecord(beans, id)
+			);
 
-		// Populate brewing method record
-		recipe.brewing_method = await getRecordById(
-			'methods',
-			recipe.brewing_method
-		);
+			if (recipe.grinder) {
+				recipe.grinder = getRecord(grinders, recipe.grinder);
+			}
+
+			recipe.brewer = getRecord(brewers, recipe.brewer);
+			recipe.brewing_method = getRecord(methods, recipe.brewing_method);
+		}
+	}
+
+	// Adds quantities of recipe converted to the preferred unit system
+	// Note: older recipes without canonical values are parsed from their display strings
+	function formatRecipeQuantities(recipe, preferences) {
+		let totalBrewTimeSeconds =
+			recipe.total_brew_time_seconds ||
+			UnitUtil.parseQuantity(recipe.total_brew_time, 'time');
+		let brewYieldMl =
+			recipe.brew_yield_ml ||
+			UnitUtil.parseQuantity(recipe.brew_yield, 'liquid');
+		let waterAmountMl =
+			recipe.amount_of_water_ml ||
+			UnitUtil.parseQuantity(recipe.amount_of_water, 'liquid');
+
+		// Compute brew ratio of older recipes that do not have it stored
+		if (!recipe.brew_ratio && waterAmountMl !== null) {
+			recipe.brew_ratio = UnitUtil.computeBrewRatio(
+				recipe.amount_of_coffee,
+				waterAmountMl
+			);
+		}
+
+		recipe.quantities = {
+			total_brew_time:
+				totalBrewTimeSeconds !== null
+					? UnitUtil.formatTime(totalBrewTimeSeconds)
+					: null,
+			brew_yield:
+				brewYieldMl !== null
+					? UnitUtil.formatLiquid(brewYieldMl, preferences.units)
+					: null,
+			amount_of_coffee: UnitUtil.formatMass(
+				recipe.amount_of_coffee,
+				preferences.units
+			),
+			amount_of_water:
+				waterAmountMl !== null
+					? UnitUtil.formatLiquid(waterAmountMl, preferences.units)
+					: null,
+			water_temperature: UnitUtil.formatTemperature(
+				recipe.water_temperature,
+				preferences.temperatureUnit
+			)
+		};
 	}
 
 	function sendSuccessResponse(res, code, data) {
@@ -110,6 +289,438 @@ async function main() {
 		});
 	}
 
+	function sendUnauthorizedError(res, data) {
+		res.status(401); // Unauthorized
+		res.json({
+			status: 'fail',
+			data: data
+		});
+	}
+
+	function sendForbiddenError(res, data) {
+		res.status(403); // Forbidden
+		res.json({
+			status: 'fail',
+			data: data
+		});
+	}
+
+	function sendConflictError(res, data) {
+		res.status(409); // Conflict
+		res.json({
+			status: 'fail',
+			data: data
+		});
+	}
+
+	function sendTooManyRequestsError(res, retryAfter) {
+		res.set('Retry-After', String(retryAfter)); // Seconds until next request is allowed
+		res.status(429); // Too many requests
+		res.json({
+			status: 'fail',
+			data: {
+				rate_limit:
+					'Too many requests, please try again in ' +
+					retryAfter +
+					' seconds'
+			}
+		});
+	}
+
+	// Middleware to limit the number of write requests (see WRITE_METHODS) of each client and each user
+	// -> clients are identified by IP address and users by their access token (if any)
+	// -> requests over the limits (see RateLimitUtil.getRateLimits) are rejected until the window ends
+	// Note: revoked tokens are not checked here (request is rejected by checkIfAuthenticated anyway)
+	function checkWriteRateLimit(req, res, next) {
+		if (!WRITE_METHODS.includes(req.method)) {
+			next();
+			return; // End function
+		}
+
+		let retryAfter = clientRateLimiter.hit(req.ip);
+
+		let authHeader = req.headers.authorization;
+		if (
+			!retryAfter &&
+			authHeader &&
+			authHeader.split(' ')[0] === 'Bearer'
+		) {
+			let payload = TokenUtil.verifyAccessToken(
+				authHeader.split(' ')[1],
+				tokenSecret
+			);
+			if (payload) {
+				retryAfter = userRateLimiter.hit(payload._id);
+			}
+		}
+
+		if (retryAfter) {
+			sendTooManyRequestsError(res, retryAfter);
+			return; // End function
+		}
+		next();
+	}
+
+	// Middleware to handle requests with an idempotency key (optional 'Idempotency-Key' header)
+	// so that a request sent more than once (eg. double-clicked submit) is only handled once
+	// -> repeated requests with the same key and body get the response of the first request
+	//    (with the 'Idempotent-Replayed' header) and keys cannot be reused for a different request
+	// -> only successful responses are kept, so a failed request can be retried with the same key
+	// (must be used after checkIfAuthenticated since keys are per user)
+	async function checkIdempotencyKey(req, res, next) {
+		let key = req.get('Idempotency-Key');
+		if (key === undefined) {
+			next();
+			return; // End function
+		}
+
+		key = key.trim();
+		if (!key || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+			sendInvalidError(res, {
+				idempotency_key:
+					'Idempotency key must be 1 to ' +
+					IDEMPOTENCY_KEY_MAX_LENGTH +
+					' characters'
+			});
+			return; // End function
+		}
+
+		let requestHash = TokenUtil.generateRequestHash(
+			req.method,
+			req.originalUrl,
+			req.body
+		);
+
+		let record;
+		try {
+			record = await repositories.idempotencyKeys.findByKey(
+				req.user._id,
+				key
+			);
+
+			// Remove expired key (also removed by MongoDB, see migration 007)
+			if (
+				record &&
+				Date.now() - record.date.getTime() >
+					IDEMPOTENCY_KEY_EXPIRY_HOURS * 60 * 60 * 1000
+			) {
+				await repositories.idempotencyKeys.delete(record._id);
+				record = null;
+			}
+
+			if (!record) {
+				let result = await repositories.idempotencyKeys.insert({
+					user_id: ObjectId(req.user._id),
+					key: key,
+					request_hash: requestHash,
+					response: null,
+					date: new Date()
+				});
+
+				if (result) {
+					saveIdempotentResponse(res, result.insertedId);
+					next();
+					return; // End function
+				}
+
+				// Key has just been added by a concurrent request with the same key
+				record = await repositories.idempotencyKeys.findByKey(
+					req.user._id,
+					key
+				);
+			}
+		} catch (err) {
+			sendDatabaseError(res);
+			return; // End function
+		}
+
+		if (record && record.request_hash !== requestHash) {
+			sendInvalidError(res, {
+				idempotency_key:
+					'Idempotency key has already been used for a different request'
+			});
+			return; // End function
+		}
+
+		if (!record || !record.response) {
+			sendConflictError(res, {
+				idempotency_key:
+					'A request with this idempotency key is still being processed'
+			});
+			return; // End function
+		}
+
+		res.set('Idempotent-Replayed', 'true');
+		res.status(record.response.status);
+		res.json(JSON.parse(record.response.body));
+	}
+
+	// Function to save the response of a request with an idempotency key before it is sent
+	// -> key is removed instead if the request was not successful
+	// Note: response is stored as JSON text since it is sent again as it is
+	function saveIdempotentResponse(res, id) {
+		let sendJson = res.json.bind(res);
+		res.json = function (body) {
+			let saving =
+				res.statusCode >= 200 && res.statusCode < 300
+					? repositories.idempotencyKeys.saveResponse(id, {
+							status: res.statusCode,
+							body: JSON.stringify(body)
+					  })
+					: repositories.idempotencyKeys.delete(id);
+
+			// Response is sent even if it cannot be saved
+			saving.catch(() => null).then(() => sendJson(body));
+			return res;
+		};
+	}
+
+	// Middleware to check that request contains a valid access token
+	// -> authenticated user's details will be available in req.user
+	async function checkIfAuthenticated(req, res, next) {
+		// Access token is expected in the format 'Bearer <token>'
+		let authHeader = req.headers.authorization;
+		if (!authHeader || authHeader.split(' ')[0] !== 'Bearer') {
+			sendUnauthorizedError(res, { token: 'Access token is required' });
+			return; // End function
+		}
+		let token = authHeader.split(' ')[1];
+
+		// Verify that token is signed by server and not expired
+		let payload = TokenUtil.verifyAccessToken(token, tokenSecret);
+		if (!payload) {
+			sendUnauthorizedError(res, {
+				token: 'Invalid or expired access token'
+			});
+			return; // End function
+		}
+
+		try {
+			// Check that token has not been revoked (ie. user has logged out)
+			if (await repositories.tokens.isRevoked(token)) {
+				sendUnauthorizedError(res, {
+					token: 'Access token has been revoked'
+				});
+				return; // End function
+			}
+		} catch (err) {
+			sendDatabaseError(res);
+			return; // End function
+		}
+
+		req.user = payload;
+		req.token = token;
+		next();
+	}
+
+	// Middleware to check that authenticated user is an admin
+	// (must be used after checkIfAuthenticated)
+	function checkIfAdmin(req, res, next) {
+		if (req.user.role !== 'admin') {
+			sendForbiddenError(res, { role: 'Admin access is required' });
+			return; // End function
+		}
+		next();
+	}
+
+	// Middleware to determine the unit system used for quantities in responses
+	// -> query strings take priority, followed by the preferences of the logged in user (if any)
+	// -> preferences will be available in req.unitPreferences
+	async function checkUnitPreferences(req, res, next) {
+		let { units, temperatureUnit } = req.query;
+		let errorData = {};
+
+		if (units && !UnitUtil.UNIT_SYSTEMS.includes(units)) {
+			errorData['units'] =
+				'Units must be one of: ' + UnitUtil.UNIT_SYSTEMS.join(', ');
+		}
+
+		if (
+			temperatureUnit &&
+			!UnitUtil.TEMPERATURE_UNITS.includes(temperatureUnit)
+		) {
+			errorData['temperatureUnit'] =
+				'Temperature Unit must be one of: ' +
+				UnitUtil.TEMPERATURE_UNITS.join(', ');
+		}
+
+		if (Object.keys(errorData).length > 0) {
+			sendInvalidError(res, errorData);
+			return; // End function
+		}
+
+		// Get saved preferences of user if access token is provided
+		// Note: invalid tokens are ignored since routes using this middleware are public
+		let savedPreferences = {};
+		let authHeader = req.headers.authorization;
+		let payload = authHeader
+			? TokenUtil.verifyAccessToken(authHeader.split(' ')[1], tokenSecret)
+			: null;
+
+		if (payload && (!units || !temperatureUnit)) {
+			try {
+				let userRecord = await repositories.users.findById(payload._id);
+				savedPreferences = (userRecord && userRecord.preferences) || {};
+			} catch (err) {
+				sendDatabaseError(res);
+				return; // End function
+			}
+		}
+
+		units = units || savedPreferences.units || 'metric';
+		temperatureUnit =
+			temperatureUnit ||
+			savedPreferences.temperature_unit ||
+			(units === 'imperial' ? 'F' : 'C');
+
+		req.unitPreferences = {
+			units: units,
+			temperatureUnit: temperatureUnit
+		};
+		next();
+	}
+
+	// Returns true if user is the owner of the recipe or an admin
+	// Note: older recipes without a user ID can only be managed by an admin
+	function checkRecipeAccess(recipe, user) {
+		if (user.role === 'admin') {
+			return true;
+		}
+		return Boolean(
+			recipe.user &&
+				recipe.user._id &&
+				recipe.user._id.toString() === user._id
+		);
+	}
+
+	// Middleware to check that authenticated user is allowed to modify the recipe
+	// (must be used after checkIfAuthenticated)
+	// -> recipe record will be available in req.recipe
+	async function checkIfRecipeOwner(req, res, next) {
+		// Extract recipe ID
+		let recipeId = req.params.recipe_id;
+
+		// Check that recipe ID is valid
+		if (!recipeId || !ObjectId.isValid(recipeId)) {
+			sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+			return; // End function
+		}
+
+		try {
+			let recipeRecord = await repositories.recipes.findById(recipeId);
+			if (!recipeRecord) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			if (!checkRecipeAccess(recipeRecord, req.user)) {
+				sendForbiddenError(res, {
+					recipe_id: 'Not allowed to modify recipe of another user'
+				});
+				return; // End function
+			}
+
+			req.recipe = recipeRecord;
+		} catch (err) {
+			sendDatabaseError(res);
+			return; // End function
+		}
+
+		next();
+	}
+
+	// Returns true if user is the author of the review or an admin
+	function checkReviewAccess(review, user) {
+		if (user.role === 'admin') {
+			return true;
+		}
+		return Boolean(
+			review.user_id && review.user_id.toString() === user._id
+		);
+	}
+
+	// Middleware to check that authenticated user is allowed to modify the review
+	// (must be used after checkIfAuthenticated)
+	// -> review element will be available in req.review
+	async function checkIfReviewOwner(req, res, next) {
+		// Extract recipe ID and review ID
+		let recipeId = req.params.recipe_id;
+		let reviewId = req.params.review_id;
+
+		// Check that recipe ID and review ID are valid
+		if (!recipeId || !ObjectId.isValid(recipeId)) {
+			sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+			return; // End function
+		}
+
+		if (!reviewId || !ObjectId.isValid(reviewId)) {
+			sendInvalidError(res, { review_id: 'Invalid review ID' });
+			return; // End function
+		}
+
+		try {
+			let review = await repositories.reviews.findById(
+				recipeId,
+				reviewId
+			);
+
+			if (!review) {
+				sendInvalidError(res, { review_id: 'Invalid review ID' });
+				return; // End function
+			}
+
+			if (!checkReviewAccess(review, req.user)) {
+				sendForbiddenError(res, {
+					review_id: 'Not allowed to modify review of another user'
+				});
+				return; // End function
+			}
+
+			req.review = review;
+		} catch (err) {
+			sendDatabaseError(res);
+			return; // End function
+		}
+
+		next();
+	}
+
+	async function checkIfFavoriteListOwner(req, res, next) {
+		// Extract favorite list ID
+		let listId = req.params.list_id;
+
+		// Check that favorite list ID is valid
+		if (!listId || !ObjectId.isValid(listId)) {
+			sendInvalidError(res, { list_id: 'Invalid favorite list ID' });
+			return; // End function
+		}
+
+		try {
+			let favoriteList = await repositories.favorites.findById(listId);
+
+			if (!favoriteList) {
+				sendInvalidError(res, { list_id: 'Invalid favorite list ID' });
+				return; // End function
+			}
+
+			// Favorite lists can only be accessed by their owner (others use share links)
+			if (!favoriteList.user_id.equals(req.user._id)) {
+				sendForbiddenError(res, {
+					list_id:
+						'Not allowed to access favorite list of another user'
+				});
+				return; // End function
+			}
+
+			req.favoriteList = favoriteList;
+		} catch (err) {
+			sendDatabaseError(res);
+			return; // End function
+		}
+
+		next();
+	}
+
 	function validateUrl(url) {
 		let regex = new RegExp(
 			/https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/gi
@@ -130,41 +741,34 @@ async function main() {
 		return false;
 	}
 
-	async function computeAverageRating(recipeId, newRating) {
-		// Returns the recalculated the new average_rating field of the recipe given new rating
-		let recipeRecord = await db.collection(DB_COLLECTION.recipes).findOne(
-			{
-				_id: ObjectId(recipeId)
-			},
-			{
-				projection: {
-					'reviews.rating': 1
-				}
-			}
-		);
-
-		let totalRating = 0;
-		for (let review of recipeRecord.reviews) {
-			totalRating += parseInt(review.rating);
-		}
+	// Returns an email in the form that it is stored and looked up in (trimmed and in lowercase)
+	function normaliseEmail(email) {
+		return email.trim().toLowerCase();
+	}
 
-		totalRating += newRating; // Include rating from new review
+	function validatePassword(password) {
+		// Password must be at least 8 characters long with at least one letter and one digit
+		let regex = new RegExp(/^(?=.*[A-Za-z])(?=.*\d).{8,}$/);
 
-		let newAverageRating = (
-			totalRating /
-			(recipeRecord.reviews.length + 1)
-		).toFixed(1); // Round to nearest 1 decimal place
-		newAverageRating = parseFloat(newAverageRating); // Convert back to float
+		if (password.match(regex)) {
+			return true;
+		}
+		return false;
+	}
 
-		return newAverageRating;
+	// Returns true if every item of an array is a string (eg. steps of recipes)
+	function isStringArray(array) {
+		return array.every((item) => typeof item === 'string');
 	}
 
-	// Function to validate and format coffee recipe fields (excluding username and email)
-	async function validateFormatRecipeFields(fieldObject) {
+	// Function to validate and format coffee recipe fields (excluding user details)
+	// -> newRecordIds (optional) are IDs of catalog records that are only created once the recipe is valid
+	// Note: text fields must be strings (same as the validator of the recipes collection, see migration 002)
+	async function validateFormatRecipeFields(fieldObject, newRecordIds) {
 		// Initialise an error log
 		let errorData = {};
 
-		// Get all fields for new coffee recipe (excluding username and email)
+		// Get all fields for new coffee recipe (excluding user details)
 		// Note: Total of 17 fields but 3 of them are optional
 		let {
 			imageUrl,
@@ -180,16 +784,22 @@ async function main() {
 			grindSetting,
 			waterAmount,
 			waterTemperature,
+			waterTemperatureUnit,
 			additionalIngredients,
 			brewer,
 			additionalEquipment,
 			steps
 		} = fieldObject;
 
+		// Canonical values of quantities (stored alongside display strings)
+		let totalBrewTimeSeconds = null;
+		let brewYieldMl = null;
+		let waterAmountMl = null;
+
 		// If imageUrl is provided, check that it is a valid URL
 		// else set imageUrl to a default image url
 		if (imageUrl) {
-			if (!validateUrl(imageUrl)) {
+			if (typeof imageUrl !== 'string' || !validateUrl(imageUrl)) {
 				errorData['imageUrl'] = 'Invalid image URL';
 			}
 		} else {
@@ -198,7 +808,9 @@ async function main() {
 
 		// Check that recipe name is provided (at least 5 characters)
 		if (recipeName) {
-			if (recipeName.length < 5) {
+			if (typeof recipeName !== 'string') {
+				errorData['recipeName'] = 'Recipe name must be a string';
+			} else if (recipeName.length < 5) {
 				errorData['recipeName'] =
 					'Recipe name must be at least 5 characters';
 			}
@@ -208,7 +820,9 @@ async function main() {
 
 		// Check that description is provided (at least 5 characters)
 		if (description) {
-			if (description.length < 5) {
+			if (typeof description !== 'string') {
+				errorData['description'] = 'Description must be a string';
+			} else if (description.length < 5) {
 				errorData['description'] =
 					'Description must be at least 5 characters';
 			}
@@ -217,40 +831,72 @@ async function main() {
 		}
 
 		// Check that total brew time is provided (format: '<num> <unit>')
-		if (totalBrewTime.split(' ').length === 2) {
-			// Check that the time component is numeric
-			if (
-				!totalBrewTime.split(' ')[0] ||
-				isNaN(totalBrewTime.split(' ')[0])
-			) {
+		// and convert to canonical value (seconds)
+		if (totalBrewTime) {
+			totalBrewTimeSeconds = UnitUtil.parseQuantity(
+				totalBrewTime,
+				'time'
+			);
+			if (totalBrewTimeSeconds === null) {
 				errorData['totalBrewTime'] =
-					'Invalid value specified for Total Brew Time';
+					'Total Brew Time must be in the format <num> <unit> (allowed units: ' +
+					UnitUtil.getAllowedUnits('time').join(', ') +
+					')';
 			}
 		} else {
 			errorData['totalBrewTime'] = 'Total Brew Time is a required field';
 		}
 
 		// Check that brew yield is provided (format: '<num> <unit>')
-		if (brewYield.split(' ').length === 2) {
-			// Check that the amount component is numeric
-			if (!brewYield.split(' ')[0] || isNaN(brewYield.split(' ')[0])) {
+		// and convert to canonical value (millilitres)
+		if (brewYield) {
+			brewYieldMl = UnitUtil.parseQuantity(brewYield, 'liquid');
+			if (brewYieldMl === null) {
 				errorData['brewYield'] =
-					'Invalid value specified for Brew Yield';
+					'Brew Yield must be in the format <num> <unit> (allowed units: ' +
+					UnitUtil.getAllowedUnits('liquid').join(', ') +
+					')';
 			}
 		} else {
 			errorData['brewYield'] = 'Brew Yield is a required field';
 		}
 
-		// Check that brewing method is provided
-		if (!brewingMethod) {
+		// Check that brewing method is provided and refers to an existing record
+		if (brewingMethod) {
+			if (!ObjectId.isValid(brewingMethod)) {
+				errorData['brewingMethod'] = 'Invalid Brewing Method ID';
+			} else if (
+				!(await checkRecordsExist(
+					'methods',
+					[brewingMethod],
+					newRecordIds
+				))
+			) {
+				errorData['brewingMethod'] = 'Brewing Method does not exist';
+			} else {
+				brewingMethod = ObjectId(brewingMethod);
+			}
+		} else {
 			errorData['brewingMethod'] = 'Brewing Method is a required field';
 		}
 
-		// Check that coffee beans are provided (array)
+		// Check that coffee beans are provided (array) and refer to existing records
 		if (Array.isArray(coffeeBeans)) {
 			if (coffeeBeans.length > 0) {
-				// Map to an array of ObjectIds
-				coffeeBeans = coffeeBeans.map((id) => ObjectId(id));
+				if (!coffeeBeans.every((id) => ObjectId.isValid(id))) {
+					errorData['coffeeBeans'] = 'Invalid Coffee Bean ID';
+				} else if (
+					!(await checkRecordsExist(
+						'beans',
+						coffeeBeans,
+						newRecordIds
+					))
+				) {
+					errorData['coffeeBeans'] = 'Coffee Bean does not exist';
+				} else {
+					// Map to an array of ObjectIds
+					coffeeBeans = coffeeBeans.map((id) => ObjectId(id));
+				}
 			} else {
 				errorData['coffeeBeans'] = 'Coffee Beans is a required field';
 			}
@@ -262,6 +908,9 @@ async function main() {
 		if (!coffeeRestPeriod) {
 			errorData['coffeeRestPeriod'] =
 				'Coffee Rest Period is a required field';
+		} else if (typeof coffeeRestPeriod !== 'string') {
+			errorData['coffeeRestPeriod'] =
+				'Coffee Rest Period must be a string';
 		}
 
 		// Check that coffee amount is provided (in grams)
@@ -275,36 +924,61 @@ async function main() {
 			errorData['coffeeAmount'] = 'Coffee Amount is a required field';
 		}
 
-		// Check that grinder is provided
-		if (!grinder) {
-			errorData['grinder'] = 'Grinder is a required field';
+		// Check that grinder is provided and refers to an existing record
+		if (grinder) {
+			if (!ObjectId.isValid(grinder)) {
+				errorData['grinder'] = 'Invalid Grinder ID';
+			} else if (
+				!(await checkRecordsExist('grinders', [grinder], newRecordIds))
+			) {
+				errorData['grinder'] = 'Grinder does not exist';
+			} else {
+				grinder = ObjectId(grinder);
+			}
+		} else {
+			errorData['grinder'] = 'Grinder is a required field';
 		}
 
 		// Check that grind setting is provided (string since different grinders have different way of specifying)
 		if (!grindSetting) {
 			errorData['grindSetting'] = 'Grind Setting is a required field';
+		} else if (typeof grindSetting !== 'string') {
+			errorData['grindSetting'] = 'Grind Setting must be a string';
 		}
 
 		// Check that water amount is provided (format: '<num> <unit>')
-		if (waterAmount.split(' ').length === 2) {
-			// Check that amount component is numeric
-			if (
-				!waterAmount.split(' ')[0] ||
-				isNaN(waterAmount.split(' ')[0])
-			) {
+		// and convert to canonical value (millilitres)
+		if (waterAmount) {
+			waterAmountMl = UnitUtil.parseQuantity(waterAmount, 'liquid');
+			if (waterAmountMl === null) {
 				errorData['waterAmount'] =
-					'Invalid value specified for Water Amount';
+					'Water Amount must be in the format <num> <unit> (allowed units: ' +
+					UnitUtil.getAllowedUnits('liquid').join(', ') +
+					')';
 			}
 		} else {
 			errorData['waterAmount'] = 'Water Amount is a required field';
 		}
 
 		// Check that water temperature is provided
+		// (unit defaults to degree Celsius and is converted to degree Celsius for storage)
+		waterTemperatureUnit = waterTemperatureUnit || 'C';
+		if (!UnitUtil.TEMPERATURE_UNITS.includes(waterTemperatureUnit)) {
+			errorData['waterTemperatureUnit'] =
+				'Water Temperature Unit must be one of: ' +
+				UnitUtil.TEMPERATURE_UNITS.join(', ');
+		}
+
 		if (waterTemperature) {
 			// Check that water temperature is numeric
 			if (isNaN(waterTemperature)) {
 				errorData['waterTemperature'] =
 					'Invalid value specified for Water Temperature';
+			} else {
+				waterTemperature = UnitUtil.convertToCelsius(
+					Number(waterTemperature),
+					waterTemperatureUnit
+				);
 			}
 		} else {
 			errorData['waterTemperature'] =
@@ -317,13 +991,26 @@ async function main() {
 			if (!Array.isArray(additionalIngredients)) {
 				errorData['additionalIngredients'] =
 					'Additional Ingredients must be an array';
+			} else if (!isStringArray(additionalIngredients)) {
+				errorData['additionalIngredients'] =
+					'Additional Ingredients must be an array of strings';
 			}
 		} else {
 			additionalIngredients = []; // default to an empty array if not specified
 		}
 
-		// Check that brewer is provided
-		if (!brewer) {
+		// Check that brewer is provided and refers to an existing record
+		if (brewer) {
+			if (!ObjectId.isValid(brewer)) {
+				errorData['brewer'] = 'Invalid Brewer ID';
+			} else if (
+				!(await checkRecordsExist('brewers', [brewer], newRecordIds))
+			) {
+				errorData['brewer'] = 'Brewer does not exist';
+			} else {
+				brewer = ObjectId(brewer);
+			}
+		} else {
 			errorData['brewer'] = 'Brewer is a required field';
 		}
 
@@ -333,6 +1020,9 @@ async function main() {
 			if (!Array.isArray(additionalEquipment)) {
 				errorData['additionalEquipment'] =
 					'Additional Equipment must be an array';
+			} else if (!isStringArray(additionalEquipment)) {
+				errorData['additionalEquipment'] =
+					'Additional Equipment must be an array of strings';
 			}
 		} else {
 			additionalEquipment = []; // default to an empty array if not specified
@@ -345,6 +1035,8 @@ async function main() {
 				errorData['steps'] = 'Steps must be an array';
 			} else if (steps.length === 0) {
 				errorData['steps'] = 'Steps cannot be an empty array';
+			} else if (!isStringArray(steps)) {
+				errorData['steps'] = 'Steps must be an array of strings';
 			}
 		} else {
 			errorData['steps'] = 'Steps is a required field';
@@ -369,10 +1061,145 @@ async function main() {
 			brewer,
 			additionalEquipment,
 			steps,
+			totalBrewTimeSeconds,
+			brewYieldMl,
+			waterAmountMl,
 			errorData
 		};
 	}
 
+	// Returns a review without the IDs of users who voted for it as helpful
+	function formatReview(review) {
+		let { helpful_votes, ...formattedReview } = review;
+		formattedReview.helpful_count = review.helpful_count || 0;
+		return formattedReview;
+	}
+
+	function validateFormatReportFields(fields) {
+		let { reason, details } = fields;
+		let errorData = {};
+
+		// Check that reason is one of the reason codes
+		if (!REPORT_REASONS.includes(reason)) {
+			errorData['reason'] =
+				'Reason must be one of: ' + REPORT_REASONS.join(', ');
+		}
+
+		// Check that details (optional unless reason is 'other') is a string
+		if (details === undefined || details === null) {
+			details = '';
+		}
+		if (typeof details !== 'string') {
+			errorData['details'] = 'Details must be a string';
+		} else if (details.length > REPORT_DETAILS_MAX_LENGTH) {
+			errorData['details'] =
+				'Details must be at most ' +
+				REPORT_DETAILS_MAX_LENGTH +
+				' characters';
+		} else if (reason === 'other' && !details.trim()) {
+			errorData['details'] = 'Details are required for other reasons';
+		}
+
+		return { reason, details, errorData };
+	}
+
+	// Adds a report of a recipe or review by the authenticated user
+	// -> target is { recipe_id, review_id } where review_id is null for recipes
+	// -> content is hidden when the number of open reports reaches reportHideThreshold
+	async function submitReport(req, res, target, targetType, isHidden) {
+		let { reason, details, errorData } = validateFormatReportFields(
+			req.body
+		);
+
+		if (Object.keys(errorData).length > 0) {
+			sendInvalidError(res, errorData);
+			return; // End function
+		}
+
+		// Check that user has not reported the same content yet
+		let existingReport = await repositories.reports.findByUser(
+			target,
+			req.user._id
+		);
+		if (existingReport) {
+			sendInvalidError(res, {
+				reason: 'Already reported by the user'
+			});
+			return; // End function
+		}
+
+		// Hide content until it is moderated if it has been reported too many times
+		// -> report that hides the content is marked so that dismissing its reports shows the content again
+		//    (content hidden by an admin stays hidden, see PUT /moderation/reports/:report_id)
+		let hidesContent =
+			!isHidden &&
+			(await repositories.reports.countOpen(target)) + 1 >=
+				reportHideThreshold;
+
+		let result = await repositories.reports.insert({
+			target_type: targetType,
+			recipe_id: ObjectId(target.recipe_id),
+			review_id: target.review_id ? ObjectId(target.review_id) : null,
+			reason: reason,
+			details: details,
+			user_id: ObjectId(req.user._id),
+			date: new Date(),
+			status: 'open',
+			hid_content: hidesContent
+		});
+
+		if (hidesContent) {
+			if (target.review_id) {
+				await repositories.reviews.setHidden(
+					target.recipe_id,
+					target.review_id,
+					true
+				);
+			} else {
+				await repositories.recipes.setHidden(target.recipe_id, true);
+			}
+		}
+
+		sendSuccessResponse(res, 201, result);
+	}
+
+	// Returns the details of the reported content of reports (null if content has been deleted)
+	async function getReportTargets(reports) {
+		let recipeMap = await repositories.recipes.findByIds(
+			reports.map((report) => report.recipe_id)
+		);
+
+		return reports.map(function (report) {
+			let recipe = recipeMap.get(report.recipe_id.toString());
+			if (!recipe) {
+				return null;
+			}
+
+			if (!report.review_id) {
+				return {
+					recipe_name: recipe.recipe_name,
+					username: recipe.user.username,
+					hidden: Boolean(recipe.hidden)
+				};
+			}
+
+			let review = recipe.reviews.find((review) =>
+				review._id.equals(report.review_id)
+			);
+			if (!review) {
+				return null;
+			}
+			return {
+				recipe_name: recipe.recipe_name,
+				title: review.title,
+				content: review.content,
+				rating: review.rating,
+				username: review.username,
+				hidden: Boolean(review.hidden)
+			};
+		});
+	}
+
 	function validateFormatReviewFields(fields) {
 		let { title, content, rating } = fields;
 		let errorData = {};
@@ -397,351 +1224,997 @@ async function main() {
 		return { title, content, rating, errorData };
 	}
 
-	function getRandomImageUrl() {
-		let imageCount = IMAGE_URLS.length;
-		let index = Math.floor(Math.random() * imageCount);
-		return IMAGE_URLS[index];
-	}
-
-	// --- Routes ---
-	app.get('/', function (req, res) {
-		res.send('Welcome to CoffeeTalk API');
-	});
-
-	// --- Routes: Recipes ---
-	// GET Endpoint to retrieve all coffee recipes
-	app.get('/recipes', async function (req, res) {
-		// Get query strings
-		// Note: beans is a comma-separated string of ids
-		// grinder, method, and brewer are ids
-		// sort is a string that is either 'date' or 'rating'
+	function validateFormatBeanFields(fields) {
 		let {
 			name,
-			beans,
-			grinder,
-			method,
-			brewer,
-			rating,
-			page,
-			limit,
-			sort
-		} = req.query;
-
+			roastLevel,
+			blend,
+			variety,
+			flavorNotes,
+			roaster,
+			origins
+		} = fields;
 		let errorData = {};
 
-		// Initialise criteria object
-		let criteria = {};
-
-		if (name) {
-			// Search for coffee recipe by name (case-insensitive)
-			criteria['recipe_name'] = {
-				$regex: name,
-				$options: 'i'
-			};
+		// Check that name is provided
+		if (!name) {
+			errorData['name'] = 'Name is a required field';
 		}
 
-		if (beans) {
-			// Convert beans into array of ObjectIds
-			beans = beans.split(',');
-			beans = beans.map((id) => ObjectId(id));
+		// Check that roast level is one of the accepted values
+		if (roastLevel) {
+			if (!ROAST_LEVELS.includes(roastLevel)) {
+				errorData['roastLevel'] =
+					'Roast Level must be one of: ' + ROAST_LEVELS.join(', ');
+			}
+		} else {
+			errorData['roastLevel'] = 'Roast Level is a required field';
+		}
 
-			// Filter coffee recipes by coffee beans
-			criteria['coffee_beans'] = {
-				$all: beans
-			};
+		// Check that blend is a boolean (accept 'true'/'false' from form processing)
+		if (blend === 'true' || blend === 'false') {
+			blend = blend === 'true';
+		}
+		if (typeof blend !== 'boolean') {
+			errorData['blend'] = 'Blend must be either true or false';
 		}
 
-		if (grinder) {
-			criteria['grinder'] = {
-				$eq: ObjectId(grinder)
-			};
+		// Check that variety is provided
+		if (!variety) {
+			errorData['variety'] = 'Variety is a required field';
 		}
 
-		if (method) {
-			criteria['brewing_method'] = {
-				$eq: ObjectId(method)
-			};
+		// Check if any flavor notes are provided (array) (optional field)
+		if (flavorNotes) {
+			if (!Array.isArray(flavorNotes)) {
+				errorData['flavorNotes'] = 'Flavor Notes must be an array';
+			}
+		} else {
+			flavorNotes = []; // default to an empty array if not specified
 		}
 
-		if (brewer) {
-			criteria['brewer'] = {
-				$eq: ObjectId(brewer)
-			};
+		// Check that roaster is provided
+		if (!roaster) {
+			errorData['roaster'] = 'Roaster is a required field';
 		}
 
-		// Filter recipes that have average rating of at least <rating>
-		if (rating) {
-			// Check that rating is numeric
-			if (!isNaN(rating)) {
-				criteria['average_rating'] = {
-					$gte: Number(rating)
-				};
-			} else {
-				errorData['rating'] = 'Invalid value specified for rating';
+		// Check that origins are provided (array)
+		if (Array.isArray(origins)) {
+			if (origins.length === 0) {
+				errorData['origins'] = 'Origins cannot be an empty array';
 			}
+		} else {
+			errorData['origins'] = 'Origins must be an array';
 		}
 
-		// If page is not specified, default value is 1
-		page = page ? page : 1;
+		return {
+			name,
+			roastLevel,
+			blend,
+			variety,
+			flavorNotes,
+			roaster,
+			origins,
+			errorData
+		};
+	}
 
-		// If limit is not specified, default value is 10
-		// otherwise, convert default query string value to int
-		limit = limit ? parseInt(limit) : 10;
+	// Function to validate and format grinder or brewer fields (both share the same shape)
+	function validateFormatEquipmentFields(fields) {
+		let { brand, model, type } = fields;
+		let errorData = {};
 
-		// If sort is not specified, default is by latest date (descending order)
-		// Return error message if sort is neither empty, 'date' nor 'rating'
-		if (!sort || sort === 'date') {
-			sortOption = {
-				date: -1
-			};
-		} else if (sort === 'rating') {
-			sortOption = {
-				average_rating: -1
-			};
-		} else {
-			errorData['sort'] = 'Invalid value specified for sort';
+		// Check that brand and model are provided
+		if (!brand) {
+			errorData['brand'] = 'Brand is a required field';
 		}
 
-		// Return error message if any errors found
-		if (Object.keys(errorData).length > 0) {
-			sendInvalidError(res, errorData);
-			return; // End the function
+		if (!model) {
+			errorData['model'] = 'Model is a required field';
 		}
 
-		try {
-			// Get total count of documents
-			let totalCount = await db
-				.collection(DB_COLLECTION.recipes)
-				.countDocuments(criteria);
-
-			// Calculate the total number of pages required (if each page has max of 10 documents)
-			let totalPages = Math.ceil(totalCount / 10);
-
-			// Get all coffee recipes records
-			// Note: Exclude user's email in projection since it is used for verification purposes
-			let recipes = await db
-				.collection(DB_COLLECTION.recipes)
-				.find(criteria, {
-					projection: {
-						'user.email': 0,
-						reviews: 0
-					}
-				})
-				.sort(sortOption)
-				.limit(limit)
-				.skip((page - 1) * limit)
-				.toArray();
-
-			// Populate each coffee recipe with referenced documents for beans, grinders, brewers and brewing methods
-			for (let recipe of recipes) {
-				await populateRecipeFields(recipe);
+		// Check that type is one of the accepted values
+		if (type) {
+			if (!EQUIPMENT_TYPES.includes(type)) {
+				errorData['type'] =
+					'Type must be one of: ' + EQUIPMENT_TYPES.join(', ');
 			}
+		} else {
+			errorData['type'] = 'Type is a required field';
+		}
 
-			// Data to be sent as response
-			let data = {
-				result: recipes,
-				count: totalCount,
-				pages: totalPages
-			};
+		return { brand, model, type, errorData };
+	}
 
-			sendSuccessResponse(res, 200, data);
-		} catch (err) {
-			sendDatabaseError(res);
+	function validateFormatMethodFields(fields) {
+		let { name } = fields;
+		let errorData = {};
+
+		// Check that name is provided
+		if (!name) {
+			errorData['name'] = 'Name is a required field';
 		}
-	});
 
-	// GET Endpoint to retrieve a single coffee recipe by id
-	app.get('/recipes/:recipe_id', async function (req, res) {
-		try {
-			// Extract recipe ID
-			let recipeId = req.params.recipe_id;
+		return { name, errorData };
+	}
 
-			// Check that recipe ID is valid
-			if (!recipeId || !ObjectId.isValid(recipeId)) {
-				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
-				return; // End function
-			}
+	function validateFormatFavoriteListFields(fields) {
+		let { name, notes, isPublic } = fields;
+		let errorData = {};
 
-			// Get coffee recipe record
-			const recipeRecord = await getRecordById('recipes', recipeId);
+		// Check that name is provided (and not too long)
+		if (!name || typeof name !== 'string' || !name.trim()) {
+			errorData['name'] = 'Name is a required field';
+		} else if (name.trim().length > FAVORITE_LIST_NAME_MAX_LENGTH) {
+			errorData['name'] =
+				'Name must be at most ' +
+				FAVORITE_LIST_NAME_MAX_LENGTH +
+				' characters';
+		} else {
+			name = name.trim();
+		}
 
-			if (recipeRecord) {
-				// Populate coffee recipe with fields from referenced documents
-				await populateRecipeFields(recipeRecord);
-				sendSuccessResponse(res, 200, { result: recipeRecord });
-			} else {
-				sendInvalidError(res, { id: 'Invalid coffee recipe ID' });
-			}
-		} catch (err) {
-			sendDatabaseError(res);
+		// Check that notes (optional) is a string
+		if (notes === undefined || notes === null) {
+			notes = '';
+		}
+		if (typeof notes !== 'string') {
+			errorData['notes'] = 'Notes must be a string';
 		}
-	});
 
-	// POST Endpoint to create a new coffee recipe
-	app.post('/recipes', async function (req, res) {
-		try {
-			// Get all fields that can be filled in for new coffee recipe and error log
-			// Note: Total of 17 fields but 3 of them are optional
-			let {
-				imageUrl,
-				recipeName,
-				description,
-				totalBrewTime,
-				brewYield,
-				brewingMethod,
-				coffeeBeans,
-				coffeeRestPeriod,
-				coffeeAmount,
-				grinder,
-				grindSetting,
-				waterAmount,
-				waterTemperature,
-				additionalIngredients,
-				brewer,
-				additionalEquipment,
-				steps,
-				errorData
-			} = await validateFormatRecipeFields(req.body);
+		// Check that isPublic (optional) is a boolean (accept 'true'/'false' from form processing)
+		if (isPublic === undefined) {
+			isPublic = false;
+		}
+		if (isPublic === 'true' || isPublic === 'false') {
+			isPublic = isPublic === 'true';
+		}
+		if (typeof isPublic !== 'boolean') {
+			errorData['isPublic'] = 'isPublic must be either true or false';
+		}
 
-			// Validate username and email
-			let { username, email } = req.body;
-			// Check that username is provided (at least 5 characters)
-			if (username) {
-				if (username.length < 5) {
-					errorData['username'] =
-						'Username must be at least 5 characters';
-				}
-			} else {
-				errorData['username'] = 'Username is a required field';
-			}
+		return { name, notes, isPublic, errorData };
+	}
 
-			// Check that email is provided
-			if (email) {
-				if (!validateEmail(email)) {
-					errorData['email'] = 'Invalid email address';
-				} else {
-					// Hash email
-					email = await BcryptUtil.hash(email);
-				}
-			} else {
-				errorData['email'] = 'Email is a required field';
-			}
+	// Returns the details of a favorite list for its owner
+	// -> share link is only included if the list is public
+	function getFavoriteListInfo(favoriteList) {
+		return {
+			_id: favoriteList._id,
+			name: favoriteList.name,
+			notes: favoriteList.notes || '',
+			recipe_count: favoriteList.coffee_recipes.length,
+			is_public: Boolean(favoriteList.share_token),
+			share_link: favoriteList.share_token
+				? '/favorites/shared/' + favoriteList.share_token
+				: null,
+			date: favoriteList.date,
+			date_modified: favoriteList.date_modified
+		};
+	}
 
-			// Return error message if there is any error so far
-			if (Object.keys(errorData).length > 0) {
-				sendInvalidError(res, errorData);
-				return; // End function
-			}
+	// Returns a page of recipes of a favorite list (in order of the list)
+	// populated with referenced documents and quantities in the preferred unit system
+	async function getFavoriteRecipesPage(
+		recipeIds,
+		pagination,
+		unitPreferences
+	) {
+		// Get recipes that can be displayed (hidden recipes are excluded, see moderation routes)
+		let recipeMap = await repositories.recipes.findByIds(recipeIds);
+		let visibleRecipes = recipeIds
+			.map((id) => recipeMap.get(id.toString()))
+			.filter((recipe) => recipe && !recipe.hidden);
+
+		// Get recipes of the page (offset pagination since favorites are kept in list order)
+		let pageResult = PaginationUtil.paginateArray(
+			visibleRecipes,
+			pagination
+		);
+		let recipes = pageResult.items;
 
-			// If no errors, proceed to create a new recipe in database
-			let newRecipe = {
-				image_url: imageUrl,
-				recipe_name: recipeName,
-				description: description,
-				average_rating: 0, // default is 0 since no reviews yet
-				user: {
-					username: username,
-					email: email
-				},
-				date: new Date(),
-				total_brew_time: totalBrewTime,
-				brew_yield: brewYield,
-				brewing_method: ObjectId(brewingMethod),
-				coffee_beans: coffeeBeans,
-				coffee_rest_period: coffeeRestPeriod,
-				amount_of_coffee: Number(coffeeAmount),
-				grinder: ObjectId(grinder),
-				grind_setting: grindSetting,
-				amount_of_water: waterAmount,
-				water_temperature: Number(waterTemperature),
-				additional_ingredients: additionalIngredients,
-				brewer: ObjectId(brewer),
-				additional_equipment: additionalEquipment,
-				steps: steps,
-				reviews: [] // empty array since no reviews yet
-			};
+		await populateRecipes(recipes);
+		for (let recipe of recipes) {
+			formatRecipeQuantities(recipe, unitPreferences);
+		}
 
-			let result = await db
-				.collection(DB_COLLECTION.recipes)
-				.insertOne(newRecipe);
+		return { recipes, pageResult };
+	}
 
-			sendSuccessResponse(res, 201, result);
-		} catch (err) {
-			sendDatabaseError(res);
+	// Returns the position of a recipe to be added to a favorite list
+	// -> position is optional (end of list) and must be an integer from 0 to the number of recipes
+	// -> returns null if position is invalid
+	function parseFavoritePosition(position, favoriteList) {
+		if (position === undefined || position === null || position === '') {
+			return undefined;
 		}
-	});
+		position = Number(position);
+		if (
+			!Number.isInteger(position) ||
+			position < 0 ||
+			position > favoriteList.coffee_recipes.length
+		) {
+			return null;
+		}
+		return position;
+	}
 
-	// POST Endpoint to verify if user has the credential to update/delete recipe
-	app.post('/recipes/:recipe_id/access', async function (req, res) {
-		try {
-			// Extract recipe ID
-			let recipeId = req.params.recipe_id;
+	// Returns the values of a recipe that its brews are compared with (see BrewLogUtil.getBrewSummary)
+	// -> yield ratio of recipe is computed from its brew yield (same as brews)
+	// Note: not the brew ratio of the recipe, which is computed from its amount of water
+	// Note: older recipes without canonical values are parsed from their display strings
+	function getRecipeBrewValues(recipe) {
+		let coffeeGrams = Number(recipe.amount_of_coffee) || null;
+		let brewYieldMl =
+			recipe.brew_yield_ml ||
+			UnitUtil.parseQuantity(recipe.brew_yield, 'liquid');
+		return {
+			amount_of_coffee: coffeeGrams,
+			yield_ratio: UnitUtil.computeBrewRatio(coffeeGrams, brewYieldMl),
+			brew_time_seconds:
+				recipe.total_brew_time_seconds ||
+				UnitUtil.parseQuantity(recipe.total_brew_time, 'time'),
+			brew_yield_ml: brewYieldMl
+		};
+	}
 
-			// Check that recipe ID is valid
-			if (!recipeId || !ObjectId.isValid(recipeId)) {
-				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
-				return; // End function
-			}
+	// Validates and formats the fields of a brew of a recipe
+	// -> bean, grinder and grind setting default to those of the recipe (first bean if recipe has several)
+	// -> roast date, TDS, tasting notes and score are optional
+	async function validateFormatBrewFields(fieldObject, recipe) {
+		let {
+			bean,
+			roastDate,
+			grinder,
+			grindSetting,
+			coffeeAmount,
+			brewTime,
+			brewYield,
+			tds,
+			tastingNotes,
+			score
+		} = fieldObject;
+		let errorData = {};
+
+		// Canonical values of quantities (stored alongside display strings)
+		let brewTimeSeconds = null;
+		let brewYieldMl = null;
+
+		// Check that bean (bag of coffee beans used) refers to an existing record
+		bean = bean || recipe.coffee_beans[0];
+		if (!bean) {
+			errorData['bean'] = 'Bean is a required field';
+		} else if (!ObjectId.isValid(bean)) {
+			errorData['bean'] = 'Invalid Coffee Bean ID';
+		} else if (!(await checkRecordsExist('beans', [bean]))) {
+			errorData['bean'] = 'Coffee Bean does not exist';
+		} else {
+			bean = ObjectId(bean);
+		}
 
-			// Get hashed email of the recipe's owner
-			let recipeRecord = await getRecordById('recipes', recipeId);
-			let hash = recipeRecord.user.email;
+		// Check that roast date of the bag (optional) is a valid date that is not in the future
+		if (roastDate) {
+			roastDate = new Date(roastDate);
+			if (isNaN(roastDate.getTime()) || roastDate > new Date()) {
+				errorData['roastDate'] =
+					'Roast Date must be a valid date that is not in the future';
+			}
+		} else {
+			roastDate = null;
+		}
 
-			// Get user's email
-			let email = req.body.email;
+		// Check that grinder refers to an existing record
+		grinder = grinder || recipe.grinder;
+		if (!grinder) {
+			errorData['grinder'] = 'Grinder is a required field';
+		} else if (!ObjectId.isValid(grinder)) {
+			errorData['grinder'] = 'Invalid Grinder ID';
+		} else if (!(await checkRecordsExist('grinders', [grinder]))) {
+			errorData['grinder'] = 'Grinder does not exist';
+		} else {
+			grinder = ObjectId(grinder);
+		}
 
-			// Return invalid error message if no or invalid email provided
-			if (!email || !validateEmail(email)) {
-				sendInvalidError(res, { email: 'Invalid email address' });
-			} else {
-				// Verify if email matches hashed email to determine owner of recipe
-				let verified = await BcryptUtil.compareHash(email, hash);
+		// Check that grind setting is provided (string since different grinders have different way of specifying)
+		grindSetting = grindSetting || recipe.grind_setting;
+		if (!grindSetting || typeof grindSetting !== 'string') {
+			errorData['grindSetting'] = 'Grind Setting is a required field';
+		}
 
-				// Send verification as response
-				sendSuccessResponse(res, 200, { result: verified });
+		// Check that coffee amount (actual dose in grams) is a positive number
+		if (coffeeAmount) {
+			coffeeAmount = Number(coffeeAmount);
+			if (isNaN(coffeeAmount) || coffeeAmount <= 0) {
+				errorData['coffeeAmount'] =
+					'Invalid value specified for Coffee Amount';
 			}
-		} catch (err) {
-			sendDatabaseError(res);
+		} else {
+			errorData['coffeeAmount'] = 'Coffee Amount is a required field';
 		}
-	});
-
-	// PUT Endpoint to update a coffee recipe
-	app.put('/recipes/:recipe_id', async function (req, res) {
-		try {
-			// Extract recipe ID
-			let recipeId = req.params.recipe_id;
 
-			// Check that recipe ID is valid
-			if (!recipeId || !ObjectId.isValid(recipeId)) {
-				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
-				return; // End function
+		// Check that brew time is provided (format: '<num> <unit>')
+		// and convert to canonical value (seconds)
+		if (brewTime) {
+			brewTimeSeconds = UnitUtil.parseQuantity(brewTime, 'time');
+			if (brewTimeSeconds === null) {
+				errorData['brewTime'] =
+					'Brew Time must be in the format <num> <unit> (allowed units: ' +
+					UnitUtil.getAllowedUnits('time').join(', ') +
+					')';
 			}
+		} else {
+			errorData['brewTime'] = 'Brew Time is a required field';
+		}
 
-			// Get all fields that can be filled in for coffee recipe and error log
-			// Note: Total of 17 fields but 3 of them are optional
-			// Note: username and email are fixed and not editable
+		// Check that brew yield is provided (format: '<num> <unit>')
+		// and convert to canonical value (millilitres)
+		if (brewYield) {
+			brewYieldMl = UnitUtil.parseQuantity(brewYield, 'liquid');
+			if (brewYieldMl === null) {
+				errorData['brewYield'] =
+					'Brew Yield must be in the format <num> <unit> (allowed units: ' +
+					UnitUtil.getAllowedUnits('liquid').join(', ') +
+					')';
+			}
+		} else {
+			errorData['brewYield'] = 'Brew Yield is a required field';
+		}
+
+		// Check that TDS (optional) is a percentage up to BREW_TDS_MAX
+		if (tds === undefined || tds === null || tds === '') {
+			tds = null;
+		} else {
+			tds = Number(tds);
+			if (isNaN(tds) || tds <= 0 || tds > BREW_TDS_MAX) {
+				errorData['tds'] =
+					'TDS must be a percentage greater than 0 and at most ' +
+					BREW_TDS_MAX;
+			}
+		}
+
+		// Check that tasting notes (optional) is a string
+		if (tastingNotes === undefined || tastingNotes === null) {
+			tastingNotes = '';
+		}
+		if (typeof tastingNotes !== 'string') {
+			errorData['tastingNotes'] = 'Tasting Notes must be a string';
+		} else if (tastingNotes.length > BREW_TASTING_NOTES_MAX_LENGTH) {
+			errorData['tastingNotes'] =
+				'Tasting Notes must be at most ' +
+				BREW_TASTING_NOTES_MAX_LENGTH +
+				' characters';
+		}
+
+		// Check that score (optional) is an integer from 1 to BREW_SCORE_MAX
+		if (score === undefined || score === null || score === '') {
+			score = null;
+		} else {
+			score = Number(score);
+			if (
+				!Number.isInteger(score) ||
+				score < 1 ||
+				score > BREW_SCORE_MAX
+			) {
+				errorData['score'] =
+					'Score must be an integer from 1 to ' + BREW_SCORE_MAX;
+			}
+		}
+
+		return {
+			bean,
+			roastDate,
+			grinder,
+			grindSetting,
+			coffeeAmount,
+			brewTime,
+			brewYield,
+			tds,
+			tastingNotes,
+			score,
+			brewTimeSeconds,
+			brewYieldMl,
+			errorData
+		};
+	}
+
+	// Returns the fields of a brew record from validated fields (see validateFormatBrewFields)
+	// -> yield ratio is grams of yield per gram of coffee and extraction yield (%) is computed from TDS
+	function getBrewRecord(fields) {
+		return {
+			bean: fields.bean,
+			roast_date: fields.roastDate,
+			grinder: fields.grinder,
+			grind_setting: fields.grindSetting,
+			amount_of_coffee: fields.coffeeAmount,
+			brew_time: fields.brewTime,
+			brew_time_seconds: fields.brewTimeSeconds,
+			brew_yield: fields.brewYield,
+			brew_yield_ml: fields.brewYieldMl,
+			yield_ratio: UnitUtil.computeBrewRatio(
+				fields.coffeeAmount,
+				fields.brewYieldMl
+			),
+			tds: fields.tds,
+			extraction_yield:
+				fields.tds !== null
+					? UnitUtil.round(
+							(fields.tds * fields.brewYieldMl) /
+								fields.coffeeAmount,
+							1
+					  )
+					: null,
+			tasting_notes: fields.tastingNotes,
+			score: fields.score
+		};
+	}
+
+	// Populates brews with their recipe ({ _id, recipe_name }) and referenced documents for bean and grinder
+	// -> recipe is null if it has been deleted (brews are kept in the history of the user)
+	async function populateBrews(brews) {
+		let [recipes, beans, grinders] = await Promise.all([
+			repositories.recipes.findByIds(brews.map((brew) => brew.recipe_id)),
+			repositories.catalogs.findByIds(
+				'beans',
+				brews.map((brew) => brew.bean)
+			),
+			repositories.catalogs.findByIds(
+				'grinders',
+				brews.map((brew) => brew.grinder)
+			)
+		]);
+
+		for (let brew of brews) {
+			let recipe = recipes.get(brew.recipe_id.toString());
+			brew.recipe = recipe
+				? { _id: recipe._id, recipe_name: recipe.recipe_name }
+				: null;
+			brew.bean = beans.get(brew.bean.toString()) || null;
+			brew.grinder = grinders.get(brew.grinder.toString()) || null;
+		}
+	}
+
+	// Middleware to check that authenticated user is the owner of a brew
+	// -> brew will be available in req.brew
+	// (must be used after checkIfAuthenticated)
+	async function checkIfBrewOwner(req, res, next) {
+		// Extract brew ID
+		let brewId = req.params.brew_id;
+
+		// Check that brew ID is valid
+		if (!brewId || !ObjectId.isValid(brewId)) {
+			sendInvalidError(res, { brew_id: 'Invalid brew ID' });
+			return; // End function
+		}
+
+		try {
+			let brew = await repositories.brewLogs.findById(brewId);
+
+			if (!brew) {
+				sendInvalidError(res, { brew_id: 'Invalid brew ID' });
+				return; // End function
+			}
+
+			// Brews can only be accessed by the user who logged them
+			if (!brew.user_id.equals(req.user._id)) {
+				sendForbiddenError(res, {
+					brew_id: 'Not allowed to access brew of another user'
+				});
+				return; // End function
+			}
+
+			req.brew = brew;
+		} catch (err) {
+			sendDatabaseError(res);
+			return; // End function
+		}
+
+		next();
+	}
+
+	// Returns the versioned fields of a recipe
+	function getRecipeSnapshot(recipe) {
+		let snapshot = {};
+		for (let field of RECIPE_VERSIONED_FIELDS) {
+			snapshot[field] =
+				recipe[field] === undefined ? null : recipe[field];
+		}
+		return snapshot;
+	}
+
+	// Returns the field-level differences between two recipe snapshots
+	// -> returns an array of { field, from, to }
+	function getRecipeChanges(oldSnapshot, newSnapshot) {
+		let changes = [];
+		for (let field of RECIPE_VERSIONED_FIELDS) {
+			// Compare as JSON so that arrays, dates and ObjectIds are compared by value
+			if (
+				JSON.stringify(oldSnapshot[field]) !==
+				JSON.stringify(newSnapshot[field])
+			) {
+				changes.push({
+					field: field,
+					from: oldSnapshot[field],
+					to: newSnapshot[field]
+				});
+			}
+		}
+		return changes;
+	}
+
+	// Adds a version of a recipe to its version history
+	// Note: older recipes created before version history have their current state saved as version 1 first
+	// -> returns the new version number
+	async function addRecipeVersion(recipe, newSnapshot, user, revertedFrom) {
+		let currentVersion = recipe.version;
+		if (!currentVersion) {
+			currentVersion = 1;
+			await repositories.recipeVersions.insert({
+				recipe_id: recipe._id,
+				version: currentVersion,
+				user: {
+					_id: recipe.user._id || null,
+					username: recipe.user.username
+				},
+				date: recipe.date,
+				changes: [],
+				snapshot: getRecipeSnapshot(recipe)
+			});
+		}
+
+		let newVersion = currentVersion + 1;
+		let newVersionRecord = {
+			recipe_id: recipe._id,
+			version: newVersion,
+			user: {
+				_id: ObjectId(user._id),
+				username: user.username
+			},
+			date: new Date(),
+			changes: getRecipeChanges(getRecipeSnapshot(recipe), newSnapshot),
+			snapshot: newSnapshot
+		};
+
+		if (revertedFrom) {
+			newVersionRecord.reverted_from = revertedFrom;
+		}
+
+		await repositories.recipeVersions.insert(newVersionRecord);
+
+		return newVersion;
+	}
+
+	// Creates a new recipe owned by user from validated recipe fields (see validateFormatRecipeFields)
+	// -> lineage contains fields that link a forked recipe to its source (optional)
+	// -> returns the result of inserting the recipe
+	async function insertRecipe(fields, user, lineage) {
+		let {
+			imageUrl,
+			recipeName,
+			description,
+			totalBrewTime,
+			brewYield,
+			brewingMethod,
+			coffeeBeans,
+			coffeeRestPeriod,
+			coffeeAmount,
+			grinder,
+			grindSetting,
+			waterAmount,
+			waterTemperature,
+			additionalIngredients,
+			brewer,
+			additionalEquipment,
+			steps,
+			totalBrewTimeSeconds,
+			brewYieldMl,
+			waterAmountMl
+		} = fields;
+
+		let newRecipe = {
+			image_url: imageUrl,
+			recipe_name: recipeName,
+			description: description,
+			user: {
+				_id: ObjectId(user._id),
+				username: user.username
+			},
+			date: new Date(),
+			total_brew_time: totalBrewTime,
+			total_brew_time_seconds: totalBrewTimeSeconds,
+			brew_yield: brewYield,
+			brew_yield_ml: brewYieldMl,
+			brewing_method: brewingMethod,
+			coffee_beans: coffeeBeans,
+			coffee_rest_period: coffeeRestPeriod,
+			amount_of_coffee: Number(coffeeAmount),
+			grinder: grinder,
+			grind_setting: grindSetting,
+			amount_of_water: waterAmount,
+			amount_of_water_ml: waterAmountMl,
+			brew_ratio: UnitUtil.computeBrewRatio(
+				Number(coffeeAmount),
+				waterAmountMl
+			),
+			water_temperature: waterTemperature,
+			additional_ingredients: additionalIngredients,
+			brewer: brewer,
+			additional_equipment: additionalEquipment,
+			steps: steps,
+			reviews: [], // empty array since no reviews yet
+			version: 1,
+			...lineage
+		};
+
+		// Note: rating fields (eg. average_rating) are computed from reviews by the repository
+		let result = await repositories.recipes.insert(newRecipe);
+
+		// Save first version of recipe in version history
+		await repositories.recipeVersions.insert({
+			recipe_id: result.insertedId,
+			version: 1,
+			user: newRecipe.user,
+			date: newRecipe.date,
+			changes: [],
+			snapshot: getRecipeSnapshot(newRecipe)
+		});
+
+		return result;
+	}
+
+	// Returns the fields of a recipe in the same format as the request body for creating a recipe
+	// (used to create a new recipe from an existing one)
+	function getRecipeFormFields(recipe) {
+		return {
+			imageUrl: recipe.image_url,
+			recipeName: recipe.recipe_name,
+			description: recipe.description,
+			totalBrewTime: recipe.total_brew_time,
+			brewYield: recipe.brew_yield,
+			brewingMethod:
+				recipe.brewing_method && recipe.brewing_method.toString(),
+			coffeeBeans: recipe.coffee_beans.map((id) => id.toString()),
+			coffeeRestPeriod: recipe.coffee_rest_period,
+			coffeeAmount: recipe.amount_of_coffee,
+			grinder: recipe.grinder && recipe.grinder.toString(),
+			grindSetting: recipe.grind_setting,
+			waterAmount: recipe.amount_of_water,
+			waterTemperature: recipe.water_temperature,
+			waterTemperatureUnit: 'C', // water temperature is stored in degree Celsius
+			additionalIngredients: recipe.additional_ingredients,
+			brewer: recipe.brewer && recipe.brewer.toString(),
+			additionalEquipment: recipe.additional_equipment,
+			steps: recipe.steps
+		};
+	}
+
+	// Sends exported recipes in the requested format
+	// Note: JSON is sent as a normal response, Markdown and CSV are sent as file downloads
+	async function sendRecipeExport(res, recipes, format, fileName) {
+		await populateRecipes(recipes);
+		let exportDocument = ExportUtil.buildExportDocument(recipes);
+
+		if (format === 'json') {
+			sendSuccessResponse(res, 200, exportDocument);
+			return;
+		}
+
+		let content =
+			format === 'csv'
+				? ExportUtil.renderCsv(exportDocument.recipes)
+				: ExportUtil.renderMarkdown(exportDocument.recipes);
+
+		res.status(200);
+		res.set('Content-Type', ExportUtil.getContentType(format));
+		res.attachment(ExportUtil.getFileName(fileName, format));
+		res.send(content);
+	}
+
+	// Validates an embedded catalog record of an imported recipe
+	// -> returns the record to be inserted, the criteria to find an existing record and an error log
+	// Note: records are matched in the same way as duplicates are checked when creating them
+	function validateFormatCatalogRecord(collection, record) {
+		record = record || {};
+
+		if (collection === 'beans') {
 			let {
-				imageUrl,
-				recipeName,
-				description,
-				totalBrewTime,
-				brewYield,
-				brewingMethod,
-				coffeeBeans,
-				coffeeRestPeriod,
-				coffeeAmount,
-				grinder,
-				grindSetting,
-				waterAmount,
-				waterTemperature,
-				additionalIngredients,
-				brewer,
-				additionalEquipment,
-				steps,
+				name,
+				roastLevel,
+				blend,
+				variety,
+				flavorNotes,
+				roaster,
+				origins,
+				errorData
+			} = validateFormatBeanFields({
+				name: record.name,
+				roastLevel: record.roast_level,
+				blend: record.blend,
+				variety: record.variety,
+				flavorNotes: record.flavor_notes,
+				roaster: record.roaster,
+				origins: record.origins
+			});
+
+			return {
+				newRecord: {
+					name: name,
+					roast_level: roastLevel,
+					blend: blend,
+					variety: variety,
+					flavor_notes: flavorNotes,
+					roaster: roaster,
+					origins: origins
+				},
+				criteria: { name: name, roaster: roaster },
 				errorData
-			} = await validateFormatRecipeFields(req.body);
+			};
+		}
+
+		if (collection === 'methods') {
+			let { name, errorData } = validateFormatMethodFields(record);
+			return {
+				newRecord: { name: name },
+				criteria: { name: name },
+				errorData
+			};
+		}
+
+		// Grinders and brewers
+		let { brand, model, type, errorData } =
+			validateFormatEquipmentFields(record);
+		return {
+			newRecord: { brand: brand, model: model, type: type },
+			criteria: { brand: brand, model: model },
+			errorData
+		};
+	}
+
+	// Returns the ID of an existing catalog record matching the criteria,
+	// otherwise the ID that the record is created with later
+	// -> records to be created are added to newRecords as { collection, record } (once for records
+	//    shared by several imported recipes) and are only inserted once all recipes are valid
+	async function resolveCatalogRecord(collection, catalogRecord, newRecords) {
+		let existingRecord = await repositories.catalogs.findDuplicate(
+			collection,
+			catalogRecord.criteria
+		);
+
+		if (existingRecord) {
+			return existingRecord._id;
+		}
+
+		let newRecord = newRecords.find(
+			(newRecord) =>
+				newRecord.collection === collection &&
+				Object.keys(catalogRecord.criteria).every(
+					(field) =>
+						newRecord.record[field] ===
+						catalogRecord.criteria[field]
+				)
+		);
+		if (!newRecord) {
+			newRecord = {
+				collection: collection,
+				record: { _id: ObjectId(), ...catalogRecord.newRecord }
+			};
+			newRecords.push(newRecord);
+		}
+		return newRecord.record._id;
+	}
+
+	// Adds highlighted snippets of fields of a populated recipe that match the search string
+	function addSearchHighlights(recipe, search) {
+		let beans = recipe.coffee_beans.filter((bean) => bean);
+		recipe.highlights = SearchUtil.getHighlights(
+			{
+				recipe_name: recipe.recipe_name,
+				description: recipe.description,
+				steps: recipe.steps,
+				additional_ingredients: recipe.additional_ingredients,
+				coffee_beans: beans.map((bean) => bean.name),
+				flavor_notes: [].concat(
+					...beans.map((bean) => bean.flavor_notes || [])
+				)
+			},
+			search
+		);
+	}
+
+	// Returns the filters for recipes based on query strings
+	// and logs any invalid values in errorData (used by recipe listing, facets and export)
+	// Note: beans is a comma-separated string of ids
+	// grinder, method, and brewer are ids
+	// search is a full-text search string
+	// -> filters are applied by the recipes repository (see repositories/)
+	function buildRecipeFilters(query, errorData) {
+		let { name, search, beans, grinder, method, brewer, rating } = query;
+
+		// Initialise filters object
+		let filters = {};
+
+		if (name) {
+			// Search for coffee recipe by name (case-insensitive)
+			filters.name = name;
+		}
+
+		if (search) {
+			// Full-text search across recipe name, description, steps, ingredients and beans
+			filters.search = search;
+		}
+
+		if (beans) {
+			// Convert beans into array of ObjectIds
+			beans = beans.split(',');
+			if (beans.every((id) => ObjectId.isValid(id))) {
+				filters.beans = beans.map((id) => ObjectId(id));
+			} else {
+				errorData['beans'] = 'Invalid coffee bean ID';
+			}
+		}
+
+		if (grinder) {
+			if (ObjectId.isValid(grinder)) {
+				filters.grinder = ObjectId(grinder);
+			} else {
+				errorData['grinder'] = 'Invalid grinder ID';
+			}
+		}
+
+		if (method) {
+			if (ObjectId.isValid(method)) {
+				filters.method = ObjectId(method);
+			} else {
+				errorData['method'] = 'Invalid brewing method ID';
+			}
+		}
+
+		if (brewer) {
+			if (ObjectId.isValid(brewer)) {
+				filters.brewer = ObjectId(brewer);
+			} else {
+				errorData['brewer'] = 'Invalid brewer ID';
+			}
+		}
+
+		// Filter recipes that have average rating of at least <rating>
+		if (rating) {
+			// Check that rating is numeric
+			if (!isNaN(rating)) {
+				filters.minRating = Number(rating);
+			} else {
+				errorData['rating'] = 'Invalid value specified for rating';
+			}
+		}
+
+		// Filter recipes by range of quantities (in canonical units)
+		// Note: brew ratio is grams of water per gram of coffee (eg. 15 for 1:15),
+		// brew time is in seconds, water temperature in degree Celsius, coffee dose in grams and yield in ml
+		filters.ranges = {};
+		addRangeFilter(filters, errorData, query, 'Ratio', 'brew_ratio');
+		addRangeFilter(
+			filters,
+			errorData,
+			query,
+			'BrewTime',
+			'total_brew_time_seconds'
+		);
+		addRangeFilter(
+			filters,
+			errorData,
+			query,
+			'Temperature',
+			'water_temperature'
+		);
+		addRangeFilter(filters, errorData, query, 'Coffee', 'amount_of_coffee');
+		addRangeFilter(filters, errorData, query, 'Yield', 'brew_yield_ml');
+
+		return filters;
+	}
+
+	// Adds a range filter on a recipe field from the min<name> and max<name> query strings
+	// (eg. minRatio and maxRatio) and logs any invalid values in errorData
+	function addRangeFilter(filters, errorData, query, name, field) {
+		let range = {};
+
+		let min = query['min' + name];
+		if (min !== undefined) {
+			if (min === '' || isNaN(min)) {
+				errorData['min' + name] =
+					'Invalid value specified for min' + name;
+			} else {
+				range.min = Number(min);
+			}
+		}
+
+		let max = query['max' + name];
+		if (max !== undefined) {
+			if (max === '' || isNaN(max)) {
+				errorData['max' + name] =
+					'Invalid value specified for max' + name;
+			} else {
+				range.max = Number(max);
+			}
+		}
+
+		if (range.min > range.max) {
+			errorData['min' + name] =
+				'min' + name + ' cannot be greater than max' + name;
+		}
+
+		if (Object.keys(range).length > 0) {
+			filters.ranges[field] = range;
+		}
+	}
+
+	// Returns true if every ID refers to an existing record of the collection
+	// Note: newRecordIds (optional) are IDs of records that are created after validation (see resolveCatalogRecord)
+	async function checkRecordsExist(collection, ids, newRecordIds) {
+		newRecordIds = newRecordIds || [];
+
+		// Remove empty, duplicate and new IDs so that count can be compared
+		let uniqueIds = [
+			...new Set(ids.filter((id) => id).map((id) => id.toString()))
+		].filter((id) => !newRecordIds.includes(id));
+		let count = await repositories.catalogs.countByIds(
+			collection,
+			uniqueIds
+		);
+		return count === uniqueIds.length;
+	}
+
+	function getRandomImageUrl() {
+		let imageCount = IMAGE_URLS.length;
+		let index = Math.floor(Math.random() * imageCount);
+		return IMAGE_URLS[index];
+	}
+
+	// --- Routes ---
+	app.use(checkWriteRateLimit);
+
+	app.get('/', function (req, res) {
+		res.send('Welcome to CoffeeTalk API');
+	});
+
+	// --- Routes: Users ---
+	// POST Endpoint to register a new user
+	app.post('/users/register', async function (req, res) {
+		let { username, email, password } = req.body;
+		let errorData = {};
+
+		try {
+			// Check that username is provided (at least 5 characters)
+			if (!username) {
+				errorData['username'] = 'Username is a required field';
+			} else if (typeof username !== 'string') {
+				errorData['username'] = 'Username must be a string';
+			} else if (username.length < 5) {
+				errorData['username'] =
+					'Username must be at least 5 characters';
+			}
+
+			// Check that email is provided
+			// Note: emails are stored in lowercase so that the same email cannot be registered twice
+			if (!email) {
+				errorData['email'] = 'Email is a required field';
+			} else if (typeof email !== 'string') {
+				errorData['email'] = 'Email must be a string';
+			} else {
+				email = normaliseEmail(email);
+				if (!validateEmail(email)) {
+					errorData['email'] = 'Invalid email address';
+				}
+			}
 
-			console.log(errorData);
+			// Check that password is provided
+			if (!password) {
+				errorData['password'] = 'Password is a required field';
+			} else if (
+				typeof password !== 'string' ||
+				!validatePassword(password)
+			) {
+				errorData['password'] =
+					'Password must be at least 8 characters with at least 1 letter and 1 digit';
+			}
 
 			// Return error message if there is any error so far
 			if (Object.keys(errorData).length > 0) {
@@ -749,470 +2222,3361 @@ async function main() {
 				return; // End function
 			}
 
-			// If no errors, proceed to update recipe in database
-			let updatedRecipe = {
-				image_url: imageUrl,
-				recipe_name: recipeName,
-				description: description,
-				date: new Date(), // Set new date time
-				total_brew_time: totalBrewTime,
-				brew_yield: brewYield,
-				brewing_method: ObjectId(brewingMethod),
-				coffee_beans: coffeeBeans,
-				coffee_rest_period: coffeeRestPeriod,
-				amount_of_coffee: Number(coffeeAmount),
-				grinder: ObjectId(grinder),
-				grind_setting: grindSetting,
-				amount_of_water: waterAmount,
-				water_temperature: Number(waterTemperature),
-				additional_ingredients: additionalIngredients,
-				brewer: ObjectId(brewer),
-				additional_equipment: additionalEquipment,
-				steps: steps
+			// Check that email is not already registered
+			let userRecord = await repositories.users.findByEmail(email);
+
+			if (userRecord) {
+				sendInvalidError(res, { email: 'Email is already registered' });
+				return; // End function
+			}
+
+			// If no errors, proceed to create a new user in database
+			let newUser = {
+				username: username,
+				email: email,
+				password: await BcryptUtil.hash(password),
+				role: 'user', // admin role can only be assigned directly in database
+				date_joined: new Date()
 			};
 
-			let result = await db.collection(DB_COLLECTION.recipes).updateOne(
-				{
-					_id: ObjectId(recipeId)
-				},
-				{
-					$set: updatedRecipe
-				}
+			let result = await repositories.users.insert(newUser);
+
+			// Email may have been registered by another request in the meantime
+			if (!result) {
+				sendInvalidError(res, { email: 'Email is already registered' });
+				return; // End function
+			}
+
+			// Link favorites saved with the email before the user account existed
+			if (emailKeySecret) {
+				await repositories.favorites.claimByEmailKey(
+					TokenUtil.generateEmailKey(email, emailKeySecret),
+					result.insertedId
+				);
+			}
+
+			sendSuccessResponse(res, 201, result);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// POST Endpoint to log in and get an access token
+	app.post('/users/login', async function (req, res) {
+		let { email, password } = req.body;
+
+		try {
+			// Check that both email and password are provided
+			if (
+				!email ||
+				!password ||
+				typeof email !== 'string' ||
+				typeof password !== 'string'
+			) {
+				sendInvalidError(res, {
+					login: 'Email and password are required fields'
+				});
+				return; // End function
+			}
+
+			// Get user record and verify password
+			let userRecord = await repositories.users.findByEmail(
+				normaliseEmail(email)
+			);
+
+			if (
+				!userRecord ||
+				!(await BcryptUtil.compareHash(password, userRecord.password))
+			) {
+				sendUnauthorizedError(res, {
+					login: 'Invalid email or password'
+				});
+				return; // End function
+			}
+
+			// Generate access token with user's details (excluding password)
+			let accessToken = TokenUtil.generateAccessToken(
+				{
+					_id: userRecord._id.toString(),
+					username: userRecord.username,
+					email: userRecord.email,
+					role: userRecord.role
+				},
+				tokenSecret,
+				tokenExpiry
+			);
+
+			sendSuccessResponse(res, 200, { accessToken: accessToken });
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// POST Endpoint to log out (revokes the current access token)
+	app.post('/users/logout', checkIfAuthenticated, async function (req, res) {
+		try {
+			// Note: revoked token is kept until it expires (see migration 009)
+			let result = await repositories.tokens.revoke(
+				req.token,
+				req.user.exp ? new Date(req.user.exp * 1000) : null
+			);
+
+			sendSuccessResponse(res, 200, result);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// PUT Endpoint to update unit preferences of the logged in user
+	app.put(
+		'/users/preferences',
+		checkIfAuthenticated,
+		async function (req, res) {
+			let { units, temperatureUnit } = req.body;
+			let errorData = {};
+
+			// Check that units is one of the accepted values
+			if (!UnitUtil.UNIT_SYSTEMS.includes(units)) {
+				errorData['units'] =
+					'Units must be one of: ' + UnitUtil.UNIT_SYSTEMS.join(', ');
+			}
+
+			// Check that temperature unit is one of the accepted values
+			if (!UnitUtil.TEMPERATURE_UNITS.includes(temperatureUnit)) {
+				errorData['temperatureUnit'] =
+					'Temperature Unit must be one of: ' +
+					UnitUtil.TEMPERATURE_UNITS.join(', ');
+			}
+
+			if (Object.keys(errorData).length > 0) {
+				sendInvalidError(res, errorData);
+				return; // End function
+			}
+
+			try {
+				let result = await repositories.users.updatePreferences(
+					req.user._id,
+					{
+						units: units,
+						temperature_unit: temperatureUnit
+					}
+				);
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// --- Routes: Recipes ---
+	// GET Endpoint to retrieve all coffee recipes
+	app.get('/recipes', checkUnitPreferences, async function (req, res) {
+		// Get query strings
+		// Note: sort is a string that is either 'date', 'rating' or 'relevance' (search only)
+		// (see buildRecipeFilters for filter query strings)
+		let { search, sort } = req.query;
+
+		// Get filters from filter query strings
+		let errorData = {};
+		let filters = buildRecipeFilters(req.query, errorData);
+
+		// Get page, limit and cursor from pagination query strings
+		let pagination = PaginationUtil.parsePagination(req.query);
+		Object.assign(errorData, pagination.errorData);
+
+		// If sort is not specified, default is by relevance for full-text search
+		// otherwise by latest date (descending order)
+		// Return error message if sort is neither empty, 'date', 'rating' nor 'relevance'
+		if (!sort) {
+			sort = search ? 'relevance' : 'date';
+		}
+
+		if (sort === 'relevance') {
+			if (!search) {
+				errorData['sort'] = 'Sort by relevance requires a search query';
+			}
+		} else if (sort !== 'date' && sort !== 'rating') {
+			errorData['sort'] = 'Invalid value specified for sort';
+		}
+
+		// Return error message if any errors found
+		if (Object.keys(errorData).length > 0) {
+			sendInvalidError(res, errorData);
+			return; // End the function
+		}
+
+		try {
+			// Get a page of coffee recipes records (without reviews)
+			// Note: recipes include their relevance score for full-text search
+			let pageResult = await repositories.recipes.findPage(
+				filters,
+				sort,
+				pagination
+			);
+
+			if (!pageResult) {
+				sendInvalidError(res, { cursor: 'Invalid cursor' });
+				return; // End the function
+			}
+
+			let recipes = pageResult.records;
+
+			// Populate each coffee recipe with referenced documents for beans, grinders, brewers and brewing methods
+			// and quantities in the preferred unit system
+			await populateRecipes(recipes);
+			for (let recipe of recipes) {
+				formatRecipeQuantities(recipe, req.unitPreferences);
+
+				// Add highlighted snippets of matches for full-text search
+				if (search) {
+					addSearchHighlights(recipe, search);
+				}
+			}
+
+			// Data to be sent as response
+			let data = {
+				result: recipes,
+				...getPageInfo(req, pagination, pageResult)
+			};
+
+			sendSuccessResponse(res, 200, data);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// GET Endpoint to retrieve counts of recipes per filter value (for the current filter criteria)
+	// Note: must be defined before /recipes/:recipe_id so that 'facets' is not treated as an ID
+	app.get('/recipes/facets', async function (req, res) {
+		let errorData = {};
+
+		// Get filters from filter query strings (same as GET /recipes)
+		let filters = buildRecipeFilters(req.query, errorData);
+
+		// Return error message if any errors found
+		if (Object.keys(errorData).length > 0) {
+			sendInvalidError(res, errorData);
+			return; // End the function
+		}
+
+		try {
+			let facets = await repositories.recipes.getFacets(filters);
+
+			// Data to be sent as response
+			let data = {
+				result: {
+					brewing_method: facets.brewing_method,
+					brewer: facets.brewer,
+					grinder: facets.grinder,
+					coffee_beans: facets.coffee_beans,
+					roast_level: facets.roast_level,
+					rating: facets.rating
+				},
+				count: facets.count
+			};
+
+			sendSuccessResponse(res, 200, data);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// --- Routes: Recipe Import/Export (Part of recipes) ---
+	// GET Endpoint to export multiple coffee recipes (JSON, Markdown or CSV)
+	// Note: ids is a comma-separated string of recipe ids, otherwise recipes are
+	// selected with the same filters as GET /recipes (latest first, up to the maximum page limit)
+	// Note: must be defined before /recipes/:recipe_id so that 'export' is not treated as an ID
+	app.get('/recipes/export', async function (req, res) {
+		let { ids, format } = req.query;
+		let errorData = {};
+
+		// If format is not specified, default is JSON
+		format = format || 'json';
+		if (!ExportUtil.EXPORT_FORMATS.includes(format)) {
+			errorData['format'] =
+				'Format must be one of ' + ExportUtil.EXPORT_FORMATS.join(', ');
+		}
+
+		let filters = {};
+		if (ids) {
+			let recipeIds = ids.split(',');
+			if (recipeIds.length > PaginationUtil.MAX_LIMIT) {
+				errorData['ids'] =
+					'At most ' +
+					PaginationUtil.MAX_LIMIT +
+					' recipes can be exported';
+			} else if (!recipeIds.every((id) => ObjectId.isValid(id))) {
+				errorData['ids'] = 'Invalid recipe ID';
+			} else {
+				filters.ids = recipeIds.map((id) => ObjectId(id));
+			}
+		} else {
+			filters = buildRecipeFilters(req.query, errorData);
+		}
+
+		// Return error message if any errors found
+		if (Object.keys(errorData).length > 0) {
+			sendInvalidError(res, errorData);
+			return; // End the function
+		}
+
+		try {
+			let recipes = await repositories.recipes.findMany(
+				filters,
+				PaginationUtil.MAX_LIMIT
+			);
+
+			await sendRecipeExport(res, recipes, format, 'recipes');
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// POST Endpoint to import coffee recipes exported by GET /recipes/export or /recipes/:recipe_id/export
+	// Note: request body is either an exported JSON document ({ recipes: [...] }) or a single exported recipe
+	// Imported recipes are owned by the logged in user, and beans, grinders, brewers and
+	// brewing methods are matched to existing records (or created if they do not exist)
+	app.post(
+		'/recipes/import',
+		checkIfAuthenticated,
+		checkIdempotencyKey,
+		async function (req, res) {
+			let importRecipes = (
+				Array.isArray(req.body.recipes) ? req.body.recipes : [req.body]
+			).map((importRecipe) => importRecipe || {});
+
+			if (
+				importRecipes.length === 0 ||
+				importRecipes.length > PaginationUtil.MAX_LIMIT
+			) {
+				sendInvalidError(res, {
+					recipes:
+						'Number of recipes must be from 1 to ' +
+						PaginationUtil.MAX_LIMIT
+				});
+				return; // End function
+			}
+
+			// Validate embedded catalog records of all recipes before creating any records
+			let errorData = {};
+			let catalogRecords = importRecipes.map(function (
+				importRecipe,
+				index
+			) {
+				let recipeErrors = {};
+
+				let coffeeBeans = Array.isArray(importRecipe.coffee_beans)
+					? importRecipe.coffee_beans
+					: [];
+				if (coffeeBeans.length === 0) {
+					recipeErrors['coffee_beans'] =
+						'Coffee beans must be a non-empty list';
+				}
+
+				let records = {
+					beans: coffeeBeans.map((bean) =>
+						validateFormatCatalogRecord('beans', bean)
+					),
+					brewer: validateFormatCatalogRecord(
+						'brewers',
+						importRecipe.brewer
+					),
+					brewingMethod: validateFormatCatalogRecord(
+						'methods',
+						importRecipe.brewing_method
+					),
+					// Grinder is optional
+					grinder: importRecipe.grinder
+						? validateFormatCatalogRecord(
+								'grinders',
+								importRecipe.grinder
+						  )
+						: null
+				};
+
+				records.beans.forEach(function (bean, beanIndex) {
+					if (Object.keys(bean.errorData).length > 0) {
+						recipeErrors['coffee_beans[' + beanIndex + ']'] =
+							bean.errorData;
+					}
+				});
+				if (Object.keys(records.brewer.errorData).length > 0) {
+					recipeErrors['brewer'] = records.brewer.errorData;
+				}
+				if (Object.keys(records.brewingMethod.errorData).length > 0) {
+					recipeErrors['brewing_method'] =
+						records.brewingMethod.errorData;
+				}
+				if (
+					records.grinder &&
+					Object.keys(records.grinder.errorData).length > 0
+				) {
+					recipeErrors['grinder'] = records.grinder.errorData;
+				}
+
+				if (Object.keys(recipeErrors).length > 0) {
+					errorData['recipes[' + index + ']'] = recipeErrors;
+				}
+				return records;
+			});
+
+			if (Object.keys(errorData).length > 0) {
+				sendInvalidError(res, errorData);
+				return; // End function
+			}
+
+			try {
+				// Resolve catalog records and validate recipe fields of all recipes
+				// Note: missing catalog records are only created once all recipes are valid
+				let newRecords = [];
+				let recipeFields = [];
+				for (let index = 0; index < importRecipes.length; index++) {
+					let importRecipe = importRecipes[index];
+					let records = catalogRecords[index];
+
+					let beanIds = [];
+					for (let bean of records.beans) {
+						beanIds.push(
+							await resolveCatalogRecord(
+								'beans',
+								bean,
+								newRecords
+							)
+						);
+					}
+
+					let formFields = getRecipeFormFields({
+						...importRecipe,
+						coffee_beans: beanIds,
+						brewer: await resolveCatalogRecord(
+							'brewers',
+							records.brewer,
+							newRecords
+						),
+						brewing_method: await resolveCatalogRecord(
+							'methods',
+							records.brewingMethod,
+							newRecords
+						),
+						grinder: records.grinder
+							? await resolveCatalogRecord(
+									'grinders',
+									records.grinder,
+									newRecords
+							  )
+							: null
+					});
+					formFields.waterTemperatureUnit =
+						importRecipe.water_temperature_unit || 'C';
+
+					let fields = await validateFormatRecipeFields(
+						formFields,
+						newRecords.map((newRecord) =>
+							newRecord.record._id.toString()
+						)
+					);
+					if (Object.keys(fields.errorData).length > 0) {
+						errorData['recipes[' + index + ']'] = fields.errorData;
+					}
+					recipeFields.push(fields);
+				}
+
+				// Return error message if any recipe is invalid (no recipes are imported)
+				if (Object.keys(errorData).length > 0) {
+					sendInvalidError(res, errorData);
+					return; // End function
+				}
+
+				for (let newRecord of newRecords) {
+					await repositories.catalogs.insert(
+						newRecord.collection,
+						newRecord.record
+					);
+				}
+
+				let insertedIds = [];
+				for (let fields of recipeFields) {
+					let result = await insertRecipe(fields, req.user);
+					insertedIds.push(result.insertedId);
+				}
+
+				sendSuccessResponse(res, 201, {
+					insertedCount: insertedIds.length,
+					insertedIds: insertedIds
+				});
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// GET Endpoint to export a single coffee recipe (JSON, Markdown or CSV)
+	app.get('/recipes/:recipe_id/export', async function (req, res) {
+		// Extract recipe ID
+		let recipeId = req.params.recipe_id;
+		let format = req.query.format || 'json';
+
+		// Check that recipe ID and format are valid
+		if (!recipeId || !ObjectId.isValid(recipeId)) {
+			sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+			return; // End function
+		}
+
+		if (!ExportUtil.EXPORT_FORMATS.includes(format)) {
+			sendInvalidError(res, {
+				format:
+					'Format must be one of ' +
+					ExportUtil.EXPORT_FORMATS.join(', ')
+			});
+			return; // End function
+		}
+
+		try {
+			let [recipeRecord] = await repositories.recipes.findMany(
+				{ ids: [ObjectId(recipeId)] },
+				1
+			);
+
+			if (!recipeRecord) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			await sendRecipeExport(
+				res,
+				[recipeRecord],
+				format,
+				'recipe-' + recipeId
+			);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// GET Endpoint to retrieve a single coffee recipe by id
+	app.get(
+		'/recipes/:recipe_id',
+		checkUnitPreferences,
+		async function (req, res) {
+			try {
+				// Extract recipe ID
+				let recipeId = req.params.recipe_id;
+
+				// Check that recipe ID is valid
+				if (!recipeId || !ObjectId.isValid(recipeId)) {
+					sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+					return; // End function
+				}
+
+				// Get coffee recipe record with only its latest reviews (newest first)
+				// Note: all reviews are paginated by /recipes/:recipe_id/reviews
+				const recipeRecord =
+					await repositories.recipes.findWithLatestReviews(
+						recipeId,
+						RECIPE_REVIEW_PREVIEW_LIMIT
+					);
+
+				// Note: hidden recipes (see moderation routes) cannot be viewed
+				if (recipeRecord && !recipeRecord.hidden) {
+					recipeRecord.reviews = recipeRecord.reviews
+						.reverse()
+						.map(formatReview);
+
+					// Populate coffee recipe with fields from referenced documents
+					await populateRecipes([recipeRecord]);
+					formatRecipeQuantities(recipeRecord, req.unitPreferences);
+					sendSuccessResponse(res, 200, { result: recipeRecord });
+				} else {
+					sendInvalidError(res, { id: 'Invalid coffee recipe ID' });
+				}
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// GET Endpoint to retrieve the rating distribution of a coffee recipe
+	// -> rating_histogram is the number of reviews for each star rating ('1' to '5')
+	// -> weighted_rating is the Bayesian rating used to sort recipes by rating
+	app.get('/recipes/:recipe_id/ratings', async function (req, res) {
+		// Extract recipe ID
+		let recipeId = req.params.recipe_id;
+
+		// Check that recipe ID is valid
+		if (!recipeId || !ObjectId.isValid(recipeId)) {
+			sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+			return; // End function
+		}
+
+		try {
+			let recipeRecord = await repositories.recipes.findById(recipeId);
+
+			// Note: hidden recipes (see moderation routes) cannot be viewed
+			if (!recipeRecord || recipeRecord.hidden) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			let data = {
+				result: {
+					average_rating: recipeRecord.average_rating,
+					weighted_rating: recipeRecord.weighted_rating,
+					review_count: recipeRecord.review_count,
+					rating_histogram: recipeRecord.rating_histogram
+				}
+			};
+
+			sendSuccessResponse(res, 200, data);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// GET Endpoint to retrieve a coffee recipe scaled to a brew yield or an amount of coffee
+	// -> either yield (format: '<num> <unit>', eg. yield=500 ml) or coffee (grams, eg. coffee=36) is required
+	// -> scaling has the factor that quantities are scaled by and the values that could not be scaled
+	//    automatically (see ScaleUtil.scaleRecipe)
+	app.get(
+		'/recipes/:recipe_id/scaled',
+		checkUnitPreferences,
+		async function (req, res) {
+			// Extract recipe ID
+			let recipeId = req.params.recipe_id;
+
+			// Check that recipe ID is valid
+			if (!recipeId || !ObjectId.isValid(recipeId)) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			let targetYield = req.query.yield;
+			let targetCoffee = req.query.coffee;
+			let errorData = {};
+			let targetYieldMl = null;
+
+			if ((targetYield === undefined) === (targetCoffee === undefined)) {
+				errorData['scale'] = 'Either yield or coffee is required';
+			} else if (targetYield !== undefined) {
+				targetYieldMl = UnitUtil.parseQuantity(targetYield, 'liquid');
+				if (targetYieldMl === null) {
+					errorData['yield'] =
+						'Yield must be in the format <num> <unit> (allowed units: ' +
+						UnitUtil.getAllowedUnits('liquid').join(', ') +
+						')';
+				}
+			} else {
+				targetCoffee = Number(targetCoffee);
+				if (isNaN(targetCoffee) || targetCoffee <= 0) {
+					errorData['coffee'] =
+						'Coffee must be a positive number of grams';
+				}
+			}
+
+			if (Object.keys(errorData).length > 0) {
+				sendInvalidError(res, errorData);
+				return; // End function
+			}
+
+			try {
+				let recipeRecord = await repositories.recipes.findById(
+					recipeId
+				);
+
+				// Note: hidden recipes (see moderation routes) cannot be viewed
+				if (!recipeRecord || recipeRecord.hidden) {
+					sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+					return; // End function
+				}
+
+				// Scale by the ratio of the target to the recipe's brew yield or amount of coffee
+				// Note: older recipes without canonical values are parsed from their display strings
+				let factor;
+				if (targetYieldMl !== null) {
+					let brewYieldMl =
+						recipeRecord.brew_yield_ml ||
+						UnitUtil.parseQuantity(
+							recipeRecord.brew_yield,
+							'liquid'
+						);
+					if (!brewYieldMl) {
+						sendInvalidError(res, {
+							yield: 'Recipe does not have a brew yield that can be scaled'
+						});
+						return; // End function
+					}
+					factor = targetYieldMl / brewYieldMl;
+				} else {
+					let coffeeGrams = Number(recipeRecord.amount_of_coffee);
+					if (!coffeeGrams) {
+						sendInvalidError(res, {
+							coffee: 'Recipe does not have an amount of coffee that can be scaled'
+						});
+						return; // End function
+					}
+					factor = targetCoffee / coffeeGrams;
+				}
+
+				if (
+					factor < ScaleUtil.SCALE_FACTOR_MIN ||
+					factor > ScaleUtil.SCALE_FACTOR_MAX
+				) {
+					sendInvalidError(res, {
+						scale:
+							'Recipe can only be scaled from ' +
+							ScaleUtil.SCALE_FACTOR_MIN +
+							' to ' +
+							ScaleUtil.SCALE_FACTOR_MAX +
+							' times'
+					});
+					return; // End function
+				}
+
+				// Reviews are not included (see /recipes/:recipe_id/reviews)
+				delete recipeRecord.reviews;
+
+				let unscaled = ScaleUtil.scaleRecipe(recipeRecord, factor);
+
+				await populateRecipes([recipeRecord]);
+				formatRecipeQuantities(recipeRecord, req.unitPreferences);
+
+				let data = {
+					result: recipeRecord,
+					scaling: {
+						factor: UnitUtil.round(factor, 2),
+						unscaled: unscaled
+					}
+				};
+
+				sendSuccessResponse(res, 200, data);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// POST Endpoint to create a new coffee recipe
+	app.post(
+		'/recipes',
+		checkIfAuthenticated,
+		checkIdempotencyKey,
+		async function (req, res) {
+			try {
+				// Get all fields that can be filled in for new coffee recipe and error log
+				// Note: Total of 17 fields but 3 of them are optional
+				let fields = await validateFormatRecipeFields(req.body);
+
+				// Return error message if there is any error so far
+				if (Object.keys(fields.errorData).length > 0) {
+					sendInvalidError(res, fields.errorData);
+					return; // End function
+				}
+
+				// If no errors, proceed to create a new recipe in database
+				let result = await insertRecipe(fields, req.user);
+
+				sendSuccessResponse(res, 201, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// POST Endpoint to verify if user has the credential to update/delete recipe
+	app.post(
+		'/recipes/:recipe_id/access',
+		checkIfAuthenticated,
+		async function (req, res) {
+			try {
+				// Extract recipe ID
+				let recipeId = req.params.recipe_id;
+
+				// Check that recipe ID is valid
+				if (!recipeId || !ObjectId.isValid(recipeId)) {
+					sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+					return; // End function
+				}
+
+				// Get the recipe's owner
+				let recipeRecord = await repositories.recipes.findById(
+					recipeId
+				);
+				if (!recipeRecord) {
+					sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+					return; // End function
+				}
+
+				// Verify if authenticated user is the owner of recipe (or an admin)
+				let verified = checkRecipeAccess(recipeRecord, req.user);
+
+				// Send verification as response
+				sendSuccessResponse(res, 200, { result: verified });
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// PUT Endpoint to update a coffee recipe
+	app.put(
+		'/recipes/:recipe_id',
+		checkIfAuthenticated,
+		checkIfRecipeOwner,
+		async function (req, res) {
+			try {
+				// Extract recipe ID (already validated by checkIfRecipeOwner)
+				let recipeId = req.params.recipe_id;
+
+				// Get all fields that can be filled in for coffee recipe and error log
+				// Note: Total of 17 fields but 3 of them are optional
+				// Note: owner of recipe is fixed and not editable
+				let {
+					imageUrl,
+					recipeName,
+					description,
+					totalBrewTime,
+					brewYield,
+					brewingMethod,
+					coffeeBeans,
+					coffeeRestPeriod,
+					coffeeAmount,
+					grinder,
+					grindSetting,
+					waterAmount,
+					waterTemperature,
+					additionalIngredients,
+					brewer,
+					additionalEquipment,
+					steps,
+					totalBrewTimeSeconds,
+					brewYieldMl,
+					waterAmountMl,
+					errorData
+				} = await validateFormatRecipeFields(req.body);
+
+				// Return error message if there is any error so far
+				if (Object.keys(errorData).length > 0) {
+					sendInvalidError(res, errorData);
+					return; // End function
+				}
+
+				// If no errors, proceed to update recipe in database
+				// Note: date of creation is kept and date of modification is updated instead
+				let updatedRecipe = {
+					image_url: imageUrl,
+					recipe_name: recipeName,
+					description: description,
+					date_modified: new Date(),
+					total_brew_time: totalBrewTime,
+					total_brew_time_seconds: totalBrewTimeSeconds,
+					brew_yield: brewYield,
+					brew_yield_ml: brewYieldMl,
+					brewing_method: brewingMethod,
+					coffee_beans: coffeeBeans,
+					coffee_rest_period: coffeeRestPeriod,
+					amount_of_coffee: Number(coffeeAmount),
+					grinder: grinder,
+					grind_setting: grindSetting,
+					amount_of_water: waterAmount,
+					amount_of_water_ml: waterAmountMl,
+					brew_ratio: UnitUtil.computeBrewRatio(
+						Number(coffeeAmount),
+						waterAmountMl
+					),
+					water_temperature: waterTemperature,
+					additional_ingredients: additionalIngredients,
+					brewer: brewer,
+					additional_equipment: additionalEquipment,
+					steps: steps
+				};
+
+				// Save new version in version history if any field is changed
+				let newSnapshot = getRecipeSnapshot(updatedRecipe);
+				let changes = getRecipeChanges(
+					getRecipeSnapshot(req.recipe),
+					newSnapshot
+				);
+				if (changes.length > 0) {
+					updatedRecipe.version = await addRecipeVersion(
+						req.recipe,
+						newSnapshot,
+						req.user
+					);
+				}
+
+				let result = await repositories.recipes.update(
+					recipeId,
+					updatedRecipe
+				);
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// DELETE Endpoint to delete a coffee recipe
+	app.delete(
+		'/recipes/:recipe_id',
+		checkIfAuthenticated,
+		checkIfRecipeOwner,
+		async function (req, res) {
+			try {
+				// Extract recipe ID (already validated by checkIfRecipeOwner)
+				let recipeId = req.params.recipe_id;
+
+				// Delete recipe from recipes collection
+				let result = await repositories.recipes.delete(recipeId);
+
+				// Delete version history of recipe
+				await repositories.recipeVersions.deleteByRecipe(recipeId);
+
+				// Update number of forks of original recipe if deleted recipe is a fork
+				// Note: forks of deleted recipe keep their lineage (ancestry shows it as deleted)
+				if (req.recipe.forked_from) {
+					await repositories.recipes.incrementForkCount(
+						req.recipe.forked_from.recipe_id,
+						-1
+					);
+				}
+
+				// Delete recipe from all favorite lists
+				await repositories.favorites.removeRecipeFromAll(recipeId);
+
+				// Delete reports of recipe and its reviews
+				await repositories.reports.deleteByRecipe(recipeId);
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// --- Routes: Recipe Forks (Part of recipes) ---
+	// POST Endpoint to fork a recipe into a new recipe owned by the logged in user
+	// Note: any recipe fields in request body replace the fields of the original recipe
+	app.post(
+		'/recipes/:recipe_id/fork',
+		checkIfAuthenticated,
+		checkIdempotencyKey,
+		async function (req, res) {
+			// Extract recipe ID
+			let recipeId = req.params.recipe_id;
+
+			// Check that recipe ID is valid
+			if (!recipeId || !ObjectId.isValid(recipeId)) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			try {
+				let sourceRecipe = await repositories.recipes.findById(
+					recipeId
+				);
+
+				// Note: hidden recipes (see moderation routes) cannot be forked
+				if (!sourceRecipe || sourceRecipe.hidden) {
+					sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+					return; // End function
+				}
+
+				// Validate fields of original recipe together with any changes
+				let fields = await validateFormatRecipeFields({
+					...getRecipeFormFields(sourceRecipe),
+					...req.body
+				});
+
+				if (Object.keys(fields.errorData).length > 0) {
+					sendInvalidError(res, fields.errorData);
+					return; // End function
+				}
+
+				// Link new recipe to the original recipe
+				// Note: ancestors are ordered from the original root recipe to the direct parent
+				let lineage = {
+					forked_from: {
+						recipe_id: sourceRecipe._id,
+						version: sourceRecipe.version || 1,
+						user: {
+							_id: sourceRecipe.user._id || null,
+							username: sourceRecipe.user.username
+						}
+					},
+					ancestors: (sourceRecipe.ancestors || []).concat(
+						sourceRecipe._id
+					)
+				};
+
+				let result = await insertRecipe(fields, req.user, lineage);
+
+				// Update number of forks of original recipe
+				await repositories.recipes.incrementForkCount(
+					sourceRecipe._id,
+					1
+				);
+
+				sendSuccessResponse(res, 201, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// GET Endpoint to retrieve direct forks of a recipe (latest first)
+	app.get(
+		'/recipes/:recipe_id/forks',
+		checkUnitPreferences,
+		async function (req, res) {
+			// Extract recipe ID
+			let recipeId = req.params.recipe_id;
+
+			// Check that recipe ID is valid
+			if (!recipeId || !ObjectId.isValid(recipeId)) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			// Get page, limit and cursor from pagination query strings
+			let pagination = PaginationUtil.parsePagination(req.query);
+			if (Object.keys(pagination.errorData).length > 0) {
+				sendInvalidError(res, pagination.errorData);
+				return; // End function
+			}
+
+			try {
+				let pageResult = await repositories.recipes.findForksPage(
+					recipeId,
+					pagination
+				);
+
+				if (!pageResult) {
+					sendInvalidError(res, { cursor: 'Invalid cursor' });
+					return; // End function
+				}
+
+				// Populate each forked recipe with referenced documents
+				// and quantities in the preferred unit system
+				let recipes = pageResult.records;
+				await populateRecipes(recipes);
+				for (let recipe of recipes) {
+					formatRecipeQuantities(recipe, req.unitPreferences);
+				}
+
+				// Data to be sent as response
+				let data = {
+					result: recipes,
+					...getPageInfo(req, pagination, pageResult)
+				};
+
+				sendSuccessResponse(res, 200, data);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// GET Endpoint to retrieve ancestry of a recipe (from the original root recipe to the direct parent)
+	// Note: ancestors that have been deleted are returned with only their ID
+	app.get('/recipes/:recipe_id/ancestry', async function (req, res) {
+		// Extract recipe ID
+		let recipeId = req.params.recipe_id;
+
+		// Check that recipe ID is valid
+		if (!recipeId || !ObjectId.isValid(recipeId)) {
+			sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+			return; // End function
+		}
+
+		try {
+			let recipeRecord = await repositories.recipes.findById(recipeId);
+
+			// Note: hidden recipes (see moderation routes) cannot be viewed
+			if (!recipeRecord || recipeRecord.hidden) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			let ancestorIds = recipeRecord.ancestors || [];
+			let ancestorMap = await repositories.recipes.findByIds(ancestorIds);
+
+			let ancestors = ancestorIds.map(function (id) {
+				let ancestor = ancestorMap.get(id.toString());
+				if (!ancestor) {
+					return { _id: id, deleted: true };
+				}
+				return {
+					_id: ancestor._id,
+					recipe_name: ancestor.recipe_name,
+					user: {
+						_id: ancestor.user._id,
+						username: ancestor.user.username
+					},
+					date: ancestor.date,
+					version: ancestor.version || 1
+				};
+			});
+
+			sendSuccessResponse(res, 200, { result: ancestors });
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// --- Routes: Recipe Versions (Part of recipes) ---
+	// GET Endpoint to retrieve version history of a recipe (latest version first)
+	// Note: snapshots are excluded (see GET /recipes/:recipe_id/versions/:version)
+	app.get('/recipes/:recipe_id/versions', async function (req, res) {
+		// Extract recipe ID
+		let recipeId = req.params.recipe_id;
+
+		// Check that recipe ID is valid
+		if (!recipeId || !ObjectId.isValid(recipeId)) {
+			sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+			return; // End function
+		}
+
+		// Get page, limit and cursor from pagination query strings
+		let pagination = PaginationUtil.parsePagination(req.query);
+		if (Object.keys(pagination.errorData).length > 0) {
+			sendInvalidError(res, pagination.errorData);
+			return; // End function
+		}
+
+		try {
+			// Note: versions of hidden recipes (see moderation routes) cannot be viewed
+			let recipeRecord = await repositories.recipes.findById(recipeId);
+			if (!recipeRecord || recipeRecord.hidden) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			let pageResult = await repositories.recipeVersions.findPage(
+				recipeId,
+				pagination
+			);
+
+			if (!pageResult) {
+				sendInvalidError(res, { cursor: 'Invalid cursor' });
+				return; // End function
+			}
+
+			// Data to be sent as response
+			let data = {
+				result: pageResult.records,
+				...getPageInfo(req, pagination, pageResult)
+			};
+
+			sendSuccessResponse(res, 200, data);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// GET Endpoint to retrieve a version of a recipe (including snapshot of recipe fields)
+	app.get('/recipes/:recipe_id/versions/:version', async function (req, res) {
+		// Extract recipe ID and version number
+		let recipeId = req.params.recipe_id;
+		let version = Number(req.params.version);
+
+		// Check that recipe ID and version number are valid
+		if (!recipeId || !ObjectId.isValid(recipeId)) {
+			sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+			return; // End function
+		}
+
+		if (!Number.isInteger(version) || version < 1) {
+			sendInvalidError(res, { version: 'Invalid version' });
+			return; // End function
+		}
+
+		try {
+			// Note: versions of hidden recipes (see moderation routes) cannot be viewed
+			let recipeRecord = await repositories.recipes.findById(recipeId);
+			if (!recipeRecord || recipeRecord.hidden) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			let versionRecord = await repositories.recipeVersions.findByVersion(
+				recipeId,
+				version
+			);
+
+			if (versionRecord) {
+				sendSuccessResponse(res, 200, { result: versionRecord });
+			} else {
+				sendInvalidError(res, { version: 'Invalid version' });
+			}
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// POST Endpoint to revert a recipe to a previous version
+	// Note: reverting creates a new version so that history is never lost
+	app.post(
+		'/recipes/:recipe_id/versions/:version/revert',
+		checkIfAuthenticated,
+		checkIfRecipeOwner,
+		async function (req, res) {
+			// Extract recipe ID (already validated by checkIfRecipeOwner) and version number
+			let recipeId = req.params.recipe_id;
+			let version = Number(req.params.version);
+
+			// Check that version number is valid
+			if (!Number.isInteger(version) || version < 1) {
+				sendInvalidError(res, { version: 'Invalid version' });
+				return; // End function
+			}
+
+			try {
+				let versionRecord =
+					await repositories.recipeVersions.findByVersion(
+						recipeId,
+						version
+					);
+
+				if (!versionRecord) {
+					sendInvalidError(res, { version: 'Invalid version' });
+					return; // End function
+				}
+
+				let snapshot = versionRecord.snapshot;
+
+				// Check that referenced records of the version still exist
+				let errorData = {};
+				if (
+					!(await checkRecordsExist('methods', [
+						snapshot.brewing_method
+					]))
+				) {
+					errorData['brewingMethod'] =
+						'Brewing Method no longer exists';
+				}
+				if (
+					!(await checkRecordsExist('beans', snapshot.coffee_beans))
+				) {
+					errorData['coffeeBeans'] = 'Coffee Bean no longer exists';
+				}
+				if (
+					!(await checkRecordsExist('grinders', [snapshot.grinder]))
+				) {
+					errorData['grinder'] = 'Grinder no longer exists';
+				}
+				if (!(await checkRecordsExist('brewers', [snapshot.brewer]))) {
+					errorData['brewer'] = 'Brewer no longer exists';
+				}
+
+				if (Object.keys(errorData).length > 0) {
+					sendInvalidError(res, errorData);
+					return; // End function
+				}
+
+				// Check that version differs from current recipe
+				if (
+					getRecipeChanges(getRecipeSnapshot(req.recipe), snapshot)
+						.length === 0
+				) {
+					sendInvalidError(res, {
+						version: 'Recipe is already the same as this version'
+					});
+					return; // End function
+				}
+
+				let revertedRecipe = {
+					...snapshot,
+					date_modified: new Date(),
+					version: await addRecipeVersion(
+						req.recipe,
+						snapshot,
+						req.user,
+						version
+					)
+				};
+
+				let result = await repositories.recipes.update(
+					recipeId,
+					revertedRecipe
+				);
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// --- Routes: Reviews (Part of recipes) ---
+	// POST Endpoint to create a new review for a recipe
+	app.post(
+		'/recipes/:recipe_id/reviews',
+		checkIfAuthenticated,
+		checkIdempotencyKey,
+		async function (req, res) {
+			try {
+				// Extract recipe ID
+				let recipeId = req.params.recipe_id;
+
+				// Check that recipe ID is valid
+				if (!recipeId || !ObjectId.isValid(recipeId)) {
+					sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+					return; // End function
+				}
+
+				// Get all fields required for recipe review and error log
+				// - Validate and format fields
+				let { title, content, rating, errorData } =
+					validateFormatReviewFields(req.body);
+
+				// If there are any errors, return error message
+				if (Object.keys(errorData).length > 0) {
+					sendInvalidError(res, errorData);
+					return; // End function
+				}
+
+				// Create a new review object
+				let newReview = {
+					_id: new ObjectId(),
+					date: new Date(),
+					title: title,
+					content: content,
+					rating: rating,
+					user_id: ObjectId(req.user._id),
+					username: req.user.username
+				};
+
+				// Check that recipe exists and is not hidden (see moderation routes)
+				let recipeRecord = await repositories.recipes.findById(
+					recipeId
+				);
+				if (!recipeRecord || recipeRecord.hidden) {
+					sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+					return; // End function
+				}
+
+				// Add review to recipe and recalculate its average rating
+				let result = await repositories.reviews.insert(
+					recipeId,
+					newReview
+				);
+
+				// Check that recipe exists and has not been reviewed by the user
+				// (each user can only review a recipe once, existing review can be updated instead)
+				if (result.matchedCount === 0) {
+					if (await repositories.recipes.findById(recipeId)) {
+						sendInvalidError(res, {
+							review: 'Recipe has already been reviewed by the user'
+						});
+					} else {
+						sendInvalidError(res, {
+							recipe_id: 'Invalid recipe ID'
+						});
+					}
+					return; // End function
+				}
+
+				sendSuccessResponse(res, 201, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// GET Endpoint to retrieve reviews of a recipe
+	// -> sort is either 'newest' (default), 'highest', 'lowest' or 'helpful' (most helpful votes first)
+	// -> rating filters reviews by star rating (eg. rating=5 or rating=4,5)
+	app.get('/recipes/:recipe_id/reviews', async function (req, res) {
+		// Extract recipe ID
+		let recipeId = req.params.recipe_id;
+
+		// Check that recipe ID is valid
+		if (!recipeId || !ObjectId.isValid(recipeId)) {
+			sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+			return; // End function
+		}
+
+		// Get page, limit and cursor from pagination query strings
+		let pagination = PaginationUtil.parsePagination(req.query);
+		let errorData = { ...pagination.errorData };
+
+		let sort = req.query.sort || 'newest';
+		if (!REVIEW_SORTS.includes(sort)) {
+			errorData['sort'] =
+				'Sort must be one of: ' + REVIEW_SORTS.join(', ');
+		}
+
+		let ratings;
+		if (req.query.rating) {
+			ratings = String(req.query.rating)
+				.split(',')
+				.map((rating) => Number(rating.trim()));
+			if (
+				!ratings.every(
+					(rating) =>
+						Number.isInteger(rating) && rating >= 1 && rating <= 5
+				)
+			) {
+				errorData['rating'] =
+					'Rating must be integers from 1 to 5 separated by commas';
+			}
+		}
+
+		if (Object.keys(errorData).length > 0) {
+			sendInvalidError(res, errorData);
+			return; // End function
+		}
+
+		try {
+			// Note: reviews of hidden recipes (see moderation routes) cannot be viewed
+			let recipeRecord = await repositories.recipes.findById(recipeId);
+			if (!recipeRecord || recipeRecord.hidden) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			// Get only the reviews of the page and total number of matching reviews
+			// Note: offset pagination is used since reviews are embedded in the recipe
+			let offset = PaginationUtil.getOffset(pagination);
+			let reviewPage = await repositories.reviews.findPage(
+				recipeId,
+				{ sort: sort, ratings: ratings },
+				offset,
+				pagination.limit
+			);
+
+			if (!reviewPage) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			let pageResult = {
+				count: reviewPage.count,
+				...PaginationUtil.getOffsetCursors(
+					offset,
+					pagination.limit,
+					reviewPage.count
+				)
+			};
+
+			// Data to be sent as response
+			let data = {
+				result: reviewPage.reviews.map(formatReview),
+				...getPageInfo(req, pagination, pageResult)
+			};
+
+			sendSuccessResponse(res, 200, data);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// PUT Endpoint to update a review of a recipe
+	app.put(
+		'/recipes/:recipe_id/reviews/:review_id',
+		checkIfAuthenticated,
+		checkIfReviewOwner,
+		async function (req, res) {
+			try {
+				// Extract recipe ID and review ID (already validated by checkIfReviewOwner)
+				let recipeId = req.params.recipe_id;
+				let reviewId = req.params.review_id;
+
+				// Get all fields required for recipe review and error log
+				// - Validate and format fields
+				let { title, content, rating, errorData } =
+					validateFormatReviewFields(req.body);
+
+				// If there are any errors, return error message
+				if (Object.keys(errorData).length > 0) {
+					sendInvalidError(res, errorData);
+					return; // End function
+				}
+
+				// Update review element and recalculate average rating in a single update
+				// Note: reviewer details and original date are fixed and not editable
+				let result = await repositories.reviews.update(
+					recipeId,
+					reviewId,
+					{
+						title: title,
+						content: content,
+						rating: rating,
+						date_modified: new Date()
+					}
+				);
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// DELETE Endpoint to delete a review of a recipe
+	app.delete(
+		'/recipes/:recipe_id/reviews/:review_id',
+		checkIfAuthenticated,
+		checkIfReviewOwner,
+		async function (req, res) {
+			try {
+				// Extract recipe ID and review ID (already validated by checkIfReviewOwner)
+				let recipeId = req.params.recipe_id;
+				let reviewId = req.params.review_id;
+
+				// Remove review element and recalculate average rating in a single update
+				let result = await repositories.reviews.delete(
+					recipeId,
+					reviewId
+				);
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// POST Endpoint to vote for a review as helpful
+	// Note: each user can vote once for each review (and not for their own reviews)
+	app.post(
+		'/recipes/:recipe_id/reviews/:review_id/helpful',
+		checkIfAuthenticated,
+		async function (req, res) {
+			// Extract recipe ID and review ID
+			let recipeId = req.params.recipe_id;
+			let reviewId = req.params.review_id;
+
+			// Check that recipe ID and review ID are valid
+			if (!recipeId || !ObjectId.isValid(recipeId)) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			if (!reviewId || !ObjectId.isValid(reviewId)) {
+				sendInvalidError(res, { review_id: 'Invalid review ID' });
+				return; // End function
+			}
+
+			try {
+				// Hidden recipes and reviews (see moderation routes) cannot be voted for
+				let recipeRecord = await repositories.recipes.findById(
+					recipeId
+				);
+				if (!recipeRecord || recipeRecord.hidden) {
+					sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+					return; // End function
+				}
+
+				let review = await repositories.reviews.findById(
+					recipeId,
+					reviewId
+				);
+
+				if (!review || review.hidden) {
+					sendInvalidError(res, { review_id: 'Invalid review ID' });
+					return; // End function
+				}
+
+				if (review.user_id && review.user_id.equals(req.user._id)) {
+					sendForbiddenError(res, {
+						review_id: 'Not allowed to vote for own review'
+					});
+					return; // End function
+				}
+
+				// Vote is only added if user has not voted for the review yet
+				let result = await repositories.reviews.addHelpfulVote(
+					recipeId,
+					reviewId,
+					req.user._id
+				);
+
+				if (result.modifiedCount === 0) {
+					sendInvalidError(res, {
+						review_id: 'Review has already been voted as helpful'
+					});
+					return; // End function
+				}
+
+				sendSuccessResponse(res, 201, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// DELETE Endpoint to remove a helpful vote for a review
+	app.delete(
+		'/recipes/:recipe_id/reviews/:review_id/helpful',
+		checkIfAuthenticated,
+		async function (req, res) {
+			// Extract recipe ID and review ID
+			let recipeId = req.params.recipe_id;
+			let reviewId = req.params.review_id;
+
+			// Check that recipe ID and review ID are valid
+			if (!recipeId || !ObjectId.isValid(recipeId)) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			if (!reviewId || !ObjectId.isValid(reviewId)) {
+				sendInvalidError(res, { review_id: 'Invalid review ID' });
+				return; // End function
+			}
+
+			try {
+				let result = await repositories.reviews.removeHelpfulVote(
+					recipeId,
+					reviewId,
+					req.user._id
+				);
+
+				if (result.modifiedCount === 0) {
+					sendInvalidError(res, {
+						review_id: 'Review has not been voted as helpful'
+					});
+					return; // End function
+				}
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// --- Routes: Reports ---
+	// POST Endpoint to report a recipe (eg. spam)
+	app.post(
+		'/recipes/:recipe_id/reports',
+		checkIfAuthenticated,
+		async function (req, res) {
+			// Extract recipe ID
+			let recipeId = req.params.recipe_id;
+
+			// Check that recipe ID is valid
+			if (!recipeId || !ObjectId.isValid(recipeId)) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			try {
+				let recipeRecord = await repositories.recipes.findById(
+					recipeId
+				);
+				if (!recipeRecord) {
+					sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+					return; // End function
+				}
+
+				await submitReport(
+					req,
+					res,
+					{ recipe_id: recipeId, review_id: null },
+					'recipe',
+					Boolean(recipeRecord.hidden)
+				);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// POST Endpoint to report a review of a recipe (eg. abuse)
+	app.post(
+		'/recipes/:recipe_id/reviews/:review_id/reports',
+		checkIfAuthenticated,
+		async function (req, res) {
+			// Extract recipe ID and review ID
+			let recipeId = req.params.recipe_id;
+			let reviewId = req.params.review_id;
+
+			// Check that recipe ID and review ID are valid
+			if (!recipeId || !ObjectId.isValid(recipeId)) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			if (!reviewId || !ObjectId.isValid(reviewId)) {
+				sendInvalidError(res, { review_id: 'Invalid review ID' });
+				return; // End function
+			}
+
+			try {
+				let review = await repositories.reviews.findById(
+					recipeId,
+					reviewId
+				);
+				if (!review) {
+					sendInvalidError(res, { review_id: 'Invalid review ID' });
+					return; // End function
+				}
+
+				await submitReport(
+					req,
+					res,
+					{ recipe_id: recipeId, review_id: reviewId },
+					'review',
+					Boolean(review.hidden)
+				);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// --- Routes: Moderation (admin only) ---
+	// GET Endpoint to retrieve the moderation queue (newest reports first)
+	// -> status is either 'open' (default) or 'resolved'
+	// -> type (optional) is either 'recipe' or 'review'
+	app.get(
+		'/moderation/reports',
+		checkIfAuthenticated,
+		checkIfAdmin,
+		async function (req, res) {
+			// Get page, limit and cursor from pagination query strings
+			let pagination = PaginationUtil.parsePagination(req.query);
+			let errorData = { ...pagination.errorData };
+
+			let status = req.query.status || 'open';
+			if (status !== 'open' && status !== 'resolved') {
+				errorData['status'] = 'Status must be either open or resolved';
+			}
+
+			let targetType = req.query.type;
+			if (
+				targetType !== undefined &&
+				targetType !== 'recipe' &&
+				targetType !== 'review'
+			) {
+				errorData['type'] = 'Type must be either recipe or review';
+			}
+
+			if (Object.keys(errorData).length > 0) {
+				sendInvalidError(res, errorData);
+				return; // End function
+			}
+
+			try {
+				let pageResult = await repositories.reports.findPage(
+					{ status: status, targetType: targetType },
+					pagination
+				);
+
+				if (!pageResult) {
+					sendInvalidError(res, { cursor: 'Invalid cursor' });
+					return; // End function
+				}
+
+				// Include the reported content of each report
+				let reports = pageResult.records;
+				let targets = await getReportTargets(reports);
+				reports.forEach(function (report, index) {
+					report.target = targets[index];
+				});
+
+				// Data to be sent as response
+				let data = {
+					result: reports,
+					...getPageInfo(req, pagination, pageResult)
+				};
+
+				sendSuccessResponse(res, 200, data);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// PUT Endpoint to resolve a report
+	// -> all open reports of the same content are resolved with the same action
+	// -> action is either 'hide' (content stays hidden) or 'dismiss' (content is shown again
+	//    if it was hidden by its open reports, target is null if content is not changed)
+	app.put(
+		'/moderation/reports/:report_id',
+		checkIfAuthenticated,
+		checkIfAdmin,
+		async function (req, res) {
+			// Extract report ID
+			let reportId = req.params.report_id;
+
+			// Check that report ID is valid
+			if (!reportId || !ObjectId.isValid(reportId)) {
+				sendInvalidError(res, { report_id: 'Invalid report ID' });
+				return; // End function
+			}
+
+			let { action, note } = req.body;
+			let errorData = {};
+
+			if (!REPORT_ACTIONS.includes(action)) {
+				errorData['action'] =
+					'Action must be one of: ' + REPORT_ACTIONS.join(', ');
+			}
+
+			if (note === undefined || note === null) {
+				note = '';
+			}
+			if (typeof note !== 'string') {
+				errorData['note'] = 'Note must be a string';
+			}
+
+			if (Object.keys(errorData).length > 0) {
+				sendInvalidError(res, errorData);
+				return; // End function
+			}
+
+			try {
+				let report = await repositories.reports.findById(reportId);
+				if (!report) {
+					sendInvalidError(res, { report_id: 'Invalid report ID' });
+					return; // End function
+				}
+
+				if (report.status !== 'open') {
+					sendInvalidError(res, {
+						report_id: 'Report has already been resolved'
+					});
+					return; // End function
+				}
+
+				let target = {
+					recipe_id: report.recipe_id,
+					review_id: report.review_id
+				};
+
+				// Hide the reported content, or show it again if it was hidden by its open reports
+				// Note: content hidden by an admin for earlier reports stays hidden when dismissing
+				let hidden = action === 'hide';
+				let targetResult = null;
+				if (
+					hidden ||
+					(await repositories.reports.findOpenHiding(target))
+				) {
+					if (report.review_id) {
+						targetResult = await repositories.reviews.setHidden(
+							report.recipe_id,
+							report.review_id,
+							hidden
+						);
+					} else {
+						targetResult = await repositories.recipes.setHidden(
+							report.recipe_id,
+							hidden
+						);
+					}
+				}
+
+				let reportsResult = await repositories.reports.resolveByTarget(
+					target,
+					{
+						resolution: action,
+						note: note,
+						resolved_by: ObjectId(req.user._id),
+						date_resolved: new Date()
+					}
+				);
+
+				sendSuccessResponse(res, 200, {
+					reports: reportsResult,
+					target: targetResult
+				});
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// --- Routes: Favorite lists ---
+	// Note: each user can have several named favorite lists with recipes in a custom order
+	// (/favorites manages the user's default list, which is the first list created)
+
+	// GET Endpoint to retrieve all favorite lists of the authenticated user
+	app.get(
+		'/favorites/lists',
+		checkIfAuthenticated,
+		async function (req, res) {
+			// Get page, limit and cursor from pagination query strings
+			let pagination = PaginationUtil.parsePagination(req.query);
+			if (Object.keys(pagination.errorData).length > 0) {
+				sendInvalidError(res, pagination.errorData);
+				return; // End function
+			}
+
+			try {
+				let favoriteLists =
+					await repositories.favorites.findListsByUser(req.user._id);
+				let pageResult = PaginationUtil.paginateArray(
+					favoriteLists,
+					pagination
+				);
+
+				// Data to be sent as response
+				let data = {
+					result: pageResult.items.map(getFavoriteListInfo),
+					...getPageInfo(req, pagination, pageResult)
+				};
+
+				sendSuccessResponse(res, 200, data);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// POST Endpoint to create a favorite list
+	// -> public lists get a share link that allows anyone to view the list (read-only)
+	app.post(
+		'/favorites/lists',
+		checkIfAuthenticated,
+		async function (req, res) {
+			let { name, notes, isPublic, errorData } =
+				validateFormatFavoriteListFields(req.body);
+
+			if (Object.keys(errorData).length > 0) {
+				sendInvalidError(res, errorData);
+				return; // End function
+			}
+
+			try {
+				// Check that user does not have another list with the same name
+				let duplicate = await repositories.favorites.findByName(
+					req.user._id,
+					name
+				);
+				if (duplicate) {
+					sendInvalidError(res, {
+						name: 'Favorite list with the same name already exists'
+					});
+					return; // End function
+				}
+
+				let newFavoriteList = {
+					user_id: ObjectId(req.user._id),
+					name: name,
+					notes: notes,
+					coffee_recipes: [],
+					share_token: isPublic
+						? TokenUtil.generateRandomToken()
+						: null,
+					date: new Date()
+				};
+
+				let result = await repositories.favorites.insert(
+					newFavoriteList
+				);
+
+				sendSuccessResponse(res, 201, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// GET Endpoint to retrieve a favorite list and its recipes (in order of the list)
+	app.get(
+		'/favorites/lists/:list_id',
+		checkIfAuthenticated,
+		checkIfFavoriteListOwner,
+		checkUnitPreferences,
+		async function (req, res) {
+			// Get page, limit and cursor from pagination query strings
+			let pagination = PaginationUtil.parsePagination(req.query);
+			if (Object.keys(pagination.errorData).length > 0) {
+				sendInvalidError(res, pagination.errorData);
+				return; // End function
+			}
+
+			try {
+				let { recipes, pageResult } = await getFavoriteRecipesPage(
+					req.favoriteList.coffee_recipes,
+					pagination,
+					req.unitPreferences
+				);
+
+				// Data to be sent as response
+				let data = {
+					list: getFavoriteListInfo(req.favoriteList),
+					result: recipes,
+					...getPageInfo(req, pagination, pageResult)
+				};
+
+				sendSuccessResponse(res, 200, data);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// PUT Endpoint to update name, notes and visibility of a favorite list
+	// Note: share link of a public list is kept when the list is updated
+	// and removed when the list is made private
+	app.put(
+		'/favorites/lists/:list_id',
+		checkIfAuthenticated,
+		checkIfFavoriteListOwner,
+		async function (req, res) {
+			let { name, notes, isPublic, errorData } =
+				validateFormatFavoriteListFields(req.body);
+
+			if (Object.keys(errorData).length > 0) {
+				sendInvalidError(res, errorData);
+				return; // End function
+			}
+
+			try {
+				let listId = req.params.list_id;
+
+				// Check that user does not have another list with the same name
+				let duplicate = await repositories.favorites.findByName(
+					req.user._id,
+					name,
+					listId
+				);
+				if (duplicate) {
+					sendInvalidError(res, {
+						name: 'Favorite list with the same name already exists'
+					});
+					return; // End function
+				}
+
+				let shareToken = null;
+				if (isPublic) {
+					shareToken =
+						req.favoriteList.share_token ||
+						TokenUtil.generateRandomToken();
+				}
+
+				let result = await repositories.favorites.update(listId, {
+					name: name,
+					notes: notes,
+					share_token: shareToken,
+					date_modified: new Date()
+				});
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// DELETE Endpoint to delete a favorite list
+	app.delete(
+		'/favorites/lists/:list_id',
+		checkIfAuthenticated,
+		checkIfFavoriteListOwner,
+		async function (req, res) {
+			try {
+				let result = await repositories.favorites.delete(
+					req.params.list_id
+				);
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// POST Endpoint to add a recipe to a favorite list
+	// -> recipe is added at the given position (0 is the start of the list) or at the end of the list
+	app.post(
+		'/favorites/lists/:list_id/recipes',
+		checkIfAuthenticated,
+		checkIfFavoriteListOwner,
+		async function (req, res) {
+			let { recipeId, position } = req.body;
+			let errorData = {};
+
+			// Check that recipe ID and position are valid
+			if (!recipeId || !ObjectId.isValid(recipeId)) {
+				errorData['recipeId'] = 'Invalid recipe ID';
+			}
+
+			position = parseFavoritePosition(position, req.favoriteList);
+			if (position === null) {
+				errorData['position'] =
+					'Position must be an integer from 0 to ' +
+					req.favoriteList.coffee_recipes.length;
+			}
+
+			if (Object.keys(errorData).length > 0) {
+				sendInvalidError(res, errorData);
+				return; // End function
+			}
+
+			try {
+				// Check if recipe exists in the recipes collection
+				// (hidden recipes cannot be added, see moderation routes)
+				let recipeRecord = await repositories.recipes.findById(
+					recipeId
+				);
+				if (!recipeRecord || recipeRecord.hidden) {
+					sendInvalidError(res, {
+						recipeId: 'Recipe does not exist'
+					});
+					return; // End function
+				}
+
+				// Check if recipe ID to be added already exists in the list
+				let isFavorited = req.favoriteList.coffee_recipes.some(
+					(id) => id.toString() === recipeId
+				);
+				if (isFavorited) {
+					sendInvalidError(res, {
+						recipeId: 'Recipe ID is already in favorite list'
+					});
+					return; // End function
+				}
+
+				let result = await repositories.favorites.addRecipe(
+					req.params.list_id,
+					recipeId,
+					position
+				);
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// PUT Endpoint to reorder the recipes of a favorite list
+	// -> recipeIds must contain every recipe of the list exactly once (in the new order)
+	app.put(
+		'/favorites/lists/:list_id/recipes',
+		checkIfAuthenticated,
+		checkIfFavoriteListOwner,
+		async function (req, res) {
+			let recipeIds = req.body.recipeIds;
+			let currentIds = req.favoriteList.coffee_recipes.map((id) =>
+				id.toString()
+			);
+
+			let isValidOrder =
+				Array.isArray(recipeIds) &&
+				recipeIds.length === currentIds.length &&
+				new Set(recipeIds).size === recipeIds.length &&
+				recipeIds.every((id) => currentIds.includes(id));
+
+			if (!isValidOrder) {
+				sendInvalidError(res, {
+					recipeIds:
+						'Recipe IDs must contain every recipe of the favorite list exactly once'
+				});
+				return; // End function
+			}
+
+			try {
+				let result = await repositories.favorites.update(
+					req.params.list_id,
+					{
+						coffee_recipes: recipeIds.map((id) => ObjectId(id)),
+						date_modified: new Date()
+					}
+				);
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// DELETE Endpoint to remove a recipe from a favorite list
+	app.delete(
+		'/favorites/lists/:list_id/recipes/:recipe_id',
+		checkIfAuthenticated,
+		checkIfFavoriteListOwner,
+		async function (req, res) {
+			let recipeId = req.params.recipe_id;
+
+			// Check that recipe ID exists in the list
+			let isFavorited = req.favoriteList.coffee_recipes.some(
+				(id) => id.toString() === recipeId
+			);
+			if (!isFavorited) {
+				sendInvalidError(res, {
+					recipe_id: 'Recipe ID does not exist in favorite list'
+				});
+				return; // End function
+			}
+
+			try {
+				let result = await repositories.favorites.removeRecipe(
+					req.params.list_id,
+					recipeId
+				);
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// POST Endpoint to move a recipe to another favorite list of the user
+	// -> recipe is added at the given position of the other list (or at the end of the list)
+	app.post(
+		'/favorites/lists/:list_id/recipes/:recipe_id/move',
+		checkIfAuthenticated,
+		checkIfFavoriteListOwner,
+		async function (req, res) {
+			let recipeId = req.params.recipe_id;
+			let { listId, position } = req.body;
+
+			// Check that recipe ID exists in the list
+			let isFavorited = req.favoriteList.coffee_recipes.some(
+				(id) => id.toString() === recipeId
+			);
+			if (!isFavorited) {
+				sendInvalidError(res, {
+					recipe_id: 'Recipe ID does not exist in favorite list'
+				});
+				return; // End function
+			}
+
+			// Check that the other list ID is valid
+			if (
+				!listId ||
+				!ObjectId.isValid(listId) ||
+				listId === req.params.list_id
+			) {
+				sendInvalidError(res, { listId: 'Invalid favorite list ID' });
+				return; // End function
+			}
+
+			try {
+				let targetList = await repositories.favorites.findById(listId);
+				if (!targetList) {
+					sendInvalidError(res, {
+						listId: 'Invalid favorite list ID'
+					});
+					return; // End function
+				}
+
+				if (!targetList.user_id.equals(req.user._id)) {
+					sendForbiddenError(res, {
+						listId: 'Not allowed to access favorite list of another user'
+					});
+					return; // End function
+				}
+
+				let errorData = {};
+				if (
+					targetList.coffee_recipes.some(
+						(id) => id.toString() === recipeId
+					)
+				) {
+					errorData['listId'] =
+						'Recipe ID is already in favorite list';
+				}
+
+				position = parseFavoritePosition(position, targetList);
+				if (position === null) {
+					errorData['position'] =
+						'Position must be an integer from 0 to ' +
+						targetList.coffee_recipes.length;
+				}
+
+				if (Object.keys(errorData).length > 0) {
+					sendInvalidError(res, errorData);
+					return; // End function
+				}
+
+				// Note: recipe is added to the other list before it is removed
+				// so that it is not lost if the second update fails
+				let toResult = await repositories.favorites.addRecipe(
+					listId,
+					recipeId,
+					position
+				);
+				let fromResult = await repositories.favorites.removeRecipe(
+					req.params.list_id,
+					recipeId
+				);
+
+				sendSuccessResponse(res, 200, {
+					from: fromResult,
+					to: toResult
+				});
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// GET Endpoint to view a public favorite list with its share link (read-only, no login required)
+	// Note: IDs of the list and its owner are not exposed
+	app.get(
+		'/favorites/shared/:share_token',
+		checkUnitPreferences,
+		async function (req, res) {
+			// Get page, limit and cursor from pagination query strings
+			let pagination = PaginationUtil.parsePagination(req.query);
+			if (Object.keys(pagination.errorData).length > 0) {
+				sendInvalidError(res, pagination.errorData);
+				return; // End function
+			}
+
+			try {
+				let favoriteList =
+					await repositories.favorites.findByShareToken(
+						req.params.share_token
+					);
+				if (!favoriteList) {
+					sendInvalidError(res, {
+						share_token: 'Invalid share link'
+					});
+					return; // End function
+				}
+
+				let owner = await repositories.users.findById(
+					favoriteList.user_id
+				);
+				let { recipes, pageResult } = await getFavoriteRecipesPage(
+					favoriteList.coffee_recipes,
+					pagination,
+					req.unitPreferences
+				);
+
+				// Data to be sent as response
+				let data = {
+					list: {
+						name: favoriteList.name,
+						notes: favoriteList.notes || '',
+						username: owner ? owner.username : null,
+						recipe_count: favoriteList.coffee_recipes.length,
+						date: favoriteList.date,
+						date_modified: favoriteList.date_modified
+					},
+					result: recipes,
+					...getPageInfo(req, pagination, pageResult)
+				};
+
+				sendSuccessResponse(res, 200, data);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// --- Routes: Favorites ---
+	// GET Endpoint to retrieve all favorited coffee recipes of the authenticated user (default favorite list)
+	// Note: favorites are tied to the authenticated user's ID (no email or user ID in URL)
+	app.get(
+		'/favorites',
+		checkIfAuthenticated,
+		checkUnitPreferences,
+		async function (req, res) {
+			// Get page, limit and cursor from pagination query strings
+			let pagination = PaginationUtil.parsePagination(req.query);
+			if (Object.keys(pagination.errorData).length > 0) {
+				sendInvalidError(res, pagination.errorData);
+				return; // End function
+			}
+
+			try {
+				// Get user's default favorite list
+				let favoriteList = await repositories.favorites.findDefaultList(
+					req.user._id
+				);
+
+				// If favorite list is found, extract all details of coffee recipes
+				if (favoriteList) {
+					let { recipes, pageResult } = await getFavoriteRecipesPage(
+						favoriteList.coffee_recipes,
+						pagination,
+						req.unitPreferences
+					);
+
+					// Data to be sent as response
+					let data = {
+						result: recipes,
+						...getPageInfo(req, pagination, pageResult)
+					};
+
+					sendSuccessResponse(res, 200, data);
+				} else {
+					// Assume there is no favorited coffee recipes yet (favorite list not created yet)
+					let data = {
+						result: null,
+						...getPageInfo(
+							req,
+							pagination,
+							PaginationUtil.paginateArray([], pagination)
+						)
+					};
+
+					sendSuccessResponse(res, 200, data);
+				}
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// POST Endpoint to add recipe to favorites
+	app.post('/favorites', checkIfAuthenticated, async function (req, res) {
+		// Get recipe ID to be added to favorites collection
+		let recipeId = req.body.recipeId;
+
+		// Check that recipe ID is valid
+		if (!recipeId || !ObjectId.isValid(recipeId)) {
+			sendInvalidError(res, { recipeId: 'Invalid recipe ID' });
+			return; // End function
+		}
+
+		try {
+			// Check if recipe exists in the recipes collection
+			// (hidden recipes cannot be added, see moderation routes)
+			let recipeRecord = await repositories.recipes.findById(recipeId);
+			if (!recipeRecord || recipeRecord.hidden) {
+				sendInvalidError(res, {
+					recipeId: 'Recipe does not exist'
+				});
+				return; // End function
+			}
+
+			// Check if default favorite list exists for the user
+			let favoriteRecord = await repositories.favorites.findDefaultList(
+				req.user._id
+			);
+
+			// If favorite list exists, add coffee recipe ID to coffee_recipes array
+			if (favoriteRecord) {
+				// Check if recipe ID to be added already exists in user's favorites collection
+				let isFavorited = favoriteRecord.coffee_recipes.some(
+					(id) => id.toString() === recipeId
+				);
+
+				if (isFavorited) {
+					sendInvalidError(res, {
+						recipeId: 'Recipe ID is already in favorites collection'
+					});
+					return; // End function
+				}
+
+				let result = await repositories.favorites.addRecipe(
+					favoriteRecord._id,
+					recipeId
+				);
+
+				sendSuccessResponse(res, 200, result);
+			} else {
+				// If favorite list does not exist, create the default favorite list
+				let newFavoriteRecord = {
+					user_id: ObjectId(req.user._id),
+					name: DEFAULT_FAVORITE_LIST_NAME,
+					notes: '',
+					coffee_recipes: [ObjectId(recipeId)],
+					share_token: null,
+					date: new Date()
+				};
+
+				let result = await repositories.favorites.insert(
+					newFavoriteRecord
+				);
+
+				sendSuccessResponse(res, 201, result);
+			}
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// DELETE Endpoint to remove recipe from favorites
+	app.delete('/favorites', checkIfAuthenticated, async function (req, res) {
+		// Get recipe ID to be added to favorites collection
+		let recipeId = req.body.recipeId;
+
+		// Check that recipe ID is valid
+		if (!recipeId || !ObjectId.isValid(recipeId)) {
+			sendInvalidError(res, { recipeId: 'Invalid recipe ID' });
+			return; // End function
+		}
+
+		try {
+			// Check if recipe ID to be deleted exists in the default favorite list
+			let favoriteRecord = await repositories.favorites.findDefaultList(
+				req.user._id
+			);
+
+			if (
+				!favoriteRecord ||
+				!favoriteRecord.coffee_recipes.some(
+					(id) => id.toString() === recipeId
+				)
+			) {
+				sendInvalidError(res, {
+					recipeId: 'Recipe ID does not exist in favorites collection'
+				});
+				return; // End function
+			}
+
+			let result = await repositories.favorites.removeRecipe(
+				favoriteRecord._id,
+				recipeId
+			);
+
+			sendSuccessResponse(res, 200, result);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// --- Routes: Brew logs ---
+	// POST Endpoint to log a brew of a recipe made by the authenticated user
+	// -> brew records the version of recipe that was brewed (recipes before version history are version 1)
+	app.post(
+		'/recipes/:recipe_id/brews',
+		checkIfAuthenticated,
+		checkIdempotencyKey,
+		async function (req, res) {
+			// Extract recipe ID
+			let recipeId = req.params.recipe_id;
+
+			// Check that recipe ID is valid
+			if (!recipeId || !ObjectId.isValid(recipeId)) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			try {
+				let recipeRecord = await repositories.recipes.findById(
+					recipeId
+				);
+
+				// Hidden recipes cannot be brewed (see moderation routes)
+				if (!recipeRecord || recipeRecord.hidden) {
+					sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+					return; // End function
+				}
+
+				let fields = await validateFormatBrewFields(
+					req.body,
+					recipeRecord
+				);
+
+				if (Object.keys(fields.errorData).length > 0) {
+					sendInvalidError(res, fields.errorData);
+					return; // End function
+				}
+
+				let result = await repositories.brewLogs.insert({
+					recipe_id: recipeRecord._id,
+					recipe_version: recipeRecord.version || 1,
+					user_id: ObjectId(req.user._id),
+					...getBrewRecord(fields),
+					date: new Date()
+				});
+
+				sendSuccessResponse(res, 201, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// GET Endpoint to retrieve the summary of all brews of a recipe
+	// -> average and deviation from the recipe of dose, brew ratio, brew time and brew yield
+	//    and average TDS, extraction yield and score (see BrewLogUtil.getBrewSummary)
+	app.get('/recipes/:recipe_id/brews/summary', async function (req, res) {
+		// Extract recipe ID
+		let recipeId = req.params.recipe_id;
+
+		// Check that recipe ID is valid
+		if (!recipeId || !ObjectId.isValid(recipeId)) {
+			sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+			return; // End function
+		}
+
+		try {
+			let recipeRecord = await repositories.recipes.findById(recipeId);
+
+			if (!recipeRecord || recipeRecord.hidden) {
+				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+				return; // End function
+			}
+
+			let brews = await repositories.brewLogs.findByRecipe(recipeId);
+
+			let data = {
+				result: BrewLogUtil.getBrewSummary(
+					brews,
+					getRecipeBrewValues(recipeRecord)
+				)
+			};
+
+			sendSuccessResponse(res, 200, data);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// GET Endpoint to retrieve the brew history of the authenticated user (latest first)
+	// -> recipe filters brews by recipe ID (optional)
+	app.get('/brews', checkIfAuthenticated, async function (req, res) {
+		// Get page, limit and cursor from pagination query strings
+		let pagination = PaginationUtil.parsePagination(req.query);
+		let errorData = { ...pagination.errorData };
+
+		let recipeId = req.query.recipe;
+		if (recipeId !== undefined && !ObjectId.isValid(recipeId)) {
+			errorData['recipe'] = 'Invalid recipe ID';
+		}
+
+		if (Object.keys(errorData).length > 0) {
+			sendInvalidError(res, errorData);
+			return; // End function
+		}
+
+		try {
+			let pageResult = await repositories.brewLogs.findPage(
+				req.user._id,
+				{ recipeId: recipeId },
+				pagination
+			);
+
+			if (!pageResult) {
+				sendInvalidError(res, { cursor: 'Invalid cursor' });
+				return; // End function
+			}
+
+			let brews = pageResult.records;
+			await populateBrews(brews);
+
+			// Data to be sent as response
+			let data = {
+				result: brews,
+				...getPageInfo(req, pagination, pageResult)
+			};
+
+			sendSuccessResponse(res, 200, data);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// GET Endpoint to retrieve a brew of the authenticated user
+	app.get(
+		'/brews/:brew_id',
+		checkIfAuthenticated,
+		checkIfBrewOwner,
+		async function (req, res) {
+			try {
+				let brew = req.brew;
+				await populateBrews([brew]);
+
+				sendSuccessResponse(res, 200, { result: brew });
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// PUT Endpoint to update a brew of the authenticated user
+	// Note: omitted bean, grinder and grind setting keep those of the brew
+	app.put(
+		'/brews/:brew_id',
+		checkIfAuthenticated,
+		checkIfBrewOwner,
+		async function (req, res) {
+			try {
+				// Bean, grinder and grind setting stored for the brew are used as defaults (same shape as recipe)
+				let fields = await validateFormatBrewFields(req.body, {
+					coffee_beans: [req.brew.bean],
+					grinder: req.brew.grinder,
+					grind_setting: req.brew.grind_setting
+				});
+
+				if (Object.keys(fields.errorData).length > 0) {
+					sendInvalidError(res, fields.errorData);
+					return; // End function
+				}
+
+				let result = await repositories.brewLogs.update(req.brew._id, {
+					...getBrewRecord(fields),
+					date_modified: new Date()
+				});
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// DELETE Endpoint to delete a brew of the authenticated user
+	app.delete(
+		'/brews/:brew_id',
+		checkIfAuthenticated,
+		checkIfBrewOwner,
+		async function (req, res) {
+			try {
+				let result = await repositories.brewLogs.delete(req.brew._id);
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// --- Routes: Beans ---
+	// GET Endpoint to retrieve all coffee bean records
+	app.get('/beans', async function (req, res) {
+		// Get page, limit and cursor from pagination query strings
+		let pagination = PaginationUtil.parsePagination(req.query);
+		if (Object.keys(pagination.errorData).length > 0) {
+			sendInvalidError(res, pagination.errorData);
+			return; // End function
+		}
+
+		try {
+			const pageResult = await repositories.catalogs.findPage(
+				'beans',
+				pagination
 			);
 
-			sendSuccessResponse(res, 200, result);
+			if (!pageResult) {
+				sendInvalidError(res, { cursor: 'Invalid cursor' });
+				return; // End function
+			}
+
+			const beanRecords = pageResult.records;
+			sendSuccessResponse(res, 200, {
+				result: beanRecords,
+				...getPageInfo(req, pagination, pageResult)
+			});
 		} catch (err) {
 			sendDatabaseError(res);
 		}
 	});
 
-	// DELETE Endpoint to delete a coffee recipe
-	app.delete('/recipes/:recipe_id', async function (req, res) {
+	// GET Endpoint to retrive coffee bean record by id
+	app.get('/beans/:bean_id', async function (req, res) {
 		try {
-			// Extract recipe ID
-			let recipeId = req.params.recipe_id;
+			// Extract bean ID
+			let beanId = req.params.bean_id;
 
-			// Check that recipe ID is valid
-			if (!recipeId || !ObjectId.isValid(recipeId)) {
-				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+			// Check that bean ID is valid
+			if (!beanId || !ObjectId.isValid(beanId)) {
+				sendInvalidError(res, { bean_id: 'Invalid coffee bean ID' });
 				return; // End function
 			}
 
-			// Delete recipe from recipes collection
-			let result = await db.collection(DB_COLLECTION.recipes).deleteOne({
-				_id: ObjectId(recipeId)
-			});
-
-			// Delete recipe from all favorites collection
-			await db.collection(DB_COLLECTION.favorites).updateMany(
-				{
-					coffee_recipes: {
-						$in: [ObjectId(recipeId)]
-					}
-				},
-				{
-					$pull: {
-						coffee_recipes: ObjectId(recipeId)
-					}
-				}
+			const beanRecord = await repositories.catalogs.findById(
+				'beans',
+				beanId
 			);
 
-			sendSuccessResponse(res, 200, result);
+			if (beanRecord) {
+				sendSuccessResponse(res, 200, { result: beanRecord });
+			} else {
+				sendInvalidError(res, { id: 'Invalid coffee bean ID' });
+			}
 		} catch (err) {
 			sendDatabaseError(res);
 		}
 	});
 
-	// --- Routes: Reviews (Part of recipes) ---
-	// POST Endpoint to create a new review for a recipe
-	app.post('/recipes/:recipe_id/reviews', async function (req, res) {
+	// POST Endpoint to create a new coffee bean record
+	app.post('/beans', checkIfAuthenticated, async function (req, res) {
+		// Get all fields for new coffee bean and error log
+		let {
+			name,
+			roastLevel,
+			blend,
+			variety,
+			flavorNotes,
+			roaster,
+			origins,
+			errorData
+		} = validateFormatBeanFields(req.body);
+
+		// Return error message if there is any error so far
+		if (Object.keys(errorData).length > 0) {
+			sendInvalidError(res, errorData);
+			return; // End function
+		}
+
 		try {
-			// Extract recipe ID
-			let recipeId = req.params.recipe_id;
+			// Check that the same coffee bean does not already exist
+			let existingRecord = await repositories.catalogs.findDuplicate(
+				'beans',
+				{ name: name, roaster: roaster }
+			);
 
-			// Check that recipe ID is valid
-			if (!recipeId || !ObjectId.isValid(recipeId)) {
-				sendInvalidError(res, { recipe_id: 'Invalid recipe ID' });
+			if (existingRecord) {
+				sendInvalidError(res, {
+					name: 'Coffee bean with the same name and roaster already exists'
+				});
 				return; // End function
 			}
 
-			// Get all fields required for recipe review and error log
-			// - Validate and format fields
-			let { title, content, rating, errorData } =
-				validateFormatReviewFields(req.body);
+			let newBean = {
+				name: name,
+				roast_level: roastLevel,
+				blend: blend,
+				variety: variety,
+				flavor_notes: flavorNotes,
+				roaster: roaster,
+				origins: origins
+			};
 
-			// Check that username and email are valid
-			// Note: username and email are used for identification purposes (cannot be changed)
-			let { username, email } = req.body;
+			let result = await repositories.catalogs.insert('beans', newBean);
 
-			// - Username must be at least 5 characters long
-			if (!username || username.length < 5) {
-				errorData['username'] =
-					'Username must be at least 5 characters';
-			}
+			sendSuccessResponse(res, 201, result);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
 
-			// - Validate email address
-			if (validateEmail(email)) {
-				// Convert email to hash if valid email provided
-				email = await BcryptUtil.hash(email);
-			} else {
-				errorData['email'] = 'Invalid email address';
+	// PUT Endpoint to update a coffee bean record (admin only)
+	app.put(
+		'/beans/:bean_id',
+		checkIfAuthenticated,
+		checkIfAdmin,
+		async function (req, res) {
+			// Extract coffee bean ID
+			let beanId = req.params.bean_id;
+
+			// Check that coffee bean ID is valid
+			if (!beanId || !ObjectId.isValid(beanId)) {
+				sendInvalidError(res, { bean_id: 'Invalid coffee bean ID' });
+				return; // End function
 			}
 
-			// If there are any errors, return error message
+			// Get all fields for coffee bean and error log
+			let {
+				name,
+				roastLevel,
+				blend,
+				variety,
+				flavorNotes,
+				roaster,
+				origins,
+				errorData
+			} = validateFormatBeanFields(req.body);
+
+			// Return error message if there is any error so far
 			if (Object.keys(errorData).length > 0) {
 				sendInvalidError(res, errorData);
 				return; // End function
 			}
 
-			// Create a new review object
-			let newReview = {
-				_id: new ObjectId(),
-				date: new Date(),
-				title: title,
-				content: content,
-				rating: rating,
-				username: username,
-				email: email
-			};
+			try {
+				// Check that update does not duplicate another coffee bean
+				let existingRecord = await repositories.catalogs.findDuplicate(
+					'beans',
+					{ name: name, roaster: roaster },
+					beanId
+				);
+
+				if (existingRecord) {
+					sendInvalidError(res, {
+						name: 'Coffee bean with the same name and roaster already exists'
+					});
+					return; // End function
+				}
 
-			// Get new average rating
-			let newAverageRating = await computeAverageRating(recipeId, rating);
+				let updatedBean = {
+					name: name,
+					roast_level: roastLevel,
+					blend: blend,
+					variety: variety,
+					flavor_notes: flavorNotes,
+					roaster: roaster,
+					origins: origins
+				};
 
-			// Update recipe with new average rating and review element
-			let result = await db.collection(DB_COLLECTION.recipes).updateOne(
-				{
-					_id: ObjectId(recipeId)
-				},
-				{
-					$push: {
-						reviews: newReview
-					},
-					$set: {
-						average_rating: newAverageRating
-					}
+				let result = await repositories.catalogs.update(
+					'beans',
+					beanId,
+					updatedBean
+				);
+
+				if (result.matchedCount === 0) {
+					sendInvalidError(res, { id: 'Invalid coffee bean ID' });
+					return; // End function
 				}
-			);
 
-			sendSuccessResponse(res, 201, result);
-		} catch (err) {
-			sendDatabaseError(res);
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
 		}
-	});
+	);
+
+	// DELETE Endpoint to delete a coffee bean record (admin only)
+	// Note: deletion is refused if any recipe or logged brew still references the coffee bean
+	app.delete(
+		'/beans/:bean_id',
+		checkIfAuthenticated,
+		checkIfAdmin,
+		async function (req, res) {
+			// Extract coffee bean ID
+			let beanId = req.params.bean_id;
 
-	// --- Routes: Favorites ---
-	// GET Endpoint to retrieve all favorited coffee recipes of a user
-	// Note: Unable to use hashed email as search query since hash is always changing despite same key
-	// (currently using email for favorites collection)
-	app.get('/favorites/:email', async function (req, res) {
-		// Get query strings
-		let page = parseInt(req.query.page) || 1; // default page number is 1 if not specified
+			// Check that coffee bean ID is valid
+			if (!beanId || !ObjectId.isValid(beanId)) {
+				sendInvalidError(res, { bean_id: 'Invalid coffee bean ID' });
+				return; // End function
+			}
+
+			try {
+				// Check that coffee bean is not used by any recipe or logged brew
+				let recipeCount = await repositories.recipes.countUsingRecord(
+					'beans',
+					beanId
+				);
+				let brewCount = await repositories.brewLogs.countUsingRecord(
+					'beans',
+					beanId
+				);
+				if (recipeCount > 0 || brewCount > 0) {
+					sendInvalidError(res, {
+						bean_id:
+							'Coffee bean is still used by ' +
+							recipeCount +
+							' recipe(s) and ' +
+							brewCount +
+							' brew(s)'
+					});
+					return; // End function
+				}
+
+				let result = await repositories.catalogs.delete(
+					'beans',
+					beanId
+				);
+
+				if (result.deletedCount === 0) {
+					sendInvalidError(res, { id: 'Invalid coffee bean ID' });
+					return; // End function
+				}
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
 
-		// Validate if email is valid
-		let email = req.params.email;
-		if (!email || !validateEmail(email)) {
-			sendInvalidError(res, { email: 'Invalid email address' });
+	// --- Routes: Grinders ---
+	// GET Endpoint to retrieve all coffee grinder records
+	app.get('/grinders', async function (req, res) {
+		// Get page, limit and cursor from pagination query strings
+		let pagination = PaginationUtil.parsePagination(req.query);
+		if (Object.keys(pagination.errorData).length > 0) {
+			sendInvalidError(res, pagination.errorData);
 			return; // End function
 		}
 
 		try {
-			// Get user's favorited coffee recipes
-			let favoriteRecords = await db
-				.collection(DB_COLLECTION.favorites)
-				.findOne(
-					{
-						user_email: email
-					},
-					{
-						projection: {
-							coffee_recipes: 1
-						}
-					}
-				);
-
-			// If favorite records are found, extract all details of coffee recipes
-			if (favoriteRecords) {
-				// Populate referenced coffee recipes into favorite records
-				let recipes = [];
-				for (let recipeId of favoriteRecords.coffee_recipes) {
-					// Get each coffee recipe
-					let recipe = await getRecordById('recipes', recipeId);
+			const pageResult = await repositories.catalogs.findPage(
+				'grinders',
+				pagination
+			);
 
-					// Populate coffee recipe with fields of referenced documents
-					await populateRecipeFields(recipe);
+			if (!pageResult) {
+				sendInvalidError(res, { cursor: 'Invalid cursor' });
+				return; // End function
+			}
 
-					// Push populated coffee recipe to array
-					recipes.push(recipe);
-				}
+			const grinderRecords = pageResult.records;
+			sendSuccessResponse(res, 200, {
+				result: grinderRecords,
+				...getPageInfo(req, pagination, pageResult)
+			});
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
 
-				// Get index range of recipes to display (fixed limit of 10 documents per page)
-				let startIndex = (page - 1) * 10;
-				let endIndex = page * 10;
+	// GET Endpoint to retrive coffee grinder record by id
+	app.get('/grinders/:grinder_id', async function (req, res) {
+		try {
+			// Extract grinder ID
+			let grinderId = req.params.grinder_id;
 
-				// Get total number of pages
-				let totalPages = Math.ceil(recipes.length / 10);
+			// Check that grinder ID is valid
+			if (!grinderId || !ObjectId.isValid(grinderId)) {
+				sendInvalidError(res, {
+					grinder_id: 'Invalid coffee grinder ID'
+				});
+				return; // End function
+			}
 
-				// Data to be sent as response
-				let data = {
-					result: recipes.slice(startIndex, endIndex),
-					count: recipes.length,
-					pages: totalPages
-				};
+			const grinderRecord = await repositories.catalogs.findById(
+				'grinders',
+				grinderId
+			);
 
-				sendSuccessResponse(res, 200, data);
+			if (grinderRecord) {
+				sendSuccessResponse(res, 200, { result: grinderRecord });
 			} else {
-				// Assume there is no favorited coffee recipes yet (favorites collection not created yet)
-				let data = {
-					result: null,
-					pages: 1
-				};
-
-				sendSuccessResponse(res, 200, data);
+				sendInvalidError(res, { id: 'Invalid coffee grinder ID' });
 			}
 		} catch (err) {
 			sendDatabaseError(res);
 		}
 	});
 
-	// POST Endpoint to add recipe to favorites
-	app.post('/favorites/:email', async function (req, res) {
-		// Get recipe ID to be added to favorites collection
-		let recipeId = req.body.recipeId;
+	// POST Endpoint to create a new coffee grinder record
+	app.post('/grinders', checkIfAuthenticated, async function (req, res) {
+		// Get all fields for new coffee grinder and error log
+		let { brand, model, type, errorData } = validateFormatEquipmentFields(
+			req.body
+		);
 
-		// Check that recipe ID is valid
-		if (!recipeId || !ObjectId.isValid(recipeId)) {
-			sendInvalidError(res, { recipeId: 'Invalid recipe ID' });
+		// Return error message if there is any error so far
+		if (Object.keys(errorData).length > 0) {
+			sendInvalidError(res, errorData);
 			return; // End function
 		}
 
-		// Validate email
-		let email = req.params.email;
-		if (!email || !validateEmail(email)) {
-			sendInvalidError(res, { email: 'Invalid email address' });
-			return; // End function
+		try {
+			// Check that the same coffee grinder does not already exist
+			let existingRecord = await repositories.catalogs.findDuplicate(
+				'grinders',
+				{ brand: brand, model: model }
+			);
+
+			if (existingRecord) {
+				sendInvalidError(res, {
+					model: 'Coffee grinder with the same brand and model already exists'
+				});
+				return; // End function
+			}
+
+			let newGrinder = {
+				brand: brand,
+				model: model,
+				type: type
+			};
+
+			let result = await repositories.catalogs.insert(
+				'grinders',
+				newGrinder
+			);
+
+			sendSuccessResponse(res, 201, result);
+		} catch (err) {
+			sendDatabaseError(res);
 		}
+	});
 
-		try {
-			// Check if favorites collection exists for the user
-			let favoriteRecord = await db
-				.collection(DB_COLLECTION.favorites)
-				.findOne({
-					user_email: email
+	// PUT Endpoint to update a coffee grinder record (admin only)
+	app.put(
+		'/grinders/:grinder_id',
+		checkIfAuthenticated,
+		checkIfAdmin,
+		async function (req, res) {
+			// Extract coffee grinder ID
+			let grinderId = req.params.grinder_id;
+
+			// Check that coffee grinder ID is valid
+			if (!grinderId || !ObjectId.isValid(grinderId)) {
+				sendInvalidError(res, {
+					grinder_id: 'Invalid coffee grinder ID'
 				});
+				return; // End function
+			}
 
-			// If favorites collection exists, add coffee recipe ID to coffee_recipes array
-			if (favoriteRecord) {
-				// Check if recipe exists in the recipes collection
-				let recipeRecord = await getRecordById('recipes', recipeId);
-				if (!recipeRecord) {
-					sendInvalidError(res, {recipeId: 'Recipe does not exist'});
+			// Get all fields for coffee grinder and error log
+			let { brand, model, type, errorData } =
+				validateFormatEquipmentFields(req.body);
+
+			// Return error message if there is any error so far
+			if (Object.keys(errorData).length > 0) {
+				sendInvalidError(res, errorData);
+				return; // End function
+			}
+
+			try {
+				// Check that update does not duplicate another coffee grinder
+				let existingRecord = await repositories.catalogs.findDuplicate(
+					'grinders',
+					{ brand: brand, model: model },
+					grinderId
+				);
+
+				if (existingRecord) {
+					sendInvalidError(res, {
+						model: 'Coffee grinder with the same brand and model already exists'
+					});
 					return; // End function
 				}
 
-				// Check if recipe ID to be added already exists in user's favorites collection
-				let favoritedRecipeRecord = await db
-					.collection(DB_COLLECTION.favorites)
-					.findOne({
-						_id: favoriteRecord._id,
-						coffee_recipes: {
-							$in: [ObjectId(recipeId)]
-						}
-					});
+				let updatedGrinder = {
+					brand: brand,
+					model: model,
+					type: type
+				};
+
+				let result = await repositories.catalogs.update(
+					'grinders',
+					grinderId,
+					updatedGrinder
+				);
+
+				if (result.matchedCount === 0) {
+					sendInvalidError(res, { id: 'Invalid coffee grinder ID' });
+					return; // End function
+				}
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// DELETE Endpoint to delete a coffee grinder record (admin only)
+	// Note: deletion is refused if any recipe or logged brew still references the coffee grinder
+	app.delete(
+		'/grinders/:grinder_id',
+		checkIfAuthenticated,
+		checkIfAdmin,
+		async function (req, res) {
+			// Extract coffee grinder ID
+			let grinderId = req.params.grinder_id;
+
+			// Check that coffee grinder ID is valid
+			if (!grinderId || !ObjectId.isValid(grinderId)) {
+				sendInvalidError(res, {
+					grinder_id: 'Invalid coffee grinder ID'
+				});
+				return; // End function
+			}
 
-				if (favoritedRecipeRecord) {
+			try {
+				// Check that coffee grinder is not used by any recipe or logged brew
+				let recipeCount = await repositories.recipes.countUsingRecord(
+					'grinders',
+					grinderId
+				);
+				let brewCount = await repositories.brewLogs.countUsingRecord(
+					'grinders',
+					grinderId
+				);
+				if (recipeCount > 0 || brewCount > 0) {
 					sendInvalidError(res, {
-						recipeId: 'Recipe ID is already in favorites collection'
+						grinder_id:
+							'Coffee grinder is still used by ' +
+							recipeCount +
+							' recipe(s) and ' +
+							brewCount +
+							' brew(s)'
 					});
 					return; // End function
 				}
 
-				let result = await db
-					.collection(DB_COLLECTION.favorites)
-					.updateOne(
-						{
-							_id: ObjectId(favoriteRecord._id)
-						},
-						{
-							$push: {
-								coffee_recipes: ObjectId(recipeId)
-							}
-						}
-					);
+				let result = await repositories.catalogs.delete(
+					'grinders',
+					grinderId
+				);
+
+				if (result.deletedCount === 0) {
+					sendInvalidError(res, { id: 'Invalid coffee grinder ID' });
+					return; // End function
+				}
 
 				sendSuccessResponse(res, 200, result);
-			} else {
-				// If favorites collection does not exist, create a new favorites collection
-				let newFavoriteRecord = {
-					user_email: email,
-					coffee_recipes: [ObjectId(recipeId)]
-				};
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
 
-				let result = await db
-					.collection(DB_COLLECTION.favorites)
-					.insertOne(newFavoriteRecord);
+	// --- Routes: Brewers ---
+	// GET Endpoint to retrieve all coffee brewer records
+	app.get('/brewers', async function (req, res) {
+		// Get page, limit and cursor from pagination query strings
+		let pagination = PaginationUtil.parsePagination(req.query);
+		if (Object.keys(pagination.errorData).length > 0) {
+			sendInvalidError(res, pagination.errorData);
+			return; // End function
+		}
+
+		try {
+			const pageResult = await repositories.catalogs.findPage(
+				'brewers',
+				pagination
+			);
 
-				sendSuccessResponse(res, 201, result);
+			if (!pageResult) {
+				sendInvalidError(res, { cursor: 'Invalid cursor' });
+				return; // End function
 			}
+
+			const brewerRecords = pageResult.records;
+			sendSuccessResponse(res, 200, {
+				result: brewerRecords,
+				...getPageInfo(req, pagination, pageResult)
+			});
 		} catch (err) {
 			sendDatabaseError(res);
 		}
 	});
 
-	// DELETE Endpoint to remove recipe from favorites
-	app.delete('/favorites/:email', async function (req, res) {
-		// Get recipe ID to be added to favorites collection
-		let recipeId = req.body.recipeId;
-
-		// Check that recipe ID is valid
-		if (!recipeId || !ObjectId.isValid(recipeId)) {
-			sendInvalidError(res, { recipeId: 'Invalid recipe ID' });
-			return; // End function
-		}
-
-		// Validate email
-		let email = req.params.email;
-		if (!email || !validateEmail(email)) {
-			sendInvalidError(res, { email: 'Invalid email address' });
-			return; // End function
-		}
-
+	// GET Endpoint to retrive coffee brewer record by id
+	app.get('/brewers/:brewer_id', async function (req, res) {
 		try {
-			// Check if recipe ID to be deleted exists
-			let document = await db
-				.collection(DB_COLLECTION.favorites)
-				.findOne({
-					user_email: email,
-					coffee_recipes: {
-						$in: [ObjectId(recipeId)]
-					}
-				});
+			// Extract brewer ID
+			let brewerId = req.params.brewer_id;
 
-			if (!document) {
+			// Check that brewer ID is valid
+			if (!brewerId || !ObjectId.isValid(brewerId)) {
 				sendInvalidError(res, {
-					recipeId: 'Recipe ID does not exist in favorites collection'
+					brewer_id: 'Invalid coffee brewer ID'
 				});
 				return; // End function
 			}
 
-			let result = await db.collection(DB_COLLECTION.favorites).updateOne(
-				{
-					user_email: email,
-					coffee_recipes: {
-						$in: [ObjectId(recipeId)]
-					}
-				},
-				{
-					$pull: {
-						coffee_recipes: ObjectId(recipeId)
-					}
-				}
+			const brewerRecord = await repositories.catalogs.findById(
+				'brewers',
+				brewerId
 			);
 
-			sendSuccessResponse(res, 200, result);
+			if (brewerRecord) {
+				sendSuccessResponse(res, 200, { result: brewerRecord });
+			} else {
+				sendInvalidError(res, { id: 'Invalid coffee brewer ID' });
+			}
 		} catch (err) {
 			sendDatabaseError(res);
 		}
 	});
 
-	// --- Routes: Beans ---
-	// GET Endpoint to retrieve all coffee bean records
-	app.get('/beans', async function (req, res) {
-		try {
-			const beanRecords = await db
-				.collection(DB_COLLECTION.beans)
-				.find({})
-				.toArray();
-			sendSuccessResponse(res, 200, { result: beanRecords });
-		} catch (err) {
-			sendDatabaseError(res);
+	// POST Endpoint to create a new coffee brewer record
+	app.post('/brewers', checkIfAuthenticated, async function (req, res) {
+		// Get all fields for new coffee brewer and error log
+		let { brand, model, type, errorData } = validateFormatEquipmentFields(
+			req.body
+		);
+
+		// Return error message if there is any error so far
+		if (Object.keys(errorData).length > 0) {
+			sendInvalidError(res, errorData);
+			return; // End function
 		}
-	});
 
-	// GET Endpoint to retrive coffee bean record by id
-	app.get('/beans/:bean_id', async function (req, res) {
 		try {
-			// Extract bean ID
-			let beanId = req.params.bean_id;
+			// Check that the same coffee brewer does not already exist
+			let existingRecord = await repositories.catalogs.findDuplicate(
+				'brewers',
+				{ brand: brand, model: model }
+			);
 
-			// Check that bean ID is valid
-			if (!beanId || !ObjectId.isValid(beanId)) {
-				sendInvalidError(res, { bean_id: 'Invalid coffee bean ID' });
+			if (existingRecord) {
+				sendInvalidError(res, {
+					model: 'Coffee brewer with the same brand and model already exists'
+				});
 				return; // End function
 			}
 
-			const beanRecord = await getRecordById('beans', beanId);
+			let newBrewer = {
+				brand: brand,
+				model: model,
+				type: type
+			};
 
-			if (beanRecord) {
-				sendSuccessResponse(res, 200, { result: beanRecord });
-			} else {
-				sendInvalidError(res, { id: 'Invalid coffee bean ID' });
-			}
-		} catch (err) {
-			sendDatabaseError(res);
-		}
-	});
+			let result = await repositories.catalogs.insert(
+				'brewers',
+				newBrewer
+			);
 
-	// --- Routes: Grinders ---
-	// GET Endpoint to retrieve all coffee grinder records
-	app.get('/grinders', async function (req, res) {
-		try {
-			const grinderRecords = await db
-				.collection(DB_COLLECTION.grinders)
-				.find({})
-				.toArray();
-			sendSuccessResponse(res, 200, { result: grinderRecords });
+			sendSuccessResponse(res, 201, result);
 		} catch (err) {
 			sendDatabaseError(res);
 		}
 	});
 
-	// GET Endpoint to retrive coffee grinder record by id
-	app.get('/grinders/:grinder_id', async function (req, res) {
-		try {
-			// Extract grinder ID
-			let grinderId = req.params.grinder_id;
+	// PUT Endpoint to update a coffee brewer record (admin only)
+	app.put(
+		'/brewers/:brewer_id',
+		checkIfAuthenticated,
+		checkIfAdmin,
+		async function (req, res) {
+			// Extract coffee brewer ID
+			let brewerId = req.params.brewer_id;
 
-			// Check that grinder ID is valid
-			if (!grinderId || !ObjectId.isValid(grinderId)) {
+			// Check that coffee brewer ID is valid
+			if (!brewerId || !ObjectId.isValid(brewerId)) {
 				sendInvalidError(res, {
-					grinder_id: 'Invalid coffee grinder ID'
+					brewer_id: 'Invalid coffee brewer ID'
 				});
 				return; // End function
 			}
 
-			const grinderRecord = await getRecordById('grinders', grinderId);
+			// Get all fields for coffee brewer and error log
+			let { brand, model, type, errorData } =
+				validateFormatEquipmentFields(req.body);
 
-			if (grinderRecord) {
-				sendSuccessResponse(res, 200, { result: grinderRecord });
-			} else {
-				sendInvalidError(res, { id: 'Invalid coffee grinder ID' });
+			// Return error message if there is any error so far
+			if (Object.keys(errorData).length > 0) {
+				sendInvalidError(res, errorData);
+				return; // End function
 			}
-		} catch (err) {
-			sendDatabaseError(res);
-		}
-	});
 
-	// --- Routes: Brewers ---
-	// GET Endpoint to retrieve all coffee brewer records
-	app.get('/brewers', async function (req, res) {
-		try {
-			const brewerRecords = await db
-				.collection(DB_COLLECTION.brewers)
-				.find({})
-				.toArray();
-			sendSuccessResponse(res, 200, { result: brewerRecords });
-		} catch (err) {
-			sendDatabaseError(res);
-		}
-	});
+			try {
+				// Check that update does not duplicate another coffee brewer
+				let existingRecord = await repositories.catalogs.findDuplicate(
+					'brewers',
+					{ brand: brand, model: model },
+					brewerId
+				);
 
-	// GET Endpoint to retrive coffee brewer record by id
-	app.get('/brewers/:brewer_id', async function (req, res) {
-		try {
-			// Extract brewer ID
+				if (existingRecord) {
+					sendInvalidError(res, {
+						model: 'Coffee brewer with the same brand and model already exists'
+					});
+					return; // End function
+				}
+
+				let updatedBrewer = {
+					brand: brand,
+					model: model,
+					type: type
+				};
+
+				let result = await repositories.catalogs.update(
+					'brewers',
+					brewerId,
+					updatedBrewer
+				);
+
+				if (result.matchedCount === 0) {
+					sendInvalidError(res, { id: 'Invalid coffee brewer ID' });
+					return; // End function
+				}
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// DELETE Endpoint to delete a coffee brewer record (admin only)
+	// Note: deletion is refused if any recipe still references the coffee brewer
+	app.delete(
+		'/brewers/:brewer_id',
+		checkIfAuthenticated,
+		checkIfAdmin,
+		async function (req, res) {
+			// Extract coffee brewer ID
 			let brewerId = req.params.brewer_id;
 
-			// Check that brewer ID is valid
+			// Check that coffee brewer ID is valid
 			if (!brewerId || !ObjectId.isValid(brewerId)) {
 				sendInvalidError(res, {
 					brewer_id: 'Invalid coffee brewer ID'
@@ -1220,27 +5584,65 @@ async function main() {
 				return; // End function
 			}
 
-			const brewerRecord = await getRecordById('brewers', brewerId);
+			try {
+				// Check that coffee brewer is not used by any recipe
+				let recipeCount = await repositories.recipes.countUsingRecord(
+					'brewers',
+					brewerId
+				);
+				if (recipeCount > 0) {
+					sendInvalidError(res, {
+						brewer_id:
+							'Coffee brewer is still used by ' +
+							recipeCount +
+							' recipe(s)'
+					});
+					return; // End function
+				}
 
-			if (brewerRecord) {
-				sendSuccessResponse(res, 200, { result: brewerRecord });
-			} else {
-				sendInvalidError(res, { id: 'Invalid coffee brewer ID' });
+				let result = await repositories.catalogs.delete(
+					'brewers',
+					brewerId
+				);
+
+				if (result.deletedCount === 0) {
+					sendInvalidError(res, { id: 'Invalid coffee brewer ID' });
+					return; // End function
+				}
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
 			}
-		} catch (err) {
-			sendDatabaseError(res);
 		}
-	});
+	);
 
 	// --- Routes: Methods ---
 	// GET Endpoint to retrieve all brewing methods
 	app.get('/methods', async function (req, res) {
+		// Get page, limit and cursor from pagination query strings
+		let pagination = PaginationUtil.parsePagination(req.query);
+		if (Object.keys(pagination.errorData).length > 0) {
+			sendInvalidError(res, pagination.errorData);
+			return; // End function
+		}
+
 		try {
-			const methodRecords = await db
-				.collection(DB_COLLECTION.methods)
-				.find({})
-				.toArray();
-			sendSuccessResponse(res, 200, { result: methodRecords });
+			const pageResult = await repositories.catalogs.findPage(
+				'methods',
+				pagination
+			);
+
+			if (!pageResult) {
+				sendInvalidError(res, { cursor: 'Invalid cursor' });
+				return; // End function
+			}
+
+			const methodRecords = pageResult.records;
+			sendSuccessResponse(res, 200, {
+				result: methodRecords,
+				...getPageInfo(req, pagination, pageResult)
+			});
 		} catch (err) {
 			sendDatabaseError(res);
 		}
@@ -1260,7 +5662,10 @@ async function main() {
 				return; // End function
 			}
 
-			const methodRecord = await getRecordById('methods', methodId);
+			const methodRecord = await repositories.catalogs.findById(
+				'methods',
+				methodId
+			);
 
 			if (methodRecord) {
 				sendSuccessResponse(res, 200, { result: methodRecord });
@@ -1271,11 +5676,216 @@ async function main() {
 			sendDatabaseError(res);
 		}
 	});
+
+	// POST Endpoint to create a new brewing method record
+	app.post('/methods', checkIfAuthenticated, async function (req, res) {
+		// Get all fields for new brewing method and error log
+		let { name, errorData } = validateFormatMethodFields(req.body);
+
+		// Return error message if there is any error so far
+		if (Object.keys(errorData).length > 0) {
+			sendInvalidError(res, errorData);
+			return; // End function
+		}
+
+		try {
+			// Check that the same brewing method does not already exist
+			let existingRecord = await repositories.catalogs.findDuplicate(
+				'methods',
+				{ name: name }
+			);
+
+			if (existingRecord) {
+				sendInvalidError(res, {
+					name: 'Brewing method with the same name already exists'
+				});
+				return; // End function
+			}
+
+			let newMethod = {
+				name: name
+			};
+
+			let result = await repositories.catalogs.insert(
+				'methods',
+				newMethod
+			);
+
+			sendSuccessResponse(res, 201, result);
+		} catch (err) {
+			sendDatabaseError(res);
+		}
+	});
+
+	// PUT Endpoint to update a brewing method record (admin only)
+	app.put(
+		'/methods/:method_id',
+		checkIfAuthenticated,
+		checkIfAdmin,
+		async function (req, res) {
+			// Extract brewing method ID
+			let methodId = req.params.method_id;
+
+			// Check that brewing method ID is valid
+			if (!methodId || !ObjectId.isValid(methodId)) {
+				sendInvalidError(res, {
+					method_id: 'Invalid brewing method ID'
+				});
+				return; // End function
+			}
+
+			// Get all fields for brewing method and error log
+			let { name, errorData } = validateFormatMethodFields(req.body);
+
+			// Return error message if there is any error so far
+			if (Object.keys(errorData).length > 0) {
+				sendInvalidError(res, errorData);
+				return; // End function
+			}
+
+			try {
+				// Check that update does not duplicate another brewing method
+				let existingRecord = await repositories.catalogs.findDuplicate(
+					'methods',
+					{ name: name },
+					methodId
+				);
+
+				if (existingRecord) {
+					sendInvalidError(res, {
+						name: 'Brewing method with the same name already exists'
+					});
+					return; // End function
+				}
+
+				let updatedMethod = {
+					name: name
+				};
+
+				let result = await repositories.catalogs.update(
+					'methods',
+					methodId,
+					updatedMethod
+				);
+
+				if (result.matchedCount === 0) {
+					sendInvalidError(res, { id: 'Invalid brewing method ID' });
+					return; // End function
+				}
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	// DELETE Endpoint to delete a brewing method record (admin only)
+	// Note: deletion is refused if any recipe still references the brewing method
+	app.delete(
+		'/methods/:method_id',
+		checkIfAuthenticated,
+		checkIfAdmin,
+		async function (req, res) {
+			// Extract brewing method ID
+			let methodId = req.params.method_id;
+
+			// Check that brewing method ID is valid
+			if (!methodId || !ObjectId.isValid(methodId)) {
+				sendInvalidError(res, {
+					method_id: 'Invalid brewing method ID'
+				});
+				return; // End function
+			}
+
+			try {
+				// Check that brewing method is not used by any recipe
+				let recipeCount = await repositories.recipes.countUsingRecord(
+					'methods',
+					methodId
+				);
+				if (recipeCount > 0) {
+					sendInvalidError(res, {
+						method_id:
+							'Brewing method is still used by ' +
+							recipeCount +
+							' recipe(s)'
+					});
+					return; // End function
+				}
+
+				let result = await repositories.catalogs.delete(
+					'methods',
+					methodId
+				);
+
+				if (result.deletedCount === 0) {
+					sendInvalidError(res, { id: 'Invalid brewing method ID' });
+					return; // End function
+				}
+
+				sendSuccessResponse(res, 200, result);
+			} catch (err) {
+				sendDatabaseError(res);
+			}
+		}
+	);
+
+	return app;
+}
+
+// --- Main ---
+async function main() {
+	// Check required environment variables before connecting
+	// (eg. without TOKEN_SECRET every login would fail instead)
+	let missingVariables = REQUIRED_ENV_VARIABLES.filter(
+		(name) => !process.env[name]
+	);
+	if (missingVariables.length > 0) {
+		console.error(
+			'Missing required environment variables (see .env): ' +
+				missingVariables.join(', ')
+		);
+		process.exit(1);
+	}
+
+	// Connect to database
+	const db = await MongoUtil.connect(MONGO_URI, DB_NAME);
+
+	// Apply pending database migrations (see migrations/)
+	let appliedMigrations = await MigrationUtil.migrateUp(db);
+	for (let name of appliedMigrations) {
+		console.log('Applied migration ' + name);
+	}
+
+	const repositories = await MongoRepository.createRepositories(db, {
+		ratingPrior: RATING_PRIOR
+	});
+	const app = createApp(repositories, {
+		tokenSecret: TOKEN_SECRET,
+		tokenExpiry: TOKEN_EXPIRY,
+		emailKeySecret: EMAIL_KEY_SECRET,
+		reportHideThreshold: REPORT_HIDE_THRESHOLD,
+		rateLimits: RATE_LIMITS,
+		trustProxy: TRUST_PROXY
+	});
+
+	// --- Launch server ---
+	app.listen(PORT, function () {
+		console.log('Server has started.');
+	});
 }
 
-main();
+// Start server only if this file is run directly (tests create the app with other repositories)
+// Note: errors when starting (eg. database cannot be reached or migration fails) exit instead of leaving the process running
+if (require.main === module) {
+	main().catch(function (err) {
+		console.error(err);
+		process.exit(1);
+	});
+}
 
-// --- Launch server ---
-app.listen(PORT, function () {
-	console.log('Server has started.');
-});
+// Export functions for use in other JS files
+module.exports = {
+	createApp
+};
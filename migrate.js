@@ -0,0 +1,63 @@
+// Script to apply or revert database migrations (see migrations/)
+// Usage: node migrate.js [up|down|status] [version]
+// -> up applies all pending migrations (up to version if specified)
+// -> down reverts the latest applied migration (or all migrations after version if specified)
+// -> status lists all migrations and whether they have been applied
+// Note: pending migrations are also applied when the server starts
+
+// --- Setup dependencies ---
+require('dotenv').config();
+const MongoUtil = require('./utilities/MongoUtil');
+const DatabaseUtil = require('./utilities/DatabaseUtil');
+const MigrationUtil = require('./utilities/MigrationUtil');
+
+// --- Global variables ---
+const MONGO_URI = process.env.MONGO_URI;
+
+async function main() {
+	let [command, version] = process.argv.slice(2);
+	command = command || 'up';
+
+	let targetVersion;
+	if (version !== undefined) {
+		targetVersion = parseInt(version);
+		if (isNaN(targetVersion) || targetVersion < 0) {
+			console.error('Version must be a non-negative integer');
+			process.exit(1);
+		}
+	}
+
+	if (!['up', 'down', 'status'].includes(command)) {
+		console.error('Usage: node migrate.js [up|down|status] [version]');
+		process.exit(1);
+	}
+
+	let db = await MongoUtil.connect(MONGO_URI, DatabaseUtil.DB_NAME);
+
+	if (command === 'status') {
+		let migrations = await MigrationUtil.getStatus(db);
+		for (let migration of migrations) {
+			console.log(
+				(migration.applied ? '[applied] ' : '[pending] ') +
+					migration.name +
+					' - ' +
+					migration.description
+			);
+		}
+	} else if (command === 'up') {
+		let names = await MigrationUtil.migrateUp(db, targetVersion);
+		names.forEach((name) => console.log('Applied ' + name));
+		console.log(names.length + ' migration(s) applied.');
+	} else {
+		let names = await MigrationUtil.migrateDown(db, targetVersion);
+		names.forEach((name) => console.log('Reverted ' + name));
+		console.log(names.length + ' migration(s) reverted.');
+	}
+
+	process.exit(0);
+}
+
+main().catch(function (err) {
+	console.error(err);
+	process.exit(1);
+});
@@ -0,0 +1,111 @@
+// Migration to normalise documents created before document shapes were enforced
+// -> references stored as id strings are converted to ObjectIds and date strings to dates
+// -> recipes without reviews get an empty reviews array, ratings stored as strings are converted
+// to integers, and average ratings and canonical quantities are recomputed
+// -> favorites keyed by plain email are linked to the user account with the same email
+// Note: changes cannot be reverted (down does nothing) since the original values are not kept
+
+// Require dependencies
+const ObjectId = require('mongodb').ObjectId;
+const UnitUtil = require('../utilities/UnitUtil');
+const DatabaseUtil = require('../utilities/DatabaseUtil');
+
+const DB_COLLECTION = DatabaseUtil.DB_COLLECTION;
+
+// Function to convert an id string to ObjectId (other values are returned unchanged)
+function toObjectId(id) {
+  if (typeof id === 'string' && ObjectId.isValid(id)) {
+    return ObjectId(id);
+  }
+  return id;
+}
+
+// Function to convert a date string to Date (other values are returned unchanged)
+function toDate(date) {
+  return typeof date === 'string' ? new Date(date) : date;
+}
+
+// Function to get the normalised fields of a recipe
+function getRecipeUpdate(recipe) {
+  const reviews = (recipe.reviews || []).map((review) => ({
+    ...review,
+    date: toDate(review.date),
+    rating: parseInt(review.rating)
+  }));
+  const ratings = reviews
+    .map((review) => review.rating)
+    .filter((rating) => !isNaN(rating));
+
+  const waterAmountMl =
+    recipe.amount_of_water_ml ||
+    UnitUtil.parseQuantity(recipe.amount_of_water, 'liquid');
+
+  return {
+    date: toDate(recipe.date),
+    brewing_method: toObjectId(recipe.brewing_method),
+    brewer: toObjectId(recipe.brewer),
+    grinder: recipe.grinder ? toObjectId(recipe.grinder) : null,
+    coffee_beans: (recipe.coffee_beans || []).map(toObjectId),
+    amount_of_coffee: Number(recipe.amount_of_coffee),
+    water_temperature: Number(recipe.water_temperature),
+    total_brew_time_seconds:
+      recipe.total_brew_time_seconds ||
+      UnitUtil.parseQuantity(recipe.total_brew_time, 'time'),
+    brew_yield_ml:
+      recipe.brew_yield_ml || UnitUtil.parseQuantity(recipe.brew_yield, 'liquid'),
+    amount_of_water_ml: waterAmountMl,
+    brew_ratio:
+      recipe.brew_ratio ||
+      UnitUtil.computeBrewRatio(Number(recipe.amount_of_coffee), waterAmountMl),
+    reviews: reviews,
+    average_rating:
+      ratings.length > 0
+        ? UnitUtil.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length, 1)
+        : 0
+  };
+}
+
+async function up(db) {
+  const recipes = await db.collection(DB_COLLECTION.recipes).find({}).toArray();
+  if (recipes.length > 0) {
+    await db.collection(DB_COLLECTION.recipes).bulkWrite(
+      recipes.map((recipe) => ({
+        updateOne: {
+          filter: { _id: recipe._id },
+          update: { $set: getRecipeUpdate(recipe) }
+        }
+      }))
+    );
+  }
+
+  const favorites = await db.collection(DB_COLLECTION.favorites).find({}).toArray();
+  for (let favorite of favorites) {
+    const update = {
+      $set: {
+        coffee_recipes: (favorite.coffee_recipes || []).map(toObjectId)
+      }
+    };
+
+    if (!favorite.user_id && favorite.user_email) {
+      const user = await db
+        .collection(DB_COLLECTION.users)
+        .findOne({ email: favorite.user_email }, { projection: { _id: 1 } });
+      if (user) {
+        update.$set.user_id = user._id;
+        update.$unset = { user_email: '' };
+      }
+    }
+
+    await db.collection(DB_COLLECTION.favorites).updateOne({ _id: favorite._id }, update);
+  }
+}
+
+async function down() {
+  // Normalised documents are still valid for older versions of the server
+}
+
+module.exports = {
+  description: 'Normalise references, reviews and quantities of legacy documents',
+  up,
+  down
+}
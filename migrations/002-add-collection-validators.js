@@ -0,0 +1,159 @@
+// Migration to add $jsonSchema validators to the recipe, favorite and catalog collections
+// -> documents that are inserted or updated must have the fields and types expected by the server
+// Note: validation level is 'moderate' so that existing documents that still do not match
+// (eg. legacy favorites that could not be linked to a user) can be updated or deleted
+
+// Require dependencies
+const DatabaseUtil = require('../utilities/DatabaseUtil');
+
+const DB_COLLECTION = DatabaseUtil.DB_COLLECTION;
+
+const ROAST_LEVELS = ['Light', 'Medium Light', 'Medium', 'Medium Dark', 'Dark'];
+const EQUIPMENT_TYPES = ['Manual', 'Electric'];
+
+const stringArray = { bsonType: 'array', items: { bsonType: 'string' } };
+
+const equipmentSchema = {
+  bsonType: 'object',
+  required: ['brand', 'model', 'type'],
+  properties: {
+    brand: { bsonType: 'string' },
+    model: { bsonType: 'string' },
+    type: { enum: EQUIPMENT_TYPES }
+  }
+};
+
+const SCHEMAS = {
+  [DB_COLLECTION.recipes]: {
+    bsonType: 'object',
+    required: [
+      'recipe_name',
+      'description',
+      'user',
+      'date',
+      'total_brew_time',
+      'brew_yield',
+      'brewing_method',
+      'coffee_beans',
+      'amount_of_coffee',
+      'amount_of_water',
+      'water_temperature',
+      'brewer',
+      'steps',
+      'reviews',
+      'average_rating'
+    ],
+    properties: {
+      image_url: { bsonType: 'string' },
+      recipe_name: { bsonType: 'string' },
+      description: { bsonType: 'string' },
+      average_rating: { bsonType: 'number', minimum: 0, maximum: 5 },
+      user: {
+        bsonType: 'object',
+        required: ['username'],
+        properties: {
+          _id: { bsonType: 'objectId' },
+          username: { bsonType: 'string' }
+        }
+      },
+      date: { bsonType: 'date' },
+      date_modified: { bsonType: 'date' },
+      total_brew_time: { bsonType: 'string' },
+      total_brew_time_seconds: { bsonType: ['number', 'null'] },
+      brew_yield: { bsonType: 'string' },
+      brew_yield_ml: { bsonType: ['number', 'null'] },
+      brewing_method: { bsonType: 'objectId' },
+      coffee_beans: { bsonType: 'array', minItems: 1, items: { bsonType: 'objectId' } },
+      bean_search_text: { bsonType: 'string' },
+      coffee_rest_period: { bsonType: 'string' },
+      amount_of_coffee: { bsonType: 'number' },
+      grinder: { bsonType: ['objectId', 'null'] },
+      grind_setting: { bsonType: 'string' },
+      amount_of_water: { bsonType: 'string' },
+      amount_of_water_ml: { bsonType: ['number', 'null'] },
+      brew_ratio: { bsonType: ['number', 'null'] },
+      water_temperature: { bsonType: 'number' },
+      additional_ingredients: stringArray,
+      brewer: { bsonType: 'objectId' },
+      additional_equipment: stringArray,
+      steps: stringArray,
+      reviews: {
+        bsonType: 'array',
+        items: {
+          bsonType: 'object',
+          required: ['_id', 'date', 'title', 'content', 'rating'],
+          properties: {
+            _id: { bsonType: 'objectId' },
+            date: { bsonType: 'date' },
+            title: { bsonType: 'string' },
+            content: { bsonType: 'string' },
+            rating: { bsonType: 'int', minimum: 1, maximum: 5 },
+            user_id: { bsonType: 'objectId' },
+            username: { bsonType: 'string' }
+          }
+        }
+      },
+      version: { bsonType: 'int', minimum: 1 },
+      ancestors: { bsonType: 'array', items: { bsonType: 'objectId' } },
+      fork_count: { bsonType: 'int', minimum: 0 }
+    }
+  },
+  [DB_COLLECTION.favorites]: {
+    bsonType: 'object',
+    required: ['user_id', 'coffee_recipes'],
+    properties: {
+      user_id: { bsonType: 'objectId' },
+      coffee_recipes: { bsonType: 'array', items: { bsonType: 'objectId' } }
+    }
+  },
+  [DB_COLLECTION.beans]: {
+    bsonType: 'object',
+    required: ['name', 'roast_level', 'blend', 'variety', 'roaster', 'origins'],
+    properties: {
+      name: { bsonType: 'string' },
+      roast_level: { enum: ROAST_LEVELS },
+      blend: { bsonType: 'bool' },
+      variety: { bsonType: 'string' },
+      flavor_notes: stringArray,
+      roaster: { bsonType: 'string' },
+      origins: { bsonType: 'array', minItems: 1, items: { bsonType: 'string' } }
+    }
+  },
+  [DB_COLLECTION.grinders]: equipmentSchema,
+  [DB_COLLECTION.brewers]: equipmentSchema,
+  [DB_COLLECTION.methods]: {
+    bsonType: 'object',
+    required: ['name'],
+    properties: {
+      name: { bsonType: 'string' }
+    }
+  }
+};
+
+// Function to set the validator of a collection (collection is created if it does not exist)
+async function setValidator(db, collection, validator, validationLevel) {
+  const existing = await db.listCollections({ name: collection }).toArray();
+  if (existing.length === 0) {
+    await db.createCollection(collection, { validator, validationLevel });
+    return;
+  }
+  await db.command({ collMod: collection, validator, validationLevel });
+}
+
+async function up(db) {
+  for (let collection in SCHEMAS) {
+    await setValidator(db, collection, { $jsonSchema: SCHEMAS[collection] }, 'moderate');
+  }
+}
+
+async function down(db) {
+  for (let collection in SCHEMAS) {
+    await setValidator(db, collection, {}, 'off');
+  }
+}
+
+module.exports = {
+  description: 'Add $jsonSchema validators to recipes, favorites, beans, grinders, brewers and methods',
+  up,
+  down
+}
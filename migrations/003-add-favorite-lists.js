@@ -0,0 +1,92 @@
+// Migration to turn favorites records into named lists (a user can have several lists)
+// -> existing records become a list named 'Favorites' without notes or share link
+// -> the favorites validator requires a list name and only allows the new list fields
+// -> share tokens get a unique index so that a share link always resolves to one list
+// Note: down restores the previous validator and index but keeps the list fields,
+// which are still valid for the previous schema
+
+// Require dependencies
+const DatabaseUtil = require('../utilities/DatabaseUtil');
+
+const DB_COLLECTION = DatabaseUtil.DB_COLLECTION;
+
+const DEFAULT_LIST_NAME = 'Favorites';
+const SHARE_TOKEN_INDEX = 'favorites_share_token';
+
+const LIST_SCHEMA = {
+  bsonType: 'object',
+  required: ['user_id', 'name', 'coffee_recipes'],
+  properties: {
+    user_id: { bsonType: 'objectId' },
+    name: { bsonType: 'string', minLength: 1 },
+    notes: { bsonType: 'string' },
+    coffee_recipes: { bsonType: 'array', items: { bsonType: 'objectId' } },
+    share_token: { bsonType: ['string', 'null'] },
+    date: { bsonType: 'date' },
+    date_modified: { bsonType: 'date' }
+  }
+};
+
+// Schema of favorites before this migration (see 002-add-collection-validators)
+const PREVIOUS_SCHEMA = {
+  bsonType: 'object',
+  required: ['user_id', 'coffee_recipes'],
+  properties: {
+    user_id: { bsonType: 'objectId' },
+    coffee_recipes: { bsonType: 'array', items: { bsonType: 'objectId' } }
+  }
+};
+
+async function up(db) {
+  // Name existing records (date of list is taken from its ObjectId)
+  const records = await db
+    .collection(DB_COLLECTION.favorites)
+    .find({ name: { $exists: false } }, { projection: { _id: 1 } })
+    .toArray();
+
+  for (let record of records) {
+    await db.collection(DB_COLLECTION.favorites).updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          name: DEFAULT_LIST_NAME,
+          notes: '',
+          share_token: null,
+          date: record._id.getTimestamp()
+        }
+      }
+    );
+  }
+
+  await db.command({
+    collMod: DB_COLLECTION.favorites,
+    validator: { $jsonSchema: LIST_SCHEMA },
+    validationLevel: 'moderate'
+  });
+
+  // Note: partial index so that lists without share link (null) are not treated as duplicates
+  await db.collection(DB_COLLECTION.favorites).createIndex(
+    { share_token: 1 },
+    {
+      name: SHARE_TOKEN_INDEX,
+      unique: true,
+      partialFilterExpression: { share_token: { $type: 'string' } }
+    }
+  );
+}
+
+async function down(db) {
+  await db.collection(DB_COLLECTION.favorites).dropIndex(SHARE_TOKEN_INDEX);
+
+  await db.command({
+    collMod: DB_COLLECTION.favorites,
+    validator: { $jsonSchema: PREVIOUS_SCHEMA },
+    validationLevel: 'moderate'
+  });
+}
+
+module.exports = {
+  description: 'Turn favorites into named lists with notes, ordering and share links',
+  up,
+  down
+}
@@ -0,0 +1,50 @@
+// Migration to remove plain email addresses from favorites records
+// -> favorites still keyed by user_email (no user account with the email when 001 was applied)
+// are linked to the user account with the same email if one has been registered since
+// -> the remaining records keep an opaque key of the email (email_key, see TokenUtil.generateEmailKey)
+// so that they are linked to the user account when a user registers with the email
+// Note: EMAIL_KEY_SECRET must be set (and be the same as the server's) if there are such records
+// Note: changes cannot be reverted (down does nothing) since the emails are not kept
+
+// Require dependencies
+const TokenUtil = require('../utilities/TokenUtil');
+const DatabaseUtil = require('../utilities/DatabaseUtil');
+
+const DB_COLLECTION = DatabaseUtil.DB_COLLECTION;
+
+async function up(db) {
+  const favorites = await db
+    .collection(DB_COLLECTION.favorites)
+    .find({ user_email: { $exists: true } })
+    .toArray();
+
+  for (let favorite of favorites) {
+    const update = { $unset: { user_email: '' } };
+
+    const user = favorite.user_id
+      ? null
+      : await db.collection(DB_COLLECTION.users).findOne({ email: favorite.user_email }, { projection: { _id: 1 } });
+
+    if (user) {
+      update.$set = { user_id: user._id };
+    } else if (!favorite.user_id) {
+      const secret = process.env.EMAIL_KEY_SECRET;
+      if (!secret) {
+        throw new Error('EMAIL_KEY_SECRET must be set to remove emails of favorites without a user account');
+      }
+      update.$set = { email_key: TokenUtil.generateEmailKey(favorite.user_email, secret) };
+    }
+
+    await db.collection(DB_COLLECTION.favorites).updateOne({ _id: favorite._id }, update);
+  }
+}
+
+async function down() {
+  // Emails cannot be restored from their keys
+}
+
+module.exports = {
+  description: 'Replace emails of favorites with user IDs or opaque email keys',
+  up,
+  down
+}
@@ -0,0 +1,45 @@
+// Migration to add the weighted rating, review count and rating histogram of every recipe
+// (average rating is also recomputed in the same way)
+// -> weighted ratings use the prior in RATING_PRIOR_MEAN and RATING_PRIOR_WEIGHT (see RatingUtil.getRatingPrior)
+// Note: to recompute weighted ratings after changing the prior, use recompute-ratings.js
+// (npm run ratings:recompute) instead of reverting this migration
+
+// Require dependencies
+const RatingUtil = require('../utilities/RatingUtil');
+const DatabaseUtil = require('../utilities/DatabaseUtil');
+
+const DB_COLLECTION = DatabaseUtil.DB_COLLECTION;
+
+async function up(db) {
+  const ratingPrior = RatingUtil.getRatingPrior(process.env.RATING_PRIOR_MEAN, process.env.RATING_PRIOR_WEIGHT);
+
+  const recipes = await db
+    .collection(DB_COLLECTION.recipes)
+    .find({}, { projection: { reviews: 1 } })
+    .toArray();
+
+  for (let recipe of recipes) {
+    await db
+      .collection(DB_COLLECTION.recipes)
+      .updateOne({ _id: recipe._id }, { $set: RatingUtil.getRatingSummary(recipe.reviews, ratingPrior) });
+  }
+}
+
+async function down(db) {
+  await db.collection(DB_COLLECTION.recipes).updateMany(
+    {},
+    {
+      $unset: {
+        weighted_rating: '',
+        review_count: '',
+        rating_histogram: ''
+      }
+    }
+  );
+}
+
+module.exports = {
+  description: 'Add weighted rating, review count and rating histogram to recipes',
+  up,
+  down
+}
@@ -0,0 +1,58 @@
+// Migration to add the reports collection used for moderation of recipes and reviews
+// -> each user can report the same recipe or review once (unique index)
+// -> moderation queue lists reports by status, newest first (index)
+// Note: reverting only removes the validator and indexes (reports are kept)
+
+// Require dependencies
+const DatabaseUtil = require('../utilities/DatabaseUtil');
+
+const DB_COLLECTION = DatabaseUtil.DB_COLLECTION;
+
+const REPORT_SCHEMA = {
+  bsonType: 'object',
+  required: ['target_type', 'recipe_id', 'review_id', 'reason', 'details', 'user_id', 'date', 'status'],
+  properties: {
+    target_type: { enum: ['recipe', 'review'] },
+    recipe_id: { bsonType: 'objectId' },
+    review_id: { bsonType: ['objectId', 'null'] },
+    reason: { enum: ['spam', 'abuse', 'offensive', 'misleading', 'other'] },
+    details: { bsonType: 'string' },
+    user_id: { bsonType: 'objectId' },
+    date: { bsonType: 'date' },
+    status: { enum: ['open', 'resolved'] },
+    resolution: { enum: ['hide', 'dismiss'] },
+    note: { bsonType: 'string' },
+    resolved_by: { bsonType: 'objectId' },
+    date_resolved: { bsonType: 'date' }
+  }
+};
+
+async function up(db) {
+  const existing = await db.listCollections({ name: DB_COLLECTION.reports }).toArray();
+  const options = {
+    validator: { $jsonSchema: REPORT_SCHEMA },
+    validationLevel: 'moderate'
+  };
+  if (existing.length === 0) {
+    await db.createCollection(DB_COLLECTION.reports, options);
+  } else {
+    await db.command({ collMod: DB_COLLECTION.reports, ...options });
+  }
+
+  await db
+    .collection(DB_COLLECTION.reports)
+    .createIndex({ recipe_id: 1, review_id: 1, user_id: 1 }, { name: 'reports_user_target', unique: true });
+  await db.collection(DB_COLLECTION.reports).createIndex({ status: 1, date: -1 }, { name: 'reports_queue' });
+}
+
+async function down(db) {
+  await db.command({ collMod: DB_COLLECTION.reports, validator: {}, validationLevel: 'off' });
+  await db.collection(DB_COLLECTION.reports).dropIndex('reports_user_target');
+  await db.collection(DB_COLLECTION.reports).dropIndex('reports_queue');
+}
+
+module.exports = {
+  description: 'Add reports collection for moderation of recipes and reviews',
+  up,
+  down
+}
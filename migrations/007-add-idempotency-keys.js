@@ -0,0 +1,37 @@
+// Migration to add the idempotency_keys collection used to replay responses of repeated requests
+// (eg. a recipe submitted twice by double-clicking is only created once)
+// -> each user can use the same key once (unique index)
+// -> keys are removed by MongoDB 24 hours after they are used (TTL index, same as IDEMPOTENCY_KEY_EXPIRY_HOURS of index.js)
+// Note: reverting only removes the indexes (keys are kept so that repeated requests are still recognised)
+
+// Require dependencies
+const DatabaseUtil = require('../utilities/DatabaseUtil');
+
+const DB_COLLECTION = DatabaseUtil.DB_COLLECTION;
+
+const IDEMPOTENCY_KEY_EXPIRY_SECONDS = 24 * 60 * 60;
+
+async function up(db) {
+  const existing = await db.listCollections({ name: DB_COLLECTION.idempotencyKeys }).toArray();
+  if (existing.length === 0) {
+    await db.createCollection(DB_COLLECTION.idempotencyKeys);
+  }
+
+  await db
+    .collection(DB_COLLECTION.idempotencyKeys)
+    .createIndex({ user_id: 1, key: 1 }, { name: 'idempotency_keys_user_key', unique: true });
+  await db
+    .collection(DB_COLLECTION.idempotencyKeys)
+    .createIndex({ date: 1 }, { name: 'idempotency_keys_expiry', expireAfterSeconds: IDEMPOTENCY_KEY_EXPIRY_SECONDS });
+}
+
+async function down(db) {
+  await db.collection(DB_COLLECTION.idempotencyKeys).dropIndex('idempotency_keys_user_key');
+  await db.collection(DB_COLLECTION.idempotencyKeys).dropIndex('idempotency_keys_expiry');
+}
+
+module.exports = {
+  description: 'Add idempotency keys collection for repeated requests',
+  up,
+  down
+}
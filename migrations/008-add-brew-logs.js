@@ -0,0 +1,77 @@
+// Migration to add the brew_logs collection used to log brews of recipes made by users
+// -> brews are listed by user, latest first (index)
+// -> brews of a recipe are summarised by GET /recipes/:recipe_id/brews/summary (index)
+// Note: reverting only removes the validator and indexes (brew history of users is kept)
+
+// Require dependencies
+const DatabaseUtil = require('../utilities/DatabaseUtil');
+
+const DB_COLLECTION = DatabaseUtil.DB_COLLECTION;
+
+const BREW_LOG_SCHEMA = {
+  bsonType: 'object',
+  required: [
+    'recipe_id',
+    'recipe_version',
+    'user_id',
+    'bean',
+    'grinder',
+    'grind_setting',
+    'amount_of_coffee',
+    'brew_time',
+    'brew_time_seconds',
+    'brew_yield',
+    'brew_yield_ml',
+    'yield_ratio',
+    'date'
+  ],
+  properties: {
+    recipe_id: { bsonType: 'objectId' },
+    recipe_version: { bsonType: 'int', minimum: 1 },
+    user_id: { bsonType: 'objectId' },
+    bean: { bsonType: 'objectId' },
+    roast_date: { bsonType: ['date', 'null'] },
+    grinder: { bsonType: 'objectId' },
+    grind_setting: { bsonType: 'string' },
+    amount_of_coffee: { bsonType: 'number' },
+    brew_time: { bsonType: 'string' },
+    brew_time_seconds: { bsonType: 'number' },
+    brew_yield: { bsonType: 'string' },
+    brew_yield_ml: { bsonType: 'number' },
+    yield_ratio: { bsonType: 'number' },
+    tds: { bsonType: ['number', 'null'] },
+    extraction_yield: { bsonType: ['number', 'null'] },
+    tasting_notes: { bsonType: 'string' },
+    score: { bsonType: ['int', 'null'], minimum: 1, maximum: 10 },
+    date: { bsonType: 'date' },
+    date_modified: { bsonType: 'date' }
+  }
+};
+
+async function up(db) {
+  const existing = await db.listCollections({ name: DB_COLLECTION.brewLogs }).toArray();
+  const options = {
+    validator: { $jsonSchema: BREW_LOG_SCHEMA },
+    validationLevel: 'moderate'
+  };
+  if (existing.length === 0) {
+    await db.createCollection(DB_COLLECTION.brewLogs, options);
+  } else {
+    await db.command({ collMod: DB_COLLECTION.brewLogs, ...options });
+  }
+
+  await db.collection(DB_COLLECTION.brewLogs).createIndex({ user_id: 1, date: -1 }, { name: 'brew_logs_user' });
+  await db.collection(DB_COLLECTION.brewLogs).createIndex({ recipe_id: 1 }, { name: 'brew_logs_recipe' });
+}
+
+async function down(db) {
+  await db.command({ collMod: DB_COLLECTION.brewLogs, validator: {}, validationLevel: 'off' });
+  await db.collection(DB_COLLECTION.brewLogs).dropIndex('brew_logs_user');
+  await db.collection(DB_COLLECTION.brewLogs).dropIndex('brew_logs_recipe');
+}
+
+module.exports = {
+  description: 'Add brew logs collection for brews of recipes',
+  up,
+  down
+}
@@ -0,0 +1,74 @@
+// Migration to add the indexes used to look up users by email and revoked access tokens
+// -> emails of users are converted to lowercase (same as register and login) and are unique (index),
+//    so that the same email cannot be registered twice with different case
+// -> revoked tokens are looked up by token (index) and removed by MongoDB once they expire (TTL index on
+//    date_expires, which is added to tokens revoked before this migration from their expiry)
+// Note: fails without changes if users have the same email in different case (accounts must be merged first)
+// Note: reverting only removes the indexes (emails stay in lowercase)
+
+// Require dependencies
+const jwt = require('jsonwebtoken');
+const DatabaseUtil = require('../utilities/DatabaseUtil');
+
+const DB_COLLECTION = DatabaseUtil.DB_COLLECTION;
+
+async function up(db) {
+  const users = await db
+    .collection(DB_COLLECTION.users)
+    .find({ email: { $type: 'string' } }, { projection: { email: 1 } })
+    .toArray();
+
+  // Check that no two users have the same email in different case before changing any of them
+  const emails = new Set();
+  const duplicates = [];
+  for (let user of users) {
+    const email = user.email.trim().toLowerCase();
+    if (emails.has(email)) {
+      duplicates.push(email);
+    }
+    emails.add(email);
+  }
+  if (duplicates.length > 0) {
+    throw new Error('Users must be merged first, emails registered more than once: ' + duplicates.join(', '));
+  }
+
+  for (let user of users) {
+    const email = user.email.trim().toLowerCase();
+    if (email !== user.email) {
+      await db.collection(DB_COLLECTION.users).updateOne({ _id: user._id }, { $set: { email: email } });
+    }
+  }
+  await db.collection(DB_COLLECTION.users).createIndex({ email: 1 }, { name: 'users_email', unique: true });
+
+  // Add expiry of tokens revoked before this migration (tokens that cannot be decoded expire now)
+  const tokens = await db
+    .collection(DB_COLLECTION.blacklistedTokens)
+    .find({ date_expires: { $exists: false } })
+    .toArray();
+  for (let record of tokens) {
+    const payload = jwt.decode(record.token);
+    const dateExpires = payload && payload.exp ? new Date(payload.exp * 1000) : new Date();
+    await db
+      .collection(DB_COLLECTION.blacklistedTokens)
+      .updateOne({ _id: record._id }, { $set: { date_expires: dateExpires } });
+  }
+
+  await db
+    .collection(DB_COLLECTION.blacklistedTokens)
+    .createIndex({ token: 1 }, { name: 'blacklisted_tokens_token' });
+  await db
+    .collection(DB_COLLECTION.blacklistedTokens)
+    .createIndex({ date_expires: 1 }, { name: 'blacklisted_tokens_expiry', expireAfterSeconds: 0 });
+}
+
+async function down(db) {
+  await db.collection(DB_COLLECTION.users).dropIndex('users_email');
+  await db.collection(DB_COLLECTION.blacklistedTokens).dropIndex('blacklisted_tokens_token');
+  await db.collection(DB_COLLECTION.blacklistedTokens).dropIndex('blacklisted_tokens_expiry');
+}
+
+module.exports = {
+  description: 'Add unique lowercase emails of users and indexes of revoked tokens',
+  up,
+  down
+}
@@ -0,0 +1,47 @@
+// Script to recompute the rating fields of all recipes from their reviews
+// Usage: node recompute-ratings.js
+// -> average rating, weighted rating, review count and rating histogram are recomputed
+//    with the prior in RATING_PRIOR_MEAN and RATING_PRIOR_WEIGHT (see RatingUtil.getRatingPrior)
+// Note: run after changing the prior (safe to run again at any time, no other data is changed)
+
+// --- Setup dependencies ---
+require('dotenv').config();
+const MongoUtil = require('./utilities/MongoUtil');
+const DatabaseUtil = require('./utilities/DatabaseUtil');
+const RatingUtil = require('./utilities/RatingUtil');
+const MongoRepository = require('./repositories/MongoRepository');
+
+// --- Global variables ---
+const MONGO_URI = process.env.MONGO_URI;
+const RATING_PRIOR = RatingUtil.getRatingPrior(
+	process.env.RATING_PRIOR_MEAN,
+	process.env.RATING_PRIOR_WEIGHT
+);
+
+async function main() {
+	let db = await MongoUtil.connect(MONGO_URI, DatabaseUtil.DB_NAME);
+
+	let repositories = await MongoRepository.createRepositories(db, {
+		ratingPrior: RATING_PRIOR
+	});
+
+	let result = await repositories.recipes.recomputeRatings();
+	console.log(
+		'Recomputed ratings of ' +
+			result.matchedCount +
+			' recipe(s) (' +
+			result.modifiedCount +
+			' changed) with prior mean ' +
+			RATING_PRIOR.mean +
+			' and weight ' +
+			RATING_PRIOR.weight +
+			'.'
+	);
+
+	process.exit(0);
+}
+
+main().catch(function (err) {
+	console.error(err);
+	process.exit(1);
+});
@@ -0,0 +1,1000 @@
+// Require dependencies
+const ObjectId = require('mongodb').ObjectId;
+const PaginationUtil = require('../utilities/PaginationUtil');
+const SearchUtil = require('../utilities/SearchUtil');
+const RatingUtil = require('../utilities/RatingUtil');
+const DatabaseUtil = require('../utilities/DatabaseUtil');
+
+const CATALOG_RECIPE_FIELD = DatabaseUtil.CATALOG_RECIPE_FIELD;
+const CATALOG_BREW_LOG_FIELD = DatabaseUtil.CATALOG_BREW_LOG_FIELD;
+
+// Weights of recipe fields for full-text search (same as the text index of MongoRepository)
+const TEXT_SEARCH_WEIGHTS = {
+  recipe_name: 10,
+  bean_search_text: 5,
+  description: 3,
+  additional_ingredients: 2,
+  steps: 1
+};
+
+// Function to copy a record so that stored records cannot be changed outside of the repository
+// -> ObjectIds and dates are kept as ObjectIds and dates
+function copy(value) {
+  if (value instanceof ObjectId) {
+    return value;
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(copy);
+  }
+  if (value && typeof value === 'object') {
+    const copied = {};
+    for (let key in value) {
+      copied[key] = copy(value[key]);
+    }
+    return copied;
+  }
+  return value;
+}
+
+// Function to check if two values are equal (ObjectIds and dates are compared by value)
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Function to check if an array of ids (ObjectIds or strings) contains an id
+function containsId(ids, id) {
+  return (ids || []).some((item) => item && item.toString() === id.toString());
+}
+
+// Function to compare two values in the same order as MongoDB sorts them
+// Note: missing values come before all other values
+function compareValues(a, b) {
+  const isMissing = (value) => value === undefined || value === null;
+  if (isMissing(a) || isMissing(b)) {
+    return isMissing(a) === isMissing(b) ? 0 : isMissing(a) ? -1 : 1;
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a.toString().localeCompare(b.toString());
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Function to get the results of write operations in the same shape as MongoDB
+function getInsertResult(id) {
+  return { acknowledged: true, insertedId: id };
+}
+
+function getUpdateResult(matchedCount, modifiedCount) {
+  return {
+    acknowledged: true,
+    modifiedCount: modifiedCount,
+    upsertedId: null,
+    upsertedCount: 0,
+    matchedCount: matchedCount
+  };
+}
+
+function getDeleteResult(deletedCount) {
+  return { acknowledged: true, deletedCount: deletedCount };
+}
+
+// Function to get a page of records (same behaviour as findPage of MongoRepository)
+// -> records are sorted by sortField (then by _id) and paginated with cursors (keyset),
+//    or by page numbers if no cursor is given
+// -> if compare is given instead of sortField (eg. relevance score), offset cursors are used
+// -> returns { records, count, nextCursor, prevCursor } or null if cursor is invalid
+function findPage(records, options) {
+  const { sortField, sortOrder, compare, pagination } = options;
+  const { limit, cursor } = pagination;
+  const count = records.length;
+
+  // Offset pagination
+  if (compare) {
+    if (cursor && cursor.offset === undefined) {
+      return null;
+    }
+
+    const offset = PaginationUtil.getOffset(pagination);
+    return {
+      records: records.slice().sort(compare).slice(offset, offset + limit),
+      count: count,
+      ...PaginationUtil.getOffsetCursors(offset, limit, count)
+    };
+  }
+
+  // Function to compare records by sortField and then by _id
+  function compareRecords(a, b) {
+    return compareValues(a[sortField], b[sortField]) || compareValues(a._id, b._id);
+  }
+
+  // Cursor (keyset) pagination
+  // Note: records before a cursor are taken in reverse order for the previous page
+  let order = sortOrder;
+  let pageRecords = records;
+  let reverse = false;
+  if (cursor) {
+    if (cursor.field !== sortField || !ObjectId.isValid(cursor.id)) {
+      return null;
+    }
+
+    reverse = cursor.direction === 'prev';
+    if (reverse) {
+      order = -sortOrder;
+    }
+
+    const cursorRecord = {
+      [sortField]: cursor.type === 'date' ? new Date(cursor.value) : cursor.value,
+      _id: ObjectId(cursor.id)
+    };
+    pageRecords = records.filter((record) => compareRecords(record, cursorRecord) * order > 0);
+  }
+
+  pageRecords = pageRecords.slice().sort((a, b) => compareRecords(a, b) * order);
+  if (!cursor) {
+    pageRecords = pageRecords.slice((pagination.page - 1) * limit);
+  }
+
+  const hasMore = pageRecords.length > limit;
+  pageRecords = pageRecords.slice(0, limit);
+  if (reverse) {
+    pageRecords.reverse();
+  }
+
+  const hasNext = reverse ? true : hasMore;
+  const hasPrev = reverse ? hasMore : Boolean(cursor) || pagination.page > 1;
+
+  return {
+    records: pageRecords,
+    count: count,
+    nextCursor:
+      hasNext && pageRecords.length > 0
+        ? PaginationUtil.createKeysetCursor(pageRecords[pageRecords.length - 1], sortField, 'next')
+        : null,
+    prevCursor:
+      hasPrev && pageRecords.length > 0
+        ? PaginationUtil.createKeysetCursor(pageRecords[0], sortField, 'prev')
+        : null
+  };
+}
+
+// Function to get the relevance score of a recipe for a full-text search
+// -> words of each field starting with a search term are counted (similar to stemming of text index)
+// -> returns 0 if recipe does not match any search term
+function getTextScore(recipe, search) {
+  const terms = SearchUtil.getSearchTerms(search).map((term) => term.toLowerCase());
+
+  let score = 0;
+  for (let field in TEXT_SEARCH_WEIGHTS) {
+    const text = [].concat(recipe[field] || []).join(' ').toLowerCase();
+    const words = text.split(/\W+/).filter((word) => word.length > 0);
+    for (let term of terms) {
+      score += words.filter((word) => word.startsWith(term)).length * TEXT_SEARCH_WEIGHTS[field];
+    }
+  }
+  return score;
+}
+
+// Function to get a recipe without the fields excluded from lists of recipes
+function getListRecipe(recipe) {
+  const listRecipe = copy(recipe);
+  delete listRecipe.reviews;
+  delete listRecipe.bean_search_text;
+  if (listRecipe.user) {
+    delete listRecipe.user.email;
+  }
+  return listRecipe;
+}
+
+// Function to create the repositories of all collections stored in memory
+// -> used for testing (see test/) and running the server without a database
+// -> data is an optional object of collection name (see DatabaseUtil.DB_COLLECTION) to initial records
+// -> options are { ratingPrior } used for weighted ratings of recipes (see RatingUtil.getRatingPrior)
+// -> repositories have the same functions as MongoRepository
+async function createRepositories(data, options) {
+  data = data || {};
+  const ratingPrior = (options && options.ratingPrior) || RatingUtil.DEFAULT_RATING_PRIOR;
+
+  // Records of each collection are stored as a map of ID (as string) to record
+  const stores = {};
+  for (let collection in DatabaseUtil.DB_COLLECTION) {
+    stores[collection] = new Map();
+    for (let record of data[collection] || []) {
+      insertRecord(collection, record);
+    }
+  }
+
+  function insertRecord(collection, record) {
+    const newRecord = copy(record);
+    newRecord._id = newRecord._id || new ObjectId();
+    stores[collection].set(newRecord._id.toString(), newRecord);
+    record._id = newRecord._id; // Same as insertOne of MongoDB
+    return getInsertResult(newRecord._id);
+  }
+
+  function getRecord(collection, id) {
+    return stores[collection].get(id.toString()) || null;
+  }
+
+  function getRecords(collection) {
+    return Array.from(stores[collection].values());
+  }
+
+  // Function to update a stored record with the given function
+  // -> returns a result in the same shape as updateOne of MongoDB
+  function updateRecord(collection, id, update) {
+    const record = id && getRecord(collection, id);
+    if (!record) {
+      return getUpdateResult(0, 0);
+    }
+    const updatedRecord = update(copy(record));
+    stores[collection].set(id.toString(), updatedRecord);
+    return getUpdateResult(1, isEqual(record, updatedRecord) ? 0 : 1);
+  }
+
+  function deleteRecord(collection, id) {
+    return getDeleteResult(stores[collection].delete(id.toString()) ? 1 : 0);
+  }
+
+  // Function to get a map of ID (as string) to record for all records of a collection with the given IDs
+  function findRecordsByIds(collection, ids) {
+    const recordMap = new Map();
+    for (let id of ids) {
+      const record = id && ObjectId.isValid(id) && getRecord(collection, id);
+      if (record) {
+        recordMap.set(record._id.toString(), copy(record));
+      }
+    }
+    return recordMap;
+  }
+
+  // Function to get the names and flavor notes of beans to be stored in a recipe for full-text search
+  function getBeanSearchText(beanIds) {
+    let words = [];
+    for (let id of beanIds) {
+      const bean = getRecord('beans', id);
+      if (bean) {
+        words.push(bean.name);
+        words = words.concat(bean.flavor_notes || []);
+      }
+    }
+    return words.join(' ');
+  }
+
+  // Function to check if a recipe matches the filters (see buildRecipeFilters in index.js)
+  function matchRecipe(recipe, filters) {
+    if (recipe.hidden) {
+      return false;
+    }
+
+    if (filters.ids && !containsId(filters.ids, recipe._id)) {
+      return false;
+    }
+
+    if (filters.name && !new RegExp(SearchUtil.escapeRegex(filters.name), 'i').test(recipe.recipe_name)) {
+      return false;
+    }
+
+    if (filters.search && getTextScore(recipe, filters.search) === 0) {
+      return false;
+    }
+
+    if (filters.beans && !filters.beans.every((id) => containsId(recipe.coffee_beans, id))) {
+      return false;
+    }
+
+    for (let field of ['grinder', 'method', 'brewer']) {
+      const recipeField = field === 'method' ? 'brewing_method' : field;
+      if (filters[field] && !(recipe[recipeField] && recipe[recipeField].equals(filters[field]))) {
+        return false;
+      }
+    }
+
+    if (filters.minRating !== undefined && !(recipe.average_rating >= filters.minRating)) {
+      return false;
+    }
+
+    for (let field in filters.ranges || {}) {
+      const { min, max } = filters.ranges[field];
+      const value = recipe[field];
+      if (typeof value !== 'number') {
+        return false;
+      }
+      if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  function findRecipes(filters) {
+    return getRecords('recipes').filter((recipe) => matchRecipe(recipe, filters));
+  }
+
+  // Function to count recipes per referenced record (same shape as getReferenceFacetStages of MongoRepository)
+  function getReferenceFacet(recipes, field, collection) {
+    const counts = new Map();
+    for (let recipe of recipes) {
+      for (let id of [].concat(recipe[field] === undefined ? null : recipe[field])) {
+        const key = id ? id.toString() : null;
+        if (!counts.has(key)) {
+          counts.set(key, { _id: id, count: 0 });
+        }
+        counts.get(key).count++;
+      }
+    }
+
+    return Array.from(counts.values())
+      .map(function (facet) {
+        const record = facet._id && getRecord(collection, facet._id);
+        return record ? { ...facet, record: copy(record) } : facet;
+      })
+      .sort((a, b) => b.count - a.count);
+  }
+
+  // Function to count items per value (sorted by count)
+  function getValueFacet(values) {
+    const counts = new Map();
+    for (let value of values) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return Array.from(counts, ([value, count]) => ({ _id: value, count: count })).sort(
+      (a, b) => b.count - a.count
+    );
+  }
+
+  // --- Users ---
+  const users = {
+    async findById(id) {
+      return copy(getRecord('users', id));
+    },
+
+    async findByEmail(email) {
+      return copy(getRecords('users').find((user) => user.email === email) || null);
+    },
+
+    async insert(user) {
+      if (await users.findByEmail(user.email)) {
+        return null;
+      }
+      return insertRecord('users', user);
+    },
+
+    async updatePreferences(id, preferences) {
+      return updateRecord('users', id, (user) => ({ ...user, preferences: copy(preferences) }));
+    }
+  };
+
+  // --- Revoked access tokens ---
+  const tokens = {
+    async isRevoked(token) {
+      return getRecords('blacklistedTokens').some((record) => record.token === token);
+    },
+
+    async revoke(token, dateExpires) {
+      return insertRecord('blacklistedTokens', { token: token, date_created: new Date(), date_expires: dateExpires });
+    }
+  };
+
+  // --- Catalogs (beans, grinders, brewers and methods) ---
+  const catalogs = {
+    async findPage(collection, pagination) {
+      return findPage(getRecords(collection).map(copy), {
+        sortField: '_id',
+        sortOrder: 1,
+        pagination: pagination
+      });
+    },
+
+    async findById(collection, id) {
+      return copy(getRecord(collection, id));
+    },
+
+    async findByIds(collection, ids) {
+      return findRecordsByIds(collection, ids);
+    },
+
+    async countByIds(collection, ids) {
+      return ids.filter((id) => getRecord(collection, id)).length;
+    },
+
+    async findDuplicate(collection, fields, excludeId) {
+      const duplicate = getRecords(collection).find(
+        (record) =>
+          (!excludeId || record._id.toString() !== excludeId.toString()) &&
+          Object.keys(fields).every((field) => record[field] === fields[field])
+      );
+      return copy(duplicate || null);
+    },
+
+    async insert(collection, record) {
+      return insertRecord(collection, record);
+    },
+
+    async update(collection, id, fields) {
+      const result = updateRecord(collection, id, (record) => ({ ...record, ...copy(fields) }));
+
+      // Update search text of recipes using the coffee bean
+      if (collection === 'beans' && result.matchedCount > 0) {
+        for (let recipe of getRecords('recipes')) {
+          if (containsId(recipe.coffee_beans, id)) {
+            recipe.bean_search_text = getBeanSearchText(recipe.coffee_beans);
+          }
+        }
+      }
+
+      return result;
+    },
+
+    async delete(collection, id) {
+      return deleteRecord(collection, id);
+    }
+  };
+
+  // --- Recipes ---
+  const recipes = {
+    async findById(id) {
+      return copy(getRecord('recipes', id));
+    },
+
+    async findByIds(ids) {
+      return findRecordsByIds('recipes', ids);
+    },
+
+    async findWithLatestReviews(id, reviewLimit) {
+      const recipe = copy(getRecord('recipes', id));
+      if (recipe) {
+        recipe.reviews = recipe.reviews.filter((review) => !review.hidden).slice(-reviewLimit);
+      }
+      return recipe;
+    },
+
+    async findPage(filters, sort, pagination) {
+      let records = findRecipes(filters).map(getListRecipe);
+      if (filters.search) {
+        for (let record of records) {
+          record.score = getTextScore(getRecord('recipes', record._id), filters.search);
+        }
+      }
+
+      if (sort === 'relevance') {
+        return findPage(records, {
+          compare: (a, b) => b.score - a.score,
+          pagination: pagination
+        });
+      }
+
+      return findPage(records, {
+        sortField: sort === 'rating' ? 'weighted_rating' : 'date',
+        sortOrder: -1,
+        pagination: pagination
+      });
+    },
+
+    async findForksPage(recipeId, pagination) {
+      const records = getRecords('recipes')
+        .filter((recipe) => !recipe.hidden && recipe.forked_from && recipe.forked_from.recipe_id.equals(recipeId))
+        .map(getListRecipe);
+
+      return findPage(records, {
+        sortField: 'date',
+        sortOrder: -1,
+        pagination: pagination
+      });
+    },
+
+    async findMany(filters, limit) {
+      return findRecipes(filters)
+        .sort((a, b) => compareValues(b.date, a.date))
+        .slice(0, limit)
+        .map(getListRecipe);
+    },
+
+    async getFacets(filters) {
+      const matchedRecipes = findRecipes(filters);
+
+      // Count each roast level once per recipe
+      let roastLevels = [];
+      for (let recipe of matchedRecipes) {
+        const beans = recipe.coffee_beans.map((id) => getRecord('beans', id)).filter((bean) => bean);
+        roastLevels = roastLevels.concat([...new Set(beans.map((bean) => bean.roast_level))]);
+      }
+
+      // Note: _id is the lower bound of each rating bucket (0 means no reviews yet)
+      const ratingBuckets = getValueFacet(
+        matchedRecipes.map((recipe) =>
+          typeof recipe.average_rating === 'number' && recipe.average_rating >= 0 && recipe.average_rating < 6
+            ? Math.floor(recipe.average_rating)
+            : 'unknown'
+        )
+      ).sort((a, b) => (a._id === 'unknown' ? 1 : b._id === 'unknown' ? -1 : a._id - b._id));
+
+      return {
+        count: matchedRecipes.length,
+        brewing_method: getReferenceFacet(matchedRecipes, 'brewing_method', 'methods'),
+        brewer: getReferenceFacet(matchedRecipes, 'brewer', 'brewers'),
+        grinder: getReferenceFacet(matchedRecipes, 'grinder', 'grinders'),
+        coffee_beans: getReferenceFacet(matchedRecipes, 'coffee_beans', 'beans'),
+        roast_level: getValueFacet(roastLevels),
+        rating: ratingBuckets
+      };
+    },
+
+    async insert(recipe) {
+      return insertRecord('recipes', {
+        ...recipe,
+        ...RatingUtil.getRatingSummary(recipe.reviews, ratingPrior),
+        bean_search_text: getBeanSearchText(recipe.coffee_beans)
+      });
+    },
+
+    async update(id, fields) {
+      const updatedFields = copy(fields);
+      if (fields.coffee_beans) {
+        updatedFields.bean_search_text = getBeanSearchText(fields.coffee_beans);
+      }
+      return updateRecord('recipes', id, (recipe) => ({ ...recipe, ...updatedFields }));
+    },
+
+    async delete(id) {
+      return deleteRecord('recipes', id);
+    },
+
+    async incrementForkCount(id, amount) {
+      return updateRecord('recipes', id, (recipe) => ({
+        ...recipe,
+        fork_count: (recipe.fork_count || 0) + amount
+      }));
+    },
+
+    async setHidden(id, hidden) {
+      return updateRecord('recipes', id, (recipe) => ({ ...recipe, hidden: hidden }));
+    },
+
+    async recomputeRatings() {
+      const records = getRecords('recipes');
+      let modifiedCount = 0;
+      for (let record of records) {
+        const result = updateRecord('recipes', record._id, (recipe) => ({
+          ...recipe,
+          ...RatingUtil.getRatingSummary(recipe.reviews, ratingPrior)
+        }));
+        modifiedCount += result.modifiedCount;
+      }
+      return getUpdateResult(records.length, modifiedCount);
+    },
+
+    async countUsingRecord(collection, id) {
+      return getRecords('recipes').filter((recipe) =>
+        containsId([].concat(recipe[CATALOG_RECIPE_FIELD[collection]]), id)
+      ).length;
+    }
+  };
+
+  // --- Recipe versions ---
+  const recipeVersions = {
+    async findPage(recipeId, pagination) {
+      const records = getRecords('recipeVersions')
+        .filter((record) => record.recipe_id.equals(recipeId))
+        .map(function (record) {
+          const listRecord = copy(record);
+          delete listRecord.snapshot;
+          return listRecord;
+        });
+
+      return findPage(records, {
+        sortField: 'version',
+        sortOrder: -1,
+        pagination: pagination
+      });
+    },
+
+    async findByVersion(recipeId, version) {
+      const versionRecord = getRecords('recipeVersions').find(
+        (record) => record.recipe_id.equals(recipeId) && record.version === version
+      );
+      return copy(versionRecord || null);
+    },
+
+    async insert(versionRecord) {
+      return insertRecord('recipeVersions', versionRecord);
+    },
+
+    async deleteByRecipe(recipeId) {
+      const records = getRecords('recipeVersions').filter((record) => record.recipe_id.equals(recipeId));
+      for (let record of records) {
+        deleteRecord('recipeVersions', record._id);
+      }
+      return getDeleteResult(records.length);
+    }
+  };
+
+  // --- Reviews (embedded in recipes) ---
+  const reviews = {
+    async findPage(recipeId, options, offset, limit) {
+      const recipe = getRecord('recipes', recipeId);
+      if (!recipe) {
+        return null;
+      }
+
+      let recipeReviews = copy(recipe.reviews)
+        .filter((review) => !review.hidden)
+        .map((review) => ({
+          ...review,
+          rating: parseInt(review.rating),
+          helpful_count: review.helpful_count || 0
+        }));
+      if (options.ratings) {
+        recipeReviews = recipeReviews.filter((review) => options.ratings.includes(review.rating));
+      }
+
+      // Sort orders of reviews (same as REVIEW_SORT_ORDERS of MongoRepository)
+      // Note: reviews with the same value are sorted by newest first
+      const sortFields = {
+        newest: [],
+        highest: [['rating', -1]],
+        lowest: [['rating', 1]],
+        helpful: [['helpful_count', -1]]
+      }[options.sort].concat([
+        ['date', -1],
+        ['_id', -1]
+      ]);
+      recipeReviews.sort(function (a, b) {
+        for (let [field, order] of sortFields) {
+          const result = compareValues(a[field], b[field]) * order;
+          if (result !== 0) {
+            return result;
+          }
+        }
+        return 0;
+      });
+
+      return {
+        reviews: recipeReviews.slice(offset, offset + limit),
+        count: recipeReviews.length
+      };
+    },
+
+    async findById(recipeId, reviewId) {
+      const recipe = getRecord('recipes', recipeId);
+      const review = recipe && recipe.reviews.find((review) => review._id.equals(reviewId));
+      return copy(review || null);
+    },
+
+    async insert(recipeId, review) {
+      const recipe = getRecord('recipes', recipeId);
+      if (recipe && containsId(recipe.reviews.map((recipeReview) => recipeReview.user_id), review.user_id)) {
+        return getUpdateResult(0, 0);
+      }
+      return updateRecord('recipes', recipeId, function (recipe) {
+        const recipeReviews = recipe.reviews.concat({
+          ...copy(review),
+          recipe_version: recipe.version || 1
+        });
+        return { ...recipe, reviews: recipeReviews, ...RatingUtil.getRatingSummary(recipeReviews, ratingPrior) };
+      });
+    },
+
+    async update(recipeId, reviewId, fields) {
+      if (!(await reviews.findById(recipeId, reviewId))) {
+        return getUpdateResult(0, 0);
+      }
+      return updateRecord('recipes', recipeId, function (recipe) {
+        const recipeReviews = recipe.reviews.map((review) =>
+          review._id.equals(reviewId) ? { ...review, ...copy(fields) } : review
+        );
+        return { ...recipe, reviews: recipeReviews, ...RatingUtil.getRatingSummary(recipeReviews, ratingPrior) };
+      });
+    },
+
+    async addHelpfulVote(recipeId, reviewId, userId) {
+      const review = await reviews.findById(recipeId, reviewId);
+      if (!review || containsId(review.helpful_votes, userId)) {
+        return getUpdateResult(0, 0);
+      }
+      return updateRecord('recipes', recipeId, (recipe) => ({
+        ...recipe,
+        reviews: recipe.reviews.map((review) =>
+          review._id.equals(reviewId)
+            ? {
+                ...review,
+                helpful_votes: (review.helpful_votes || []).concat(ObjectId(userId)),
+                helpful_count: (review.helpful_count || 0) + 1
+              }
+            : review
+        )
+      }));
+    },
+
+    async removeHelpfulVote(recipeId, reviewId, userId) {
+      const review = await reviews.findById(recipeId, reviewId);
+      if (!review || !containsId(review.helpful_votes, userId)) {
+        return getUpdateResult(0, 0);
+      }
+      return updateRecord('recipes', recipeId, (recipe) => ({
+        ...recipe,
+        reviews: recipe.reviews.map((review) =>
+          review._id.equals(reviewId)
+            ? {
+                ...review,
+                helpful_votes: review.helpful_votes.filter((id) => id.toString() !== userId.toString()),
+                helpful_count: review.helpful_count - 1
+              }
+            : review
+        )
+      }));
+    },
+
+    async setHidden(recipeId, reviewId, hidden) {
+      if (!(await reviews.findById(recipeId, reviewId))) {
+        return getUpdateResult(0, 0);
+      }
+      return updateRecord('recipes', recipeId, function (recipe) {
+        const recipeReviews = recipe.reviews.map((review) =>
+          review._id.equals(reviewId) ? { ...review, hidden: hidden } : review
+        );
+        return { ...recipe, reviews: recipeReviews, ...RatingUtil.getRatingSummary(recipeReviews, ratingPrior) };
+      });
+    },
+
+    async delete(recipeId, reviewId) {
+      if (!(await reviews.findById(recipeId, reviewId))) {
+        return getUpdateResult(0, 0);
+      }
+      return updateRecord('recipes', recipeId, function (recipe) {
+        const recipeReviews = recipe.reviews.filter((review) => !review._id.equals(reviewId));
+        return { ...recipe, reviews: recipeReviews, ...RatingUtil.getRatingSummary(recipeReviews, ratingPrior) };
+      });
+    }
+  };
+
+  // --- Favorites ---
+  function getUserLists(userId) {
+    return getRecords('favorites')
+      .filter((record) => record.user_id && record.user_id.equals(userId))
+      .sort((a, b) => compareValues(a._id, b._id));
+  }
+
+  const favorites = {
+    async findListsByUser(userId) {
+      return copy(getUserLists(userId));
+    },
+
+    async findDefaultList(userId) {
+      return copy(getUserLists(userId)[0] || null);
+    },
+
+    async findById(listId) {
+      return copy(getRecord('favorites', listId));
+    },
+
+    async findByShareToken(shareToken) {
+      const favoriteRecord = getRecords('favorites').find((record) => record.share_token === shareToken);
+      return copy(favoriteRecord || null);
+    },
+
+    async findByName(userId, name, excludeId) {
+      const favoriteRecord = getUserLists(userId).find(
+        (record) => (!excludeId || record._id.toString() !== excludeId.toString()) && record.name === name
+      );
+      return copy(favoriteRecord || null);
+    },
+
+    async insert(favoriteRecord) {
+      return insertRecord('favorites', favoriteRecord);
+    },
+
+    async update(listId, fields) {
+      return updateRecord('favorites', listId, (record) => ({ ...record, ...copy(fields) }));
+    },
+
+    async delete(listId) {
+      return deleteRecord('favorites', listId);
+    },
+
+    async addRecipe(listId, recipeId, position) {
+      const favoriteRecord = getRecord('favorites', listId);
+      if (!favoriteRecord || containsId(favoriteRecord.coffee_recipes, recipeId)) {
+        return getUpdateResult(0, 0);
+      }
+      return updateRecord('favorites', listId, function (record) {
+        const recipeIds = record.coffee_recipes.slice();
+        recipeIds.splice(position === undefined ? recipeIds.length : position, 0, ObjectId(recipeId));
+        return { ...record, coffee_recipes: recipeIds, date_modified: new Date() };
+      });
+    },
+
+    async removeRecipe(listId, recipeId) {
+      const favoriteRecord = getRecord('favorites', listId);
+      if (!favoriteRecord || !containsId(favoriteRecord.coffee_recipes, recipeId)) {
+        return getUpdateResult(0, 0);
+      }
+      return updateRecord('favorites', listId, (record) => ({
+        ...record,
+        coffee_recipes: record.coffee_recipes.filter((id) => id.toString() !== recipeId.toString()),
+        date_modified: new Date()
+      }));
+    },
+
+    async claimByEmailKey(emailKey, userId) {
+      const records = getRecords('favorites').filter((record) => record.email_key === emailKey);
+      for (let record of records) {
+        updateRecord('favorites', record._id, function (favoriteRecord) {
+          const claimedRecord = { ...favoriteRecord, user_id: ObjectId(userId) };
+          delete claimedRecord.email_key;
+          return claimedRecord;
+        });
+      }
+      return getUpdateResult(records.length, records.length);
+    },
+
+    async removeRecipeFromAll(recipeId) {
+      let matchedCount = 0;
+      for (let record of getRecords('favorites')) {
+        if (containsId(record.coffee_recipes, recipeId)) {
+          matchedCount++;
+          updateRecord('favorites', record._id, (favoriteRecord) => ({
+            ...favoriteRecord,
+            coffee_recipes: favoriteRecord.coffee_recipes.filter((id) => id.toString() !== recipeId.toString())
+          }));
+        }
+      }
+      return getUpdateResult(matchedCount, matchedCount);
+    }
+  };
+
+  // --- Reports (moderation) ---
+  // Function to check if a report is for the target { recipe_id, review_id }
+  function isReportOf(report, target) {
+    return (
+      report.recipe_id.equals(target.recipe_id) &&
+      String(report.review_id) === String(target.review_id ? target.review_id : null)
+    );
+  }
+
+  const reports = {
+    async findPage(filters, pagination) {
+      const records = getRecords('reports').filter(
+        (report) =>
+          (!filters.status || report.status === filters.status) &&
+          (!filters.targetType || report.target_type === filters.targetType)
+      );
+
+      return findPage(copy(records), {
+        sortField: 'date',
+        sortOrder: -1,
+        pagination: pagination
+      });
+    },
+
+    async findById(id) {
+      return copy(getRecord('reports', id));
+    },
+
+    async findByUser(target, userId) {
+      const report = getRecords('reports').find((report) => isReportOf(report, target) && report.user_id.equals(userId));
+      return copy(report || null);
+    },
+
+    async countOpen(target) {
+      return getRecords('reports').filter((report) => isReportOf(report, target) && report.status === 'open').length;
+    },
+
+    async findOpenHiding(target) {
+      const report = getRecords('reports').find(
+        (report) => isReportOf(report, target) && report.status === 'open' && report.hid_content === true
+      );
+      return copy(report || null);
+    },
+
+    async insert(report) {
+      return insertRecord('reports', report);
+    },
+
+    async resolveByTarget(target, fields) {
+      const records = getRecords('reports').filter((report) => isReportOf(report, target) && report.status === 'open');
+      for (let record of records) {
+        updateRecord('reports', record._id, (report) => ({ ...report, ...copy(fields), status: 'resolved' }));
+      }
+      return getUpdateResult(records.length, records.length);
+    },
+
+    async deleteByRecipe(recipeId) {
+      const records = getRecords('reports').filter((report) => report.recipe_id.equals(recipeId));
+      for (let record of records) {
+        deleteRecord('reports', record._id);
+      }
+      return getDeleteResult(records.length);
+    }
+  };
+
+  // --- Idempotency keys ---
+  const idempotencyKeys = {
+    async findByKey(userId, key) {
+      const record = getRecords('idempotencyKeys').find((record) => record.user_id.equals(userId) && record.key === key);
+      return copy(record || null);
+    },
+
+    async insert(record) {
+      if (await idempotencyKeys.findByKey(record.user_id, record.key)) {
+        return null;
+      }
+      return insertRecord('idempotencyKeys', record);
+    },
+
+    async saveResponse(id, response) {
+      return updateRecord('idempotencyKeys', id, (record) => ({ ...record, response: copy(response) }));
+    },
+
+    async delete(id) {
+      return deleteRecord('idempotencyKeys', id);
+    }
+  };
+
+  // --- Brew logs ---
+  const brewLogs = {
+    async findPage(userId, filters, pagination) {
+      const records = getRecords('brewLogs').filter(
+        (brew) => brew.user_id.equals(userId) && (!filters.recipeId || brew.recipe_id.equals(filters.recipeId))
+      );
+
+      return findPage(copy(records), {
+        sortField: 'date',
+        sortOrder: -1,
+        pagination: pagination
+      });
+    },
+
+    async findByRecipe(recipeId) {
+      return copy(getRecords('brewLogs').filter((brew) => brew.recipe_id.equals(recipeId)));
+    },
+
+    async findById(id) {
+      return copy(getRecord('brewLogs', id));
+    },
+
+    async insert(brew) {
+      return insertRecord('brewLogs', brew);
+    },
+
+    async update(id, fields) {
+      return updateRecord('brewLogs', id, (brew) => ({ ...brew, ...copy(fields) }));
+    },
+
+    async delete(id) {
+      return deleteRecord('brewLogs', id);
+    },
+
+    async countUsingRecord(collection, id) {
+      if (!CATALOG_BREW_LOG_FIELD[collection]) {
+        return 0;
+      }
+      const field = CATALOG_BREW_LOG_FIELD[collection];
+      return getRecords('brewLogs').filter((brew) => containsId([brew[field]], id)).length;
+    }
+  };
+
+  return {
+    users,
+    tokens,
+    catalogs,
+    recipes,
+    recipeVersions,
+    reviews,
+    favorites,
+    reports,
+    idempotencyKeys,
+    brewLogs
+  };
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  createRepositories
+}
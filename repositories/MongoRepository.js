@@ -0,0 +1,1234 @@
+// Require dependencies
+const ObjectId = require('mongodb').ObjectId;
+const PaginationUtil = require('../utilities/PaginationUtil');
+const SearchUtil = require('../utilities/SearchUtil');
+const RatingUtil = require('../utilities/RatingUtil');
+const DatabaseUtil = require('../utilities/DatabaseUtil');
+
+const DB_COLLECTION = DatabaseUtil.DB_COLLECTION;
+const CATALOG_RECIPE_FIELD = DatabaseUtil.CATALOG_RECIPE_FIELD;
+const CATALOG_BREW_LOG_FIELD = DatabaseUtil.CATALOG_BREW_LOG_FIELD;
+
+// Fields of recipes excluded from lists of recipes
+// Note: hashed email of older recipes was previously used for verification purposes
+const RECIPE_LIST_PROJECTION = {
+  'user.email': 0,
+  reviews: 0,
+  bean_search_text: 0
+};
+
+// Sort orders of reviews of a recipe (see reviews.findPage)
+// Note: reviews with the same value are sorted by newest first
+const REVIEW_SORT_ORDERS = {
+  newest: { date: -1, _id: -1 },
+  highest: { rating: -1, date: -1, _id: -1 },
+  lowest: { rating: 1, date: -1, _id: -1 },
+  helpful: { helpful_count: -1, date: -1, _id: -1 }
+};
+
+// Function to create the repositories of all collections stored in MongoDB
+// -> db is a connected database (see MongoUtil.connect)
+// -> options are { ratingPrior } used for weighted ratings of recipes (see RatingUtil.getRatingPrior)
+// -> see MemoryRepository for the same repositories stored in memory (used for testing)
+async function createRepositories(db, options) {
+  const ratingPrior = (options && options.ratingPrior) || RatingUtil.DEFAULT_RATING_PRIOR;
+
+  // Create text index for full-text search of recipes
+  // Note: bean_search_text contains names and flavor notes of the recipe's beans
+  await db.collection(DB_COLLECTION.recipes).createIndex(
+    {
+      recipe_name: 'text',
+      description: 'text',
+      steps: 'text',
+      additional_ingredients: 'text',
+      bean_search_text: 'text'
+    },
+    {
+      name: 'recipes_text_search',
+      weights: {
+        recipe_name: 10,
+        bean_search_text: 5,
+        description: 3,
+        additional_ingredients: 2,
+        steps: 1
+      }
+    }
+  );
+
+  // Function to get a map of ID (as string) to record for all records of a collection with the given IDs
+  // (fetched with a single query)
+  async function findRecordsByIds(collection, ids) {
+    const validIds = ids.filter((id) => id && ObjectId.isValid(id));
+    const records = await db
+      .collection(DB_COLLECTION[collection])
+      .find({
+        _id: {
+          $in: validIds.map((id) => ObjectId(id))
+        }
+      })
+      .toArray();
+
+    const recordMap = new Map();
+    for (let record of records) {
+      recordMap.set(record._id.toString(), record);
+    }
+    return recordMap;
+  }
+
+  // Function to get a page of records of a collection (used by all list endpoints of collections)
+  // -> records are sorted by sortField (then by _id) and paginated with cursors (keyset)
+  //    so that pages do not drift when records are added, or by page numbers if no cursor is given
+  // -> if sortOption is given instead of sortField (eg. relevance score), offset cursors are used
+  // -> returns { records, count, nextCursor, prevCursor } or null if cursor is invalid
+  async function findPage(collection, criteria, options) {
+    const { projection, sortField, sortOrder, sortOption, pagination } = options;
+    const { limit, cursor } = pagination;
+
+    const count = await db.collection(DB_COLLECTION[collection]).countDocuments(criteria);
+
+    // Offset pagination
+    if (sortOption) {
+      if (cursor && cursor.offset === undefined) {
+        return null;
+      }
+
+      const offset = PaginationUtil.getOffset(pagination);
+      const records = await db
+        .collection(DB_COLLECTION[collection])
+        .find(criteria, { projection: projection })
+        .sort(sortOption)
+        .skip(offset)
+        .limit(limit)
+        .toArray();
+
+      return {
+        records: records,
+        count: count,
+        ...PaginationUtil.getOffsetCursors(offset, limit, count)
+      };
+    }
+
+    // Cursor (keyset) pagination
+    // Note: records before a cursor are fetched in reverse order for the previous page
+    let order = sortOrder;
+    let pageCriteria = criteria;
+    let reverse = false;
+    if (cursor) {
+      if (cursor.field !== sortField || !ObjectId.isValid(cursor.id)) {
+        return null;
+      }
+
+      reverse = cursor.direction === 'prev';
+      if (reverse) {
+        order = -sortOrder;
+      }
+
+      const operator = order === 1 ? '$gt' : '$lt';
+      const value = cursor.type === 'date' ? new Date(cursor.value) : cursor.value;
+      const keysetCriteria =
+        sortField === '_id'
+          ? { _id: { [operator]: ObjectId(cursor.id) } }
+          : {
+              $or: [
+                { [sortField]: { [operator]: value } },
+                {
+                  [sortField]: value,
+                  _id: { [operator]: ObjectId(cursor.id) }
+                }
+              ]
+            };
+      pageCriteria = { $and: [criteria, keysetCriteria] };
+    }
+
+    const sort = { [sortField]: order };
+    if (sortField !== '_id') {
+      sort['_id'] = order;
+    }
+
+    // Get one extra record to check if there are more records after this page
+    let query = db
+      .collection(DB_COLLECTION[collection])
+      .find(pageCriteria, { projection: projection })
+      .sort(sort)
+      .limit(limit + 1);
+    if (!cursor) {
+      query = query.skip((pagination.page - 1) * limit);
+    }
+    let records = await query.toArray();
+
+    const hasMore = records.length > limit;
+    records = records.slice(0, limit);
+    if (reverse) {
+      records.reverse();
+    }
+
+    const hasNext = reverse ? true : hasMore;
+    const hasPrev = reverse ? hasMore : Boolean(cursor) || pagination.page > 1;
+
+    return {
+      records: records,
+      count: count,
+      nextCursor:
+        hasNext && records.length > 0
+          ? PaginationUtil.createKeysetCursor(records[records.length - 1], sortField, 'next')
+          : null,
+      prevCursor:
+        hasPrev && records.length > 0
+          ? PaginationUtil.createKeysetCursor(records[0], sortField, 'prev')
+          : null
+    };
+  }
+
+  // Function to get the names and flavor notes of beans to be stored in a recipe for full-text search
+  // (text index cannot include fields of referenced documents)
+  async function getBeanSearchText(beanIds) {
+    const beanRecords = await db
+      .collection(DB_COLLECTION.beans)
+      .find({
+        _id: {
+          $in: beanIds
+        }
+      })
+      .toArray();
+
+    let words = [];
+    for (let bean of beanRecords) {
+      words.push(bean.name);
+      words = words.concat(bean.flavor_notes || []);
+    }
+    return words.join(' ');
+  }
+
+  // Function to get the criteria object for filtering recipes (see buildRecipeFilters in index.js)
+  // Note: hidden recipes (see moderation routes) are always excluded
+  function getRecipeCriteria(filters) {
+    const criteria = { hidden: { $ne: true } };
+
+    if (filters.ids) {
+      criteria['_id'] = { $in: filters.ids };
+    }
+
+    if (filters.name) {
+      // Search for coffee recipe by name (case-insensitive)
+      // Note: name is escaped so that it is matched literally
+      criteria['recipe_name'] = {
+        $regex: SearchUtil.escapeRegex(filters.name),
+        $options: 'i'
+      };
+    }
+
+    if (filters.search) {
+      // Full-text search across recipe name, description, steps, ingredients and beans
+      criteria['$text'] = {
+        $search: filters.search
+      };
+    }
+
+    if (filters.beans) {
+      criteria['coffee_beans'] = { $all: filters.beans };
+    }
+
+    if (filters.grinder) {
+      criteria['grinder'] = { $eq: filters.grinder };
+    }
+
+    if (filters.method) {
+      criteria['brewing_method'] = { $eq: filters.method };
+    }
+
+    if (filters.brewer) {
+      criteria['brewer'] = { $eq: filters.brewer };
+    }
+
+    if (filters.minRating !== undefined) {
+      criteria['average_rating'] = { $gte: filters.minRating };
+    }
+
+    for (let field in filters.ranges || {}) {
+      const range = {};
+      if (filters.ranges[field].min !== undefined) {
+        range['$gte'] = filters.ranges[field].min;
+      }
+      if (filters.ranges[field].max !== undefined) {
+        range['$lte'] = filters.ranges[field].max;
+      }
+      criteria[field] = range;
+    }
+
+    return criteria;
+  }
+
+  // Function to get aggregation stages that count recipes per referenced record
+  // and include the referenced record (eg. brewer) in each count
+  function getReferenceFacetStages(field, collection) {
+    return [
+      {
+        $group: {
+          _id: '$' + field,
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $lookup: {
+          from: DB_COLLECTION[collection],
+          localField: '_id',
+          foreignField: '_id',
+          as: 'record'
+        }
+      },
+      {
+        $set: {
+          record: { $arrayElemAt: ['$record', 0] }
+        }
+      },
+      { $sort: { count: -1 } }
+    ];
+  }
+
+  // Function to get update pipeline stages that recalculate the rating fields of the recipe
+  // (average_rating, weighted_rating, review_count and rating_histogram) from its current reviews
+  // -> used after any change to reviews so that update is atomic (same fields as RatingUtil.getRatingSummary)
+  function getRatingStages() {
+    return [
+      {
+        $set: {
+          // Convert ratings to int since older reviews may store rating as string
+          // Note: hidden reviews (see moderation routes) are not counted
+          ratings: {
+            $map: {
+              input: {
+                $filter: {
+                  input: '$reviews',
+                  as: 'review',
+                  cond: { $ne: ['$$review.hidden', true] }
+                }
+              },
+              as: 'review',
+              in: { $toInt: '$$review.rating' }
+            }
+          }
+        }
+      },
+      {
+        $set: {
+          average_rating: {
+            $round: [
+              { $ifNull: [{ $avg: '$ratings' }, 0] }, // default is 0 if there are no reviews
+              1 // Round to nearest 1 decimal place
+            ]
+          },
+          weighted_rating: {
+            $cond: [
+              { $eq: [{ $add: [ratingPrior.weight, { $size: '$ratings' }] }, 0] },
+              0,
+              {
+                $round: [
+                  {
+                    $divide: [
+                      { $add: [ratingPrior.weight * ratingPrior.mean, { $sum: '$ratings' }] },
+                      { $add: [ratingPrior.weight, { $size: '$ratings' }] }
+                    ]
+                  },
+                  2
+                ]
+              }
+            ]
+          },
+          review_count: { $size: '$ratings' },
+          rating_histogram: {
+            $arrayToObject: {
+              $map: {
+                input: RatingUtil.RATING_VALUES,
+                as: 'value',
+                in: {
+                  k: { $toString: '$$value' },
+                  v: {
+                    $size: {
+                      $filter: {
+                        input: '$ratings',
+                        as: 'rating',
+                        cond: { $eq: ['$$rating', '$$value'] }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      { $unset: 'ratings' }
+    ];
+  }
+
+  // --- Users ---
+  const users = {
+    async findById(id) {
+      return await db.collection(DB_COLLECTION.users).findOne({ _id: ObjectId(id) });
+    },
+
+    async findByEmail(email) {
+      return await db.collection(DB_COLLECTION.users).findOne({ email: email });
+    },
+
+    // Adds a user (email must be in lowercase, see normaliseEmail in index.js)
+    // -> returns null if the email is already registered (unique index, see migration 009)
+    async insert(user) {
+      try {
+        return await db.collection(DB_COLLECTION.users).insertOne(user);
+      } catch (err) {
+        if (err.code === 11000) {
+          return null; // Duplicate key
+        }
+        throw err;
+      }
+    },
+
+    async updatePreferences(id, preferences) {
+      return await db
+        .collection(DB_COLLECTION.users)
+        .updateOne({ _id: ObjectId(id) }, { $set: { preferences: preferences } });
+    }
+  };
+
+  // --- Revoked access tokens ---
+  const tokens = {
+    async isRevoked(token) {
+      const record = await db.collection(DB_COLLECTION.blacklistedTokens).findOne({ token: token });
+      return Boolean(record);
+    },
+
+    // Revokes a token until it expires (expired tokens are removed by MongoDB, see migration 009)
+    async revoke(token, dateExpires) {
+      return await db.collection(DB_COLLECTION.blacklistedTokens).insertOne({
+        token: token,
+        date_created: new Date(),
+        date_expires: dateExpires
+      });
+    }
+  };
+
+  // --- Catalogs (beans, grinders, brewers and methods) ---
+  const catalogs = {
+    async findPage(collection, pagination) {
+      return await findPage(collection, {}, {
+        sortField: '_id',
+        sortOrder: 1,
+        pagination: pagination
+      });
+    },
+
+    async findById(collection, id) {
+      return await db.collection(DB_COLLECTION[collection]).findOne({ _id: ObjectId(id) });
+    },
+
+    async findByIds(collection, ids) {
+      return await findRecordsByIds(collection, ids);
+    },
+
+    // Returns the number of records of the collection with the given IDs
+    async countByIds(collection, ids) {
+      return await db.collection(DB_COLLECTION[collection]).countDocuments({
+        _id: {
+          $in: ids.map((id) => ObjectId(id))
+        }
+      });
+    },
+
+    // Returns a record with the same field values (eg. { name, roaster }) other than the excluded record
+    async findDuplicate(collection, fields, excludeId) {
+      const criteria = { ...fields };
+      if (excludeId) {
+        criteria['_id'] = { $ne: ObjectId(excludeId) };
+      }
+      return await db.collection(DB_COLLECTION[collection]).findOne(criteria);
+    },
+
+    async insert(collection, record) {
+      return await db.collection(DB_COLLECTION[collection]).insertOne(record);
+    },
+
+    async update(collection, id, fields) {
+      const result = await db
+        .collection(DB_COLLECTION[collection])
+        .updateOne({ _id: ObjectId(id) }, { $set: fields });
+
+      // Update search text of recipes using the coffee bean
+      if (collection === 'beans' && result.matchedCount > 0) {
+        const recipeRecords = await db
+          .collection(DB_COLLECTION.recipes)
+          .find({ coffee_beans: ObjectId(id) }, { projection: { coffee_beans: 1 } })
+          .toArray();
+
+        for (let recipe of recipeRecords) {
+          await db.collection(DB_COLLECTION.recipes).updateOne(
+            { _id: recipe._id },
+            { $set: { bean_search_text: await getBeanSearchText(recipe.coffee_beans) } }
+          );
+        }
+      }
+
+      return result;
+    },
+
+    async delete(collection, id) {
+      return await db.collection(DB_COLLECTION[collection]).deleteOne({ _id: ObjectId(id) });
+    }
+  };
+
+  // --- Recipes ---
+  const recipes = {
+    async findById(id) {
+      return await db.collection(DB_COLLECTION.recipes).findOne({ _id: ObjectId(id) });
+    },
+
+    async findByIds(ids) {
+      return await findRecordsByIds('recipes', ids);
+    },
+
+    // Returns a recipe with only its latest reviews that are not hidden (up to reviewLimit, oldest first like all reviews)
+    // Note: aggregation is used since a projection with only an expression of reviews would exclude all other fields
+    async findWithLatestReviews(id, reviewLimit) {
+      const [recipe] = await db
+        .collection(DB_COLLECTION.recipes)
+        .aggregate([
+          { $match: { _id: ObjectId(id) } },
+          {
+            $set: {
+              reviews: {
+                $slice: [
+                  {
+                    $filter: {
+                      input: '$reviews',
+                      as: 'review',
+                      cond: { $ne: ['$$review.hidden', true] }
+                    }
+                  },
+                  -reviewLimit
+                ]
+              }
+            }
+          }
+        ])
+        .toArray();
+      return recipe || null;
+    },
+
+    // Returns a page of recipes matching the filters (without reviews)
+    // -> sort is either 'date' or 'rating' (latest or highest weighted rating first), or 'relevance' for full-text search
+    // -> recipes include their relevance score if filters include a full-text search
+    async findPage(filters, sort, pagination) {
+      const projection = { ...RECIPE_LIST_PROJECTION };
+      if (filters.search) {
+        projection['score'] = { $meta: 'textScore' };
+      }
+
+      const options = { projection: projection, sortOrder: -1, pagination: pagination };
+      if (sort === 'relevance') {
+        // Note: relevance score cannot be used in a cursor so offset pagination is used instead
+        options.sortOption = { score: { $meta: 'textScore' } };
+      } else {
+        options.sortField = sort === 'rating' ? 'weighted_rating' : 'date';
+      }
+
+      return await findPage('recipes', getRecipeCriteria(filters), options);
+    },
+
+    // Returns a page of direct forks of a recipe (latest first, without reviews)
+    async findForksPage(recipeId, pagination) {
+      return await findPage('recipes', { 'forked_from.recipe_id': ObjectId(recipeId), hidden: { $ne: true } }, {
+        projection: RECIPE_LIST_PROJECTION,
+        sortField: 'date',
+        sortOrder: -1,
+        pagination: pagination
+      });
+    },
+
+    // Returns up to limit recipes matching the filters (latest first, without reviews)
+    async findMany(filters, limit) {
+      return await db
+        .collection(DB_COLLECTION.recipes)
+        .find(getRecipeCriteria(filters), { projection: RECIPE_LIST_PROJECTION })
+        .sort({ date: -1 })
+        .limit(limit)
+        .toArray();
+    },
+
+    // Returns counts of recipes matching the filters per brewing method, brewer, grinder,
+    // coffee bean, roast level and rating (computed in a single aggregation)
+    async getFacets(filters) {
+      const [facets] = await db
+        .collection(DB_COLLECTION.recipes)
+        .aggregate([
+          {
+            $match: getRecipeCriteria(filters)
+          },
+          {
+            $facet: {
+              count: [{ $count: 'count' }],
+              brewing_method: getReferenceFacetStages('brewing_method', 'methods'),
+              brewer: getReferenceFacetStages('brewer', 'brewers'),
+              grinder: getReferenceFacetStages('grinder', 'grinders'),
+              coffee_beans: [
+                { $unwind: '$coffee_beans' },
+                ...getReferenceFacetStages('coffee_beans', 'beans')
+              ],
+              roast_level: [
+                {
+                  $lookup: {
+                    from: DB_COLLECTION.beans,
+                    localField: 'coffee_beans',
+                    foreignField: '_id',
+                    as: 'bean_records'
+                  }
+                },
+                {
+                  // Count each roast level once per recipe
+                  $project: {
+                    roast_level: {
+                      $setUnion: ['$bean_records.roast_level', []]
+                    }
+                  }
+                },
+                { $unwind: '$roast_level' },
+                {
+                  $group: {
+                    _id: '$roast_level',
+                    count: { $sum: 1 }
+                  }
+                },
+                { $sort: { count: -1 } }
+              ],
+              // Note: _id is the lower bound of each rating bucket (0 means no reviews yet)
+              rating: [
+                {
+                  $bucket: {
+                    groupBy: '$average_rating',
+                    boundaries: [0, 1, 2, 3, 4, 5, 6],
+                    default: 'unknown',
+                    output: {
+                      count: { $sum: 1 }
+                    }
+                  }
+                }
+              ]
+            }
+          }
+        ])
+        .toArray();
+
+      return {
+        count: facets.count.length > 0 ? facets.count[0].count : 0,
+        brewing_method: facets.brewing_method,
+        brewer: facets.brewer,
+        grinder: facets.grinder,
+        coffee_beans: facets.coffee_beans,
+        roast_level: facets.roast_level,
+        rating: facets.rating
+      };
+    },
+
+    async insert(recipe) {
+      return await db.collection(DB_COLLECTION.recipes).insertOne({
+        ...recipe,
+        ...RatingUtil.getRatingSummary(recipe.reviews, ratingPrior),
+        bean_search_text: await getBeanSearchText(recipe.coffee_beans)
+      });
+    },
+
+    async update(id, fields) {
+      const updatedFields = { ...fields };
+      if (fields.coffee_beans) {
+        updatedFields.bean_search_text = await getBeanSearchText(fields.coffee_beans);
+      }
+      return await db
+        .collection(DB_COLLECTION.recipes)
+        .updateOne({ _id: ObjectId(id) }, { $set: updatedFields });
+    },
+
+    async delete(id) {
+      return await db.collection(DB_COLLECTION.recipes).deleteOne({ _id: ObjectId(id) });
+    },
+
+    async incrementForkCount(id, amount) {
+      return await db
+        .collection(DB_COLLECTION.recipes)
+        .updateOne({ _id: ObjectId(id) }, { $inc: { fork_count: amount } });
+    },
+
+    // Hides a recipe from lists of recipes and favorites (or shows it again)
+    async setHidden(id, hidden) {
+      return await db.collection(DB_COLLECTION.recipes).updateOne({ _id: ObjectId(id) }, { $set: { hidden: hidden } });
+    },
+
+    // Recalculates rating fields of all recipes from their reviews (eg. after changing the rating prior)
+    // Note: same update as when reviews change, so it can be run any number of times
+    async recomputeRatings() {
+      return await db.collection(DB_COLLECTION.recipes).updateMany({}, getRatingStages());
+    },
+
+    // Returns the number of recipes that reference a catalog record
+    async countUsingRecord(collection, id) {
+      return await db.collection(DB_COLLECTION.recipes).countDocuments({
+        [CATALOG_RECIPE_FIELD[collection]]: ObjectId(id)
+      });
+    }
+  };
+
+  // --- Recipe versions ---
+  const recipeVersions = {
+    // Returns a page of versions of a recipe (latest version first, without snapshots)
+    async findPage(recipeId, pagination) {
+      return await findPage('recipeVersions', { recipe_id: ObjectId(recipeId) }, {
+        projection: { snapshot: 0 },
+        sortField: 'version',
+        sortOrder: -1,
+        pagination: pagination
+      });
+    },
+
+    async findByVersion(recipeId, version) {
+      return await db.collection(DB_COLLECTION.recipeVersions).findOne({
+        recipe_id: ObjectId(recipeId),
+        version: version
+      });
+    },
+
+    async insert(versionRecord) {
+      return await db.collection(DB_COLLECTION.recipeVersions).insertOne(versionRecord);
+    },
+
+    async deleteByRecipe(recipeId) {
+      return await db.collection(DB_COLLECTION.recipeVersions).deleteMany({
+        recipe_id: ObjectId(recipeId)
+      });
+    }
+  };
+
+  // --- Reviews (embedded in recipes) ---
+  const reviews = {
+    // Returns the reviews of a recipe from offset and the total number of matching reviews (hidden reviews are excluded)
+    // -> options are { sort, ratings } where sort is 'newest', 'highest', 'lowest' or 'helpful'
+    //    and ratings (optional) are the star ratings of reviews to include
+    // -> returns null if recipe does not exist
+    async findPage(recipeId, options, offset, limit) {
+      const recipeRecord = await db
+        .collection(DB_COLLECTION.recipes)
+        .findOne({ _id: ObjectId(recipeId) }, { projection: { _id: 1 } });
+      if (!recipeRecord) {
+        return null;
+      }
+
+      const stages = [
+        {
+          $match: {
+            _id: ObjectId(recipeId)
+          }
+        },
+        { $unwind: '$reviews' },
+        { $replaceWith: '$reviews' },
+        { $match: { hidden: { $ne: true } } },
+        {
+          $set: {
+            // Convert ratings to int since older reviews may store rating as string
+            rating: { $toInt: '$rating' },
+            helpful_count: { $ifNull: ['$helpful_count', 0] }
+          }
+        }
+      ];
+      if (options.ratings) {
+        stages.push({ $match: { rating: { $in: options.ratings } } });
+      }
+      stages.push({
+        $facet: {
+          reviews: [{ $sort: REVIEW_SORT_ORDERS[options.sort] }, { $skip: offset }, { $limit: limit }],
+          count: [{ $count: 'count' }]
+        }
+      });
+
+      const [result] = await db.collection(DB_COLLECTION.recipes).aggregate(stages).toArray();
+      return {
+        reviews: result.reviews,
+        count: result.count.length > 0 ? result.count[0].count : 0
+      };
+    },
+
+    async findById(recipeId, reviewId) {
+      // Get only the matching review element of the recipe
+      const recipeRecord = await db.collection(DB_COLLECTION.recipes).findOne(
+        {
+          _id: ObjectId(recipeId),
+          'reviews._id': ObjectId(reviewId)
+        },
+        {
+          projection: {
+            'reviews.$': 1
+          }
+        }
+      );
+      return recipeRecord ? recipeRecord.reviews[0] : null;
+    },
+
+    // Adds a review to a recipe and recalculates its rating fields in a single update
+    // -> review records the version of recipe that it is written for (recipes before version history are version 1)
+    // -> each user can only review a recipe once (not matched if recipe already has a review by the user)
+    async insert(recipeId, review) {
+      // Note: $literal prevents review content from being parsed as expressions
+      return await db.collection(DB_COLLECTION.recipes).updateOne(
+        {
+          _id: ObjectId(recipeId),
+          'reviews.user_id': { $ne: ObjectId(review.user_id) }
+        },
+        [
+          {
+            $set: {
+              reviews: {
+                $concatArrays: [
+                  '$reviews',
+                  [
+                    {
+                      $mergeObjects: [
+                        { $literal: review },
+                        { recipe_version: { $ifNull: ['$version', 1] } }
+                      ]
+                    }
+                  ]
+                ]
+              }
+            }
+          },
+          ...getRatingStages()
+        ]
+      );
+    },
+
+    // Updates fields of a review and recalculates rating fields of the recipe in a single update
+    async update(recipeId, reviewId, fields) {
+      return await db.collection(DB_COLLECTION.recipes).updateOne(
+        {
+          _id: ObjectId(recipeId),
+          'reviews._id': ObjectId(reviewId)
+        },
+        [
+          {
+            $set: {
+              reviews: {
+                $map: {
+                  input: '$reviews',
+                  as: 'review',
+                  in: {
+                    $cond: [
+                      { $eq: ['$$review._id', ObjectId(reviewId)] },
+                      { $mergeObjects: ['$$review', { $literal: fields }] },
+                      '$$review'
+                    ]
+                  }
+                }
+              }
+            }
+          },
+          ...getRatingStages()
+        ]
+      );
+    },
+
+    // Adds a helpful vote of a user to a review (only if user has not voted for the review yet)
+    async addHelpfulVote(recipeId, reviewId, userId) {
+      return await db.collection(DB_COLLECTION.recipes).updateOne(
+        {
+          _id: ObjectId(recipeId),
+          reviews: {
+            $elemMatch: {
+              _id: ObjectId(reviewId),
+              helpful_votes: { $ne: ObjectId(userId) }
+            }
+          }
+        },
+        {
+          $push: { 'reviews.$.helpful_votes': ObjectId(userId) },
+          $inc: { 'reviews.$.helpful_count': 1 }
+        }
+      );
+    },
+
+    // Removes a helpful vote of a user from a review (only if user has voted for the review)
+    async removeHelpfulVote(recipeId, reviewId, userId) {
+      return await db.collection(DB_COLLECTION.recipes).updateOne(
+        {
+          _id: ObjectId(recipeId),
+          reviews: {
+            $elemMatch: {
+              _id: ObjectId(reviewId),
+              helpful_votes: ObjectId(userId)
+            }
+          }
+        },
+        {
+          $pull: { 'reviews.$.helpful_votes': ObjectId(userId) },
+          $inc: { 'reviews.$.helpful_count': -1 }
+        }
+      );
+    },
+
+    // Hides a review (or shows it again) and recalculates rating fields of the recipe in a single update
+    async setHidden(recipeId, reviewId, hidden) {
+      return await db.collection(DB_COLLECTION.recipes).updateOne(
+        {
+          _id: ObjectId(recipeId),
+          'reviews._id': ObjectId(reviewId)
+        },
+        [
+          {
+            $set: {
+              reviews: {
+                $map: {
+                  input: '$reviews',
+                  as: 'review',
+                  in: {
+                    $cond: [
+                      { $eq: ['$$review._id', ObjectId(reviewId)] },
+                      { $mergeObjects: ['$$review', { hidden: hidden }] },
+                      '$$review'
+                    ]
+                  }
+                }
+              }
+            }
+          },
+          ...getRatingStages()
+        ]
+      );
+    },
+
+    // Removes a review and recalculates rating fields of the recipe in a single update
+    async delete(recipeId, reviewId) {
+      return await db.collection(DB_COLLECTION.recipes).updateOne(
+        {
+          _id: ObjectId(recipeId),
+          'reviews._id': ObjectId(reviewId)
+        },
+        [
+          {
+            $set: {
+              reviews: {
+                $filter: {
+                  input: '$reviews',
+                  as: 'review',
+                  cond: { $ne: ['$$review._id', ObjectId(reviewId)] }
+                }
+              }
+            }
+          },
+          ...getRatingStages()
+        ]
+      );
+    }
+  };
+
+  // --- Favorites ---
+  // Note: each favorites record is a named list of a user and coffee_recipes is kept in the list's order
+  const favorites = {
+    // Lists of a user in order created
+    async findListsByUser(userId) {
+      return await db
+        .collection(DB_COLLECTION.favorites)
+        .find({ user_id: ObjectId(userId) })
+        .sort({ _id: 1 })
+        .toArray();
+    },
+
+    // Default list of a user is the first list created (used by /favorites/:email)
+    async findDefaultList(userId) {
+      const [favoriteRecord] = await db
+        .collection(DB_COLLECTION.favorites)
+        .find({ user_id: ObjectId(userId) })
+        .sort({ _id: 1 })
+        .limit(1)
+        .toArray();
+      return favoriteRecord || null;
+    },
+
+    async findById(listId) {
+      return await db.collection(DB_COLLECTION.favorites).findOne({ _id: ObjectId(listId) });
+    },
+
+    async findByShareToken(shareToken) {
+      return await db.collection(DB_COLLECTION.favorites).findOne({ share_token: shareToken });
+    },
+
+    // Finds a list of a user with the given name, excluding the list with excludeId
+    async findByName(userId, name, excludeId) {
+      const criteria = { user_id: ObjectId(userId), name: name };
+      if (excludeId) {
+        criteria._id = { $ne: ObjectId(excludeId) };
+      }
+      return await db.collection(DB_COLLECTION.favorites).findOne(criteria);
+    },
+
+    async insert(favoriteRecord) {
+      return await db.collection(DB_COLLECTION.favorites).insertOne(favoriteRecord);
+    },
+
+    async update(listId, fields) {
+      return await db.collection(DB_COLLECTION.favorites).updateOne({ _id: ObjectId(listId) }, { $set: fields });
+    },
+
+    async delete(listId) {
+      return await db.collection(DB_COLLECTION.favorites).deleteOne({ _id: ObjectId(listId) });
+    },
+
+    // Adds a recipe to a list at the given position (end of list if position is not given)
+    async addRecipe(listId, recipeId, position) {
+      const push = { $each: [ObjectId(recipeId)] };
+      if (position !== undefined) {
+        push.$position = position;
+      }
+      return await db.collection(DB_COLLECTION.favorites).updateOne(
+        {
+          _id: ObjectId(listId),
+          coffee_recipes: {
+            $nin: [ObjectId(recipeId)]
+          }
+        },
+        {
+          $push: {
+            coffee_recipes: push
+          },
+          $set: {
+            date_modified: new Date()
+          }
+        }
+      );
+    },
+
+    async removeRecipe(listId, recipeId) {
+      return await db.collection(DB_COLLECTION.favorites).updateOne(
+        {
+          _id: ObjectId(listId),
+          coffee_recipes: {
+            $in: [ObjectId(recipeId)]
+          }
+        },
+        {
+          $pull: {
+            coffee_recipes: ObjectId(recipeId)
+          },
+          $set: {
+            date_modified: new Date()
+          }
+        }
+      );
+    },
+
+    // Links favorites kept by email key (see migration 004) to the user who registered with the email
+    async claimByEmailKey(emailKey, userId) {
+      return await db
+        .collection(DB_COLLECTION.favorites)
+        .updateMany({ email_key: emailKey }, { $set: { user_id: ObjectId(userId) }, $unset: { email_key: '' } });
+    },
+
+    // Removes a recipe from all favorite lists (when recipe is deleted)
+    async removeRecipeFromAll(recipeId) {
+      return await db.collection(DB_COLLECTION.favorites).updateMany(
+        {
+          coffee_recipes: {
+            $in: [ObjectId(recipeId)]
+          }
+        },
+        {
+          $pull: {
+            coffee_recipes: ObjectId(recipeId)
+          }
+        }
+      );
+    }
+  };
+
+  // --- Reports (moderation) ---
+  // Note: target of a report is { recipe_id, review_id } where review_id is null for recipes
+  const reports = {
+    // Returns a page of reports matching the filters (newest first)
+    // -> filters are { status, targetType } (both optional)
+    async findPage(filters, pagination) {
+      const criteria = {};
+      if (filters.status) {
+        criteria['status'] = filters.status;
+      }
+      if (filters.targetType) {
+        criteria['target_type'] = filters.targetType;
+      }
+
+      return await findPage('reports', criteria, {
+        sortField: 'date',
+        sortOrder: -1,
+        pagination: pagination
+      });
+    },
+
+    async findById(id) {
+      return await db.collection(DB_COLLECTION.reports).findOne({ _id: ObjectId(id) });
+    },
+
+    // Finds a report of the target by a user (each user can report a target once)
+    async findByUser(target, userId) {
+      return await db.collection(DB_COLLECTION.reports).findOne({
+        recipe_id: ObjectId(target.recipe_id),
+        review_id: target.review_id ? ObjectId(target.review_id) : null,
+        user_id: ObjectId(userId)
+      });
+    },
+
+    async countOpen(target) {
+      return await db.collection(DB_COLLECTION.reports).countDocuments({
+        recipe_id: ObjectId(target.recipe_id),
+        review_id: target.review_id ? ObjectId(target.review_id) : null,
+        status: 'open'
+      });
+    },
+
+    // Finds an open report of the target that hid it (see submitReport in index.js)
+    async findOpenHiding(target) {
+      return await db.collection(DB_COLLECTION.reports).findOne({
+        recipe_id: ObjectId(target.recipe_id),
+        review_id: target.review_id ? ObjectId(target.review_id) : null,
+        status: 'open',
+        hid_content: true
+      });
+    },
+
+    async insert(report) {
+      return await db.collection(DB_COLLECTION.reports).insertOne(report);
+    },
+
+    // Resolves all open reports of the target with the same fields (eg. resolution)
+    async resolveByTarget(target, fields) {
+      return await db.collection(DB_COLLECTION.reports).updateMany(
+        {
+          recipe_id: ObjectId(target.recipe_id),
+          review_id: target.review_id ? ObjectId(target.review_id) : null,
+          status: 'open'
+        },
+        { $set: { ...fields, status: 'resolved' } }
+      );
+    },
+
+    // Deletes all reports of a recipe and its reviews (when recipe is deleted)
+    async deleteByRecipe(recipeId) {
+      return await db.collection(DB_COLLECTION.reports).deleteMany({ recipe_id: ObjectId(recipeId) });
+    }
+  };
+
+  // --- Idempotency keys (responses of requests that must not be repeated, eg. creating a recipe) ---
+  const idempotencyKeys = {
+    async findByKey(userId, key) {
+      return await db.collection(DB_COLLECTION.idempotencyKeys).findOne({ user_id: ObjectId(userId), key: key });
+    },
+
+    // Adds a key before its request is handled (response is saved when the request is done)
+    // -> returns null if the user has already used the key (unique index, see migration 007)
+    async insert(record) {
+      try {
+        return await db.collection(DB_COLLECTION.idempotencyKeys).insertOne(record);
+      } catch (err) {
+        if (err.code === 11000) {
+          return null; // Duplicate key
+        }
+        throw err;
+      }
+    },
+
+    async saveResponse(id, response) {
+      return await db
+        .collection(DB_COLLECTION.idempotencyKeys)
+        .updateOne({ _id: ObjectId(id) }, { $set: { response: response } });
+    },
+
+    async delete(id) {
+      return await db.collection(DB_COLLECTION.idempotencyKeys).deleteOne({ _id: ObjectId(id) });
+    }
+  };
+
+  // --- Brew logs (brews of recipes made by users) ---
+  const brewLogs = {
+    // Returns a page of brews of a user (latest first)
+    // -> filters are { recipeId } (optional) to include only brews of a recipe
+    async findPage(userId, filters, pagination) {
+      const criteria = { user_id: ObjectId(userId) };
+      if (filters.recipeId) {
+        criteria['recipe_id'] = ObjectId(filters.recipeId);
+      }
+
+      return await findPage('brewLogs', criteria, {
+        sortField: 'date',
+        sortOrder: -1,
+        pagination: pagination
+      });
+    },
+
+    // Returns all brews of a recipe with only the fields used for its summary (see BrewLogUtil.getBrewSummary)
+    async findByRecipe(recipeId) {
+      return await db
+        .collection(DB_COLLECTION.brewLogs)
+        .find(
+          { recipe_id: ObjectId(recipeId) },
+          {
+            projection: {
+              user_id: 1,
+              amount_of_coffee: 1,
+              brew_ratio: 1,
+              brew_time_seconds: 1,
+              brew_yield_ml: 1,
+              tds: 1,
+              extraction_yield: 1,
+              score: 1
+            }
+          }
+        )
+        .toArray();
+    },
+
+    async findById(id) {
+      return await db.collection(DB_COLLECTION.brewLogs).findOne({ _id: ObjectId(id) });
+    },
+
+    async insert(brew) {
+      return await db.collection(DB_COLLECTION.brewLogs).insertOne(brew);
+    },
+
+    async update(id, fields) {
+      return await db.collection(DB_COLLECTION.brewLogs).updateOne({ _id: ObjectId(id) }, { $set: fields });
+    },
+
+    async delete(id) {
+      return await db.collection(DB_COLLECTION.brewLogs).deleteOne({ _id: ObjectId(id) });
+    },
+
+    // Returns the number of brews that reference a catalog record (0 for catalogs that brews do not reference)
+    async countUsingRecord(collection, id) {
+      if (!CATALOG_BREW_LOG_FIELD[collection]) {
+        return 0;
+      }
+      return await db.collection(DB_COLLECTION.brewLogs).countDocuments({
+        [CATALOG_BREW_LOG_FIELD[collection]]: ObjectId(id)
+      });
+    }
+  };
+
+  return {
+    users,
+    tokens,
+    catalogs,
+    recipes,
+    recipeVersions,
+    reviews,
+    favorites,
+    reports,
+    idempotencyKeys,
+    brewLogs
+  };
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  createRepositories
+}
@@ -0,0 +1,420 @@
+// Script to load the sample-json fixtures into a local database for development
+// Usage: node seed.js [--check] [--reset]
+// -> --check only validates the fixtures without connecting to the database
+// -> --reset deletes all records of every collection before seeding
+// Note: string ids of fixtures are mapped to the same ObjectIds on every run,
+// so seeding again without --reset replaces the seeded records instead of duplicating them
+
+// --- Setup dependencies ---
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ObjectId = require('mongodb').ObjectId;
+const MongoUtil = require('./utilities/MongoUtil');
+const DatabaseUtil = require('./utilities/DatabaseUtil');
+const BcryptUtil = require('./utilities/BcryptUtil');
+const UnitUtil = require('./utilities/UnitUtil');
+const RatingUtil = require('./utilities/RatingUtil');
+
+// --- Global variables ---
+const MONGO_URI = process.env.MONGO_URI;
+const DB_COLLECTION = DatabaseUtil.DB_COLLECTION;
+
+// Password of every seeded user account (for logging in as sample users)
+const SEED_PASSWORD = process.env.SEED_PASSWORD || 'password123';
+
+// Prior of weighted ratings (same as the server, see RatingUtil.getRatingPrior)
+const RATING_PRIOR = RatingUtil.getRatingPrior(
+	process.env.RATING_PRIOR_MEAN,
+	process.env.RATING_PRIOR_WEIGHT
+);
+
+const FIXTURE_DIR = path.join(__dirname, 'sample-json');
+const FIXTURE_FILES = {
+	beans: 'sample-beans.json',
+	grinders: 'sample-grinders.json',
+	brewers: 'sample-brewers.json',
+	methods: 'sample-methods.json',
+	recipes: 'sample-recipes.json',
+	favorites: 'sample-favorites.json'
+};
+
+// Misspelt field names in fixtures and their correct names
+const FIELD_CORRECTIONS = {
+	brewers: {
+		rand: 'brand'
+	}
+};
+
+// Required fields of each type of fixture
+const REQUIRED_FIELDS = {
+	beans: ['name', 'roast_level', 'roaster', 'origins'],
+	grinders: ['brand', 'model', 'type'],
+	brewers: ['brand', 'model', 'type'],
+	methods: ['name'],
+	recipes: [
+		'recipe_name',
+		'description',
+		'user',
+		'date',
+		'total_brew_time',
+		'brew_yield',
+		'brewing_method',
+		'coffee_beans',
+		'amount_of_coffee',
+		'amount_of_water',
+		'water_temperature',
+		'brewer',
+		'steps'
+	],
+	favorites: ['user_email', 'coffee_recipes']
+};
+
+// Function to read all fixture files and correct misspelt field names
+// -> returns { fixtures, corrections } where corrections describe the renamed fields
+function loadFixtures() {
+	let fixtures = {};
+	let corrections = [];
+
+	for (let collection in FIXTURE_FILES) {
+		let filePath = path.join(FIXTURE_DIR, FIXTURE_FILES[collection]);
+		let records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		let fieldCorrections = FIELD_CORRECTIONS[collection] || {};
+
+		fixtures[collection] = records.map(function (record) {
+			let correctedRecord = {};
+			for (let field in record) {
+				let correctField = fieldCorrections[field] || field;
+				if (correctField !== field) {
+					corrections.push(
+						`${collection} ${record._id}: renamed '${field}' to '${correctField}'`
+					);
+				}
+				correctedRecord[correctField] = record[field];
+			}
+			return correctedRecord;
+		});
+	}
+
+	return { fixtures, corrections };
+}
+
+// Function to get the ObjectId of a fixture id
+// -> the same ObjectId is returned for the same collection and id (derived from a hash)
+function getObjectId(collection, id) {
+	let hash = crypto
+		.createHash('md5')
+		.update(collection + ':' + id)
+		.digest('hex');
+	return ObjectId(hash.slice(0, 24));
+}
+
+// Function to validate email address (same format as accepted by the server)
+function validateEmail(email) {
+	let regex = new RegExp(/^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/gi);
+	return typeof email === 'string' && regex.test(email);
+}
+
+// Function to validate all fixtures
+// -> returns an array of error messages (empty if fixtures are valid)
+function validateFixtures(fixtures) {
+	let errors = [];
+
+	// Check ids and required fields of every fixture
+	let ids = {};
+	for (let collection in fixtures) {
+		ids[collection] = new Set();
+		fixtures[collection].forEach(function (record, index) {
+			let label = `${collection} ${record._id || '#' + index}`;
+
+			if (record._id === undefined || record._id === '') {
+				errors.push(`${label}: _id is required`);
+			} else if (ids[collection].has(String(record._id))) {
+				errors.push(`${label}: duplicate _id`);
+			} else {
+				ids[collection].add(String(record._id));
+			}
+
+			for (let field of REQUIRED_FIELDS[collection]) {
+				if (record[field] === undefined || record[field] === '') {
+					errors.push(`${label}: ${field} is required`);
+				}
+			}
+		});
+	}
+
+	// Function to check that a referenced fixture exists
+	function checkReference(label, collection, id) {
+		if (!ids[collection].has(String(id))) {
+			errors.push(`${label}: ${collection} ${id} does not exist`);
+		}
+	}
+
+	for (let recipe of fixtures.recipes) {
+		let label = `recipes ${recipe._id}`;
+
+		checkReference(label, 'methods', recipe.brewing_method);
+		checkReference(label, 'brewers', recipe.brewer);
+		if (recipe.grinder) {
+			checkReference(label, 'grinders', recipe.grinder);
+		}
+		for (let beanId of recipe.coffee_beans || []) {
+			checkReference(label, 'beans', beanId);
+		}
+
+		if (recipe.user && !validateEmail(recipe.user.email)) {
+			errors.push(`${label}: invalid user email`);
+		}
+
+		if (UnitUtil.parseQuantity(recipe.total_brew_time, 'time') === null) {
+			errors.push(`${label}: invalid total_brew_time`);
+		}
+		for (let field of ['brew_yield', 'amount_of_water']) {
+			if (UnitUtil.parseQuantity(recipe[field], 'liquid') === null) {
+				errors.push(`${label}: invalid ${field}`);
+			}
+		}
+
+		for (let review of recipe.reviews || []) {
+			if (!validateEmail(review.email)) {
+				errors.push(`${label} review ${review._id}: invalid email`);
+			}
+			if (
+				!Number.isInteger(review.rating) ||
+				review.rating < 1 ||
+				review.rating > 5
+			) {
+				errors.push(
+					`${label} review ${review._id}: rating must be an integer from 1 to 5`
+				);
+			}
+		}
+	}
+
+	for (let favorite of fixtures.favorites) {
+		let label = `favorites ${favorite._id}`;
+
+		if (!validateEmail(favorite.user_email)) {
+			errors.push(`${label}: invalid user email`);
+		}
+		for (let recipeId of favorite.coffee_recipes || []) {
+			checkReference(label, 'recipes', recipeId);
+		}
+	}
+
+	return errors;
+}
+
+// Function to convert validated fixtures into database records
+// -> user accounts are created for every email in the fixtures (with SEED_PASSWORD)
+// -> emails in recipes are hashed in the same way as recipes created before user accounts,
+// and reviews and favorites refer to user accounts instead of emails
+async function buildSeedRecords(fixtures) {
+	// Collect user accounts by email (username from recipes and reviews if available)
+	let usernames = new Map();
+	function addUser(email, username) {
+		email = email.toLowerCase();
+		if (!usernames.get(email)) {
+			usernames.set(email, username || null);
+		}
+	}
+
+	for (let recipe of fixtures.recipes) {
+		addUser(recipe.user.email, recipe.user.username);
+		for (let review of recipe.reviews || []) {
+			addUser(review.email, review.username);
+		}
+	}
+	for (let favorite of fixtures.favorites) {
+		addUser(favorite.user_email);
+	}
+
+	let password = await BcryptUtil.hash(SEED_PASSWORD);
+	let users = [];
+	for (let [email, username] of usernames) {
+		users.push({
+			_id: getObjectId('users', email),
+			username: username || email.split('@')[0],
+			email: email,
+			password: password,
+			role: 'user',
+			date_joined: new Date()
+		});
+	}
+
+	function getUserId(email) {
+		return getObjectId('users', email.toLowerCase());
+	}
+
+	let beans = fixtures.beans.map((bean) => ({
+		...bean,
+		_id: getObjectId('beans', bean._id)
+	}));
+
+	let catalogs = {};
+	for (let collection of ['grinders', 'brewers', 'methods']) {
+		catalogs[collection] = fixtures[collection].map((record) => ({
+			...record,
+			_id: getObjectId(collection, record._id)
+		}));
+	}
+
+	let recipes = [];
+	for (let recipe of fixtures.recipes) {
+		let reviews = (recipe.reviews || []).map((review) => ({
+			_id: getObjectId('reviews', recipe._id + ':' + review._id),
+			date: new Date(review.date),
+			title: review.title,
+			content: review.content,
+			rating: review.rating,
+			user_id: getUserId(review.email),
+			username: review.username
+		}));
+
+		let coffeeBeans = recipe.coffee_beans.map((id) =>
+			getObjectId('beans', id)
+		);
+		let beanSearchText = fixtures.beans
+			.filter((bean) => recipe.coffee_beans.includes(bean._id))
+			.map((bean) =>
+				[bean.name].concat(bean.flavor_notes || []).join(' ')
+			)
+			.join(' ');
+
+		let waterAmountMl = UnitUtil.parseQuantity(
+			recipe.amount_of_water,
+			'liquid'
+		);
+		recipes.push({
+			_id: getObjectId('recipes', recipe._id),
+			image_url: recipe.image_url,
+			recipe_name: recipe.recipe_name,
+			description: recipe.description,
+			...RatingUtil.getRatingSummary(reviews, RATING_PRIOR),
+			user: {
+				_id: getUserId(recipe.user.email),
+				username: recipe.user.username,
+				email: await BcryptUtil.hash(recipe.user.email)
+			},
+			date: new Date(recipe.date),
+			total_brew_time: recipe.total_brew_time,
+			total_brew_time_seconds: UnitUtil.parseQuantity(
+				recipe.total_brew_time,
+				'time'
+			),
+			brew_yield: recipe.brew_yield,
+			brew_yield_ml: UnitUtil.parseQuantity(recipe.brew_yield, 'liquid'),
+			brewing_method: getObjectId('methods', recipe.brewing_method),
+			coffee_beans: coffeeBeans,
+			bean_search_text: beanSearchText,
+			coffee_rest_period: recipe.coffee_rest_period,
+			amount_of_coffee: Number(recipe.amount_of_coffee),
+			grinder: recipe.grinder
+				? getObjectId('grinders', recipe.grinder)
+				: null,
+			grind_setting: recipe.grind_setting,
+			amount_of_water: recipe.amount_of_water,
+			amount_of_water_ml: waterAmountMl,
+			brew_ratio: UnitUtil.computeBrewRatio(
+				Number(recipe.amount_of_coffee),
+				waterAmountMl
+			),
+			water_temperature: recipe.water_temperature,
+			additional_ingredients: recipe.additional_ingredients || [],
+			brewer: getObjectId('brewers', recipe.brewer),
+			additional_equipment: recipe.additional_equipment || [],
+			steps: recipe.steps,
+			reviews: reviews
+			// Note: version is not set so that version 1 is saved on the first update
+		});
+	}
+
+	let favorites = fixtures.favorites.map((favorite) => ({
+		_id: getObjectId('favorites', favorite._id),
+		user_id: getUserId(favorite.user_email),
+		name: 'Favorites',
+		notes: '',
+		coffee_recipes: favorite.coffee_recipes.map((id) =>
+			getObjectId('recipes', id)
+		),
+		share_token: null,
+		date: new Date()
+	}));
+
+	return {
+		users,
+		beans,
+		grinders: catalogs.grinders,
+		brewers: catalogs.brewers,
+		methods: catalogs.methods,
+		recipes,
+		favorites
+	};
+}
+
+// Function to write seed records to the database
+// -> if reset is true, all records of every collection are deleted first
+// -> otherwise seeded records are replaced (other records are kept)
+async function seedDatabase(db, seedRecords, reset) {
+	if (reset) {
+		for (let collection of Object.values(DB_COLLECTION)) {
+			await db.collection(collection).deleteMany({});
+		}
+	}
+
+	for (let collection in seedRecords) {
+		let records = seedRecords[collection];
+		if (records.length === 0) {
+			continue;
+		}
+
+		await db.collection(DB_COLLECTION[collection]).bulkWrite(
+			records.map((record) => ({
+				replaceOne: {
+					filter: { _id: record._id },
+					replacement: record,
+					upsert: true
+				}
+			}))
+		);
+		console.log(`Seeded ${records.length} ${collection}.`);
+	}
+}
+
+async function main() {
+	let args = process.argv.slice(2);
+	let checkOnly = args.includes('--check');
+	let reset = args.includes('--reset');
+
+	let { fixtures, corrections } = loadFixtures();
+	for (let correction of corrections) {
+		console.log('Corrected ' + correction);
+	}
+
+	let errors = validateFixtures(fixtures);
+	if (errors.length > 0) {
+		console.error('Invalid fixtures:');
+		for (let error of errors) {
+			console.error('- ' + error);
+		}
+		process.exit(1);
+	}
+	console.log('Fixtures are valid.');
+
+	if (checkOnly) {
+		return;
+	}
+
+	let seedRecords = await buildSeedRecords(fixtures);
+	let db = await MongoUtil.connect(MONGO_URI, DatabaseUtil.DB_NAME);
+	await seedDatabase(db, seedRecords, reset);
+
+	console.log('Database seeded.');
+	process.exit(0);
+}
+
+main().catch(function (err) {
+	console.error(err);
+	process.exit(1);
+});
@@ -0,0 +1,198 @@
+// Require dependencies
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser, createCatalog, createRecipe } = require('./helpers');
+
+describe('Brew logs', function () {
+  let server;
+  let brewer;
+  let otherUser;
+  let catalog;
+  let recipeId;
+  let brewId;
+
+  before(async function () {
+    server = await startServer();
+    brewer = await createUser(server, 'brewuser');
+    otherUser = await createUser(server, 'otheruser');
+    catalog = await createCatalog(server);
+    // Recipe is 15 g of coffee for 250 ml in 3 min (ratio of 16.7)
+    recipeId = await createRecipe(server, otherUser, catalog);
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  // Function to log a brew of the recipe
+  async function logBrew(user, body) {
+    return await server.request('POST', '/recipes/' + recipeId + '/brews', { token: user.token, body: body });
+  }
+
+  it('POST /recipes/:recipe_id/brews logs a brew with defaults from the recipe', async function () {
+    let response = await logBrew(brewer, {
+      coffeeAmount: 16,
+      brewTime: '200 s',
+      brewYield: '240 ml',
+      tds: 1.4,
+      tastingNotes: 'Bright, a little sour',
+      score: 7
+    });
+    assert.strictEqual(response.status, 201);
+    brewId = response.body.data.insertedId;
+
+    const brew = await server.repositories.brewLogs.findById(brewId);
+    assert.strictEqual(brew.bean.toString(), catalog.bean);
+    assert.strictEqual(brew.grinder.toString(), catalog.grinder);
+    assert.strictEqual(brew.grind_setting, '24 clicks');
+    assert.strictEqual(brew.brew_time_seconds, 200);
+    assert.strictEqual(brew.yield_ratio, 15);
+    assert.strictEqual(brew.extraction_yield, 21);
+    assert.strictEqual(brew.recipe_version, 1);
+  });
+
+  it('POST /recipes/:recipe_id/brews rejects invalid brews', async function () {
+    let response = await logBrew(brewer, {
+      bean: '0'.repeat(24),
+      roastDate: '2999-01-01',
+      coffeeAmount: -1,
+      brewTime: '3 minutes',
+      tds: 40,
+      score: 11
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(Object.keys(response.body.data).sort(), [
+      'bean',
+      'brewTime',
+      'brewYield',
+      'coffeeAmount',
+      'roastDate',
+      'score',
+      'tds'
+    ]);
+
+    response = await server.request('POST', '/recipes/' + '0'.repeat(24) + '/brews', {
+      token: brewer.token,
+      body: { coffeeAmount: 15, brewTime: '3 min', brewYield: '250 ml' }
+    });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('POST', '/recipes/' + recipeId + '/brews', {
+      body: { coffeeAmount: 15, brewTime: '3 min', brewYield: '250 ml' }
+    });
+    assert.strictEqual(response.status, 401);
+  });
+
+  it('GET /brews lists the brew history of the user', async function () {
+    const otherRecipeId = await createRecipe(server, otherUser, catalog, { recipeName: 'Evening V60' });
+    await server.request('POST', '/recipes/' + otherRecipeId + '/brews', {
+      token: brewer.token,
+      body: { coffeeAmount: 15, brewTime: '3 min', brewYield: '250 ml', roastDate: '2024-01-01' }
+    });
+    await logBrew(otherUser, { coffeeAmount: 15, brewTime: '3 min', brewYield: '250 ml' });
+
+    let response = await server.request('GET', '/brews', { token: brewer.token });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.count, 2);
+    const latest = response.body.data.result[0];
+    assert.strictEqual(latest.recipe.recipe_name, 'Evening V60');
+    assert.strictEqual(latest.bean.name, 'Ethiopia Guji');
+    assert.strictEqual(latest.grinder.model, 'C40');
+    assert.strictEqual(latest.tds, null);
+
+    response = await server.request('GET', '/brews?recipe=' + recipeId, { token: brewer.token });
+    assert.strictEqual(response.body.data.count, 1);
+    assert.strictEqual(response.body.data.result[0]._id, brewId);
+
+    response = await server.request('GET', '/brews?recipe=invalid', { token: brewer.token });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('GET', '/brews');
+    assert.strictEqual(response.status, 401);
+  });
+
+  it('GET /recipes/:recipe_id/brews/summary compares brews with the recipe', async function () {
+    const response = await server.request('GET', '/recipes/' + recipeId + '/brews/summary');
+    assert.strictEqual(response.status, 200);
+
+    const summary = response.body.data.result;
+    assert.strictEqual(summary.brew_count, 2);
+    assert.strictEqual(summary.user_count, 2);
+    assert.deepStrictEqual(summary.quantities.amount_of_coffee, {
+      recipe: 15,
+      average: 15.5,
+      average_deviation: 0.5,
+      typical_deviation: 0.5
+    });
+    assert.deepStrictEqual(summary.quantities.brew_time_seconds, {
+      recipe: 180,
+      average: 190,
+      average_deviation: 10,
+      typical_deviation: 10
+    });
+    assert.strictEqual(summary.quantities.yield_ratio.recipe, 16.7);
+    assert.strictEqual(summary.quantities.yield_ratio.average, 15.9);
+    assert.strictEqual(summary.average_tds, 1.4);
+    assert.strictEqual(summary.average_score, 7);
+
+    const invalidResponse = await server.request('GET', '/recipes/' + '0'.repeat(24) + '/brews/summary');
+    assert.strictEqual(invalidResponse.status, 400);
+  });
+
+  it('PUT /brews/:brew_id keeps the bean, grinder and grind setting of the brew when they are left out', async function () {
+    const { catalogs } = server.repositories;
+    const bean = await catalogs.insert('beans', { name: 'Kenya Nyeri', roast_level: 'Light', blend: false });
+    const grinder = await catalogs.insert('grinders', { brand: '1Zpresso', model: 'K-Ultra', type: 'Manual' });
+    let response = await logBrew(brewer, {
+      bean: bean.insertedId.toString(),
+      grinder: grinder.insertedId.toString(),
+      grindSetting: '80 clicks',
+      coffeeAmount: 15,
+      brewTime: '3 min',
+      brewYield: '250 ml'
+    });
+    assert.strictEqual(response.status, 201);
+    const otherBrewId = response.body.data.insertedId;
+
+    response = await server.request('PUT', '/brews/' + otherBrewId, {
+      token: brewer.token,
+      body: { coffeeAmount: 16, brewTime: '3 min', brewYield: '250 ml' }
+    });
+    assert.strictEqual(response.status, 200);
+
+    const brew = await server.repositories.brewLogs.findById(otherBrewId);
+    assert.strictEqual(brew.bean.toString(), bean.insertedId.toString());
+    assert.strictEqual(brew.grinder.toString(), grinder.insertedId.toString());
+    assert.strictEqual(brew.grind_setting, '80 clicks');
+    assert.strictEqual(brew.amount_of_coffee, 16);
+
+    await server.repositories.brewLogs.delete(otherBrewId);
+  });
+
+  it('PUT and DELETE /brews/:brew_id are only allowed for the owner', async function () {
+    let response = await server.request('GET', '/brews/' + brewId, { token: otherUser.token });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('PUT', '/brews/' + brewId, {
+      token: brewer.token,
+      body: { coffeeAmount: 15, brewTime: '3 min', brewYield: '250 ml', score: 9 }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.modifiedCount, 1);
+
+    response = await server.request('GET', '/brews/' + brewId, { token: brewer.token });
+    assert.strictEqual(response.body.data.result.score, 9);
+    assert.strictEqual(response.body.data.result.tds, null);
+    assert.ok(response.body.data.result.date_modified);
+
+    response = await server.request('DELETE', '/brews/' + brewId, { token: otherUser.token });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('DELETE', '/brews/' + brewId, { token: brewer.token });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.deletedCount, 1);
+
+    response = await server.request('GET', '/brews/' + brewId, { token: brewer.token });
+    assert.strictEqual(response.status, 400);
+  });
+});
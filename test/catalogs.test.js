@@ -0,0 +1,202 @@
+// Require dependencies
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser, createCatalog, createRecipe } = require('./helpers');
+
+// Request bodies and ID parameter names of each catalog endpoint
+const CATALOGS = {
+  beans: {
+    idParam: 'bean_id',
+    body: {
+      name: 'Kenya Nyeri',
+      roastLevel: 'Medium Light',
+      blend: 'false',
+      variety: 'SL28',
+      flavorNotes: ['Blackcurrant'],
+      roaster: 'Tiong Hoe',
+      origins: ['Kenya']
+    },
+    update: { name: 'Kenya Kirinyaga' },
+    invalid: { name: '', roastLevel: 'Burnt', origins: [] }
+  },
+  grinders: {
+    idParam: 'grinder_id',
+    body: { brand: 'Timemore', model: 'C2', type: 'Manual' },
+    update: { model: 'C3' },
+    invalid: { brand: '', type: 'Solar' }
+  },
+  brewers: {
+    idParam: 'brewer_id',
+    body: { brand: 'Kalita', model: 'Wave 185', type: 'Manual' },
+    update: { model: 'Wave 155' },
+    invalid: { brand: '', type: 'Solar' }
+  },
+  methods: {
+    idParam: 'method_id',
+    body: { name: 'Immersion' },
+    update: { name: 'Full Immersion' },
+    invalid: {}
+  }
+};
+
+describe('Catalogs', function () {
+  let server;
+  let user;
+  let admin;
+  let catalog;
+  let recipeId;
+
+  before(async function () {
+    server = await startServer();
+    user = await createUser(server, 'catalogueuser');
+    admin = await createUser(server, 'adminuser', 'admin');
+    catalog = await createCatalog(server);
+    recipeId = await createRecipe(server, user, catalog);
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  // Catalog records referenced by the recipe (see createCatalog)
+  function getUsedId(collection) {
+    return {
+      beans: catalog.bean,
+      grinders: catalog.grinder,
+      brewers: catalog.brewer,
+      methods: catalog.method
+    }[collection];
+  }
+
+  for (let collection in CATALOGS) {
+    const { idParam, body, update, invalid } = CATALOGS[collection];
+
+    describe('/' + collection, function () {
+      let recordId;
+
+      it('POST creates a record and rejects duplicates', async function () {
+        let response = await server.request('POST', '/' + collection, { token: user.token, body: body });
+        assert.strictEqual(response.status, 201);
+        recordId = response.body.data.insertedId;
+
+        response = await server.request('POST', '/' + collection, { token: user.token, body: body });
+        assert.strictEqual(response.status, 400);
+
+        response = await server.request('POST', '/' + collection, { token: user.token, body: invalid });
+        assert.strictEqual(response.status, 400);
+
+        response = await server.request('POST', '/' + collection, { body: body });
+        assert.strictEqual(response.status, 401);
+      });
+
+      it('GET lists records with pagination', async function () {
+        let response = await server.request('GET', '/' + collection + '?limit=1');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.data.count, 2);
+        assert.strictEqual(response.body.data.result[0]._id, getUsedId(collection));
+
+        response = await server.request('GET', response.body.data.links.next);
+        assert.strictEqual(response.body.data.result[0]._id, recordId);
+        assert.strictEqual(response.body.data.next_cursor, null);
+
+        response = await server.request('GET', '/' + collection + '?limit=0');
+        assert.strictEqual(response.status, 400);
+      });
+
+      it('GET /:' + idParam + ' returns a record', async function () {
+        let response = await server.request('GET', '/' + collection + '/' + recordId);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.data.result._id, recordId);
+
+        response = await server.request('GET', '/' + collection + '/' + '0'.repeat(24));
+        assert.strictEqual(response.status, 400);
+
+        response = await server.request('GET', '/' + collection + '/invalid');
+        assert.strictEqual(response.status, 400);
+      });
+
+      it('PUT /:' + idParam + ' updates a record (admin only)', async function () {
+        const updatedBody = { ...body, ...update };
+
+        let response = await server.request('PUT', '/' + collection + '/' + recordId, {
+          token: user.token,
+          body: updatedBody
+        });
+        assert.strictEqual(response.status, 403);
+
+        response = await server.request('PUT', '/' + collection + '/' + recordId, {
+          token: admin.token,
+          body: updatedBody
+        });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.data.modifiedCount, 1);
+
+        response = await server.request('GET', '/' + collection + '/' + recordId);
+        const record = response.body.data.result;
+        for (let field in update) {
+          assert.strictEqual(record[field], update[field]);
+        }
+
+        response = await server.request('PUT', '/' + collection + '/' + '0'.repeat(24), {
+          token: admin.token,
+          body: { ...body, name: 'Unknown', model: 'Unknown' }
+        });
+        assert.strictEqual(response.status, 400);
+      });
+
+      it('DELETE /:' + idParam + ' deletes a record that is not used by recipes (admin only)', async function () {
+        let response = await server.request('DELETE', '/' + collection + '/' + recordId, { token: user.token });
+        assert.strictEqual(response.status, 403);
+
+        response = await server.request('DELETE', '/' + collection + '/' + getUsedId(collection), {
+          token: admin.token
+        });
+        assert.strictEqual(response.status, 400);
+        assert.match(response.body.data[idParam], /still used by 1 recipe/);
+
+        response = await server.request('DELETE', '/' + collection + '/' + recordId, { token: admin.token });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.data.deletedCount, 1);
+
+        response = await server.request('DELETE', '/' + collection + '/' + recordId, { token: admin.token });
+        assert.strictEqual(response.status, 400);
+      });
+    });
+  }
+
+  it('DELETE /beans/:bean_id and /grinders/:grinder_id refuse records used by logged brews', async function () {
+    const { catalogs } = server.repositories;
+    const bean = await catalogs.insert('beans', { name: 'Colombia Huila', roast_level: 'Medium', blend: false });
+    const grinder = await catalogs.insert('grinders', { brand: 'Baratza', model: 'Encore', type: 'Electric' });
+    let response = await server.request('POST', '/recipes/' + recipeId + '/brews', {
+      token: user.token,
+      body: {
+        bean: bean.insertedId.toString(),
+        grinder: grinder.insertedId.toString(),
+        coffeeAmount: 15,
+        brewTime: '3 min',
+        brewYield: '250 ml'
+      }
+    });
+    assert.strictEqual(response.status, 201);
+
+    response = await server.request('DELETE', '/beans/' + bean.insertedId, { token: admin.token });
+    assert.strictEqual(response.status, 400);
+    assert.match(response.body.data.bean_id, /still used by 0 recipe\(s\) and 1 brew/);
+
+    response = await server.request('DELETE', '/grinders/' + grinder.insertedId, { token: admin.token });
+    assert.strictEqual(response.status, 400);
+    assert.match(response.body.data.grinder_id, /still used by 0 recipe\(s\) and 1 brew/);
+  });
+
+  it('PUT /beans/:bean_id updates search text of recipes using the bean', async function () {
+    let response = await server.request('PUT', '/beans/' + catalog.bean, {
+      token: admin.token,
+      body: { ...CATALOGS.beans.body, name: 'Panama Geisha', flavorNotes: ['Bergamot'] }
+    });
+    assert.strictEqual(response.status, 200);
+
+    response = await server.request('GET', '/recipes?search=bergamot');
+    assert.strictEqual(response.body.data.count, 1);
+  });
+});
@@ -0,0 +1,372 @@
+// Require dependencies
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const ObjectId = require('mongodb').ObjectId;
+const TokenUtil = require('../utilities/TokenUtil');
+const { PASSWORD, EMAIL_KEY_SECRET, startServer, createUser, createCatalog, createRecipe } = require('./helpers');
+
+describe('Favorites', function () {
+  let server;
+  let user;
+  let otherUser;
+  let recipeIds;
+
+  before(async function () {
+    server = await startServer();
+    user = await createUser(server, 'favoriteuser');
+    otherUser = await createUser(server, 'otheruser');
+
+    const catalog = await createCatalog(server);
+    recipeIds = [
+      await createRecipe(server, otherUser, catalog, { recipeName: 'First recipe' }),
+      await createRecipe(server, otherUser, catalog, { recipeName: 'Second recipe' })
+    ];
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  it('GET /favorites returns no recipes before any favorite is added', async function () {
+    const response = await server.request('GET', '/favorites', { token: user.token });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.result, null);
+    assert.strictEqual(response.body.data.count, 0);
+  });
+
+  it('POST /favorites adds recipes to favorites', async function () {
+    let response = await server.request('POST', '/favorites', {
+      token: user.token,
+      body: { recipeId: recipeIds[0] }
+    });
+    assert.strictEqual(response.status, 201);
+
+    response = await server.request('POST', '/favorites', {
+      token: user.token,
+      body: { recipeId: recipeIds[1] }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.modifiedCount, 1);
+
+    response = await server.request('POST', '/favorites', {
+      token: user.token,
+      body: { recipeId: recipeIds[1] }
+    });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('POST', '/favorites', {
+      token: user.token,
+      body: { recipeId: '0'.repeat(24) }
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('POST /favorites does not create favorites for missing or hidden recipes', async function () {
+    const newUser = await createUser(server, 'newfavoriteuser');
+    const hiddenId = await createRecipe(server, otherUser, await createCatalog(server), { recipeName: 'Hidden recipe' });
+    await server.repositories.recipes.setHidden(hiddenId, true);
+
+    for (let recipeId of ['0'.repeat(24), hiddenId]) {
+      const response = await server.request('POST', '/favorites', {
+        token: newUser.token,
+        body: { recipeId: recipeId }
+      });
+      assert.strictEqual(response.status, 400);
+      assert.ok(response.body.data.recipeId);
+    }
+
+    assert.strictEqual(await server.repositories.favorites.findDefaultList(newUser._id), null);
+  });
+
+  it('GET /favorites returns favorited recipes in order added', async function () {
+    let response = await server.request('GET', '/favorites?limit=1', { token: user.token });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.count, 2);
+    assert.strictEqual(response.body.data.result[0].recipe_name, 'First recipe');
+    assert.strictEqual(response.body.data.result[0].brewer.model, 'V60');
+
+    response = await server.request('GET', response.body.data.links.next, { token: user.token });
+    assert.strictEqual(response.body.data.result[0].recipe_name, 'Second recipe');
+  });
+
+  it('favorites are kept for the authenticated user only', async function () {
+    let response = await server.request('GET', '/favorites', { token: otherUser.token });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.result, null);
+
+    response = await server.request('GET', '/favorites');
+    assert.strictEqual(response.status, 401);
+
+    // Emails are no longer part of favorites URLs
+    response = await server.request('GET', '/favorites/' + user.email, { token: user.token });
+    assert.strictEqual(response.status, 404);
+  });
+
+  it('favorites kept by email key are linked to the user who registers with the email', async function () {
+    await server.repositories.favorites.insert({
+      email_key: TokenUtil.generateEmailKey('Legacy.User@example.com', EMAIL_KEY_SECRET),
+      name: 'Favorites',
+      notes: '',
+      coffee_recipes: [ObjectId(recipeIds[1])],
+      share_token: null
+    });
+
+    let response = await server.request('POST', '/users/register', {
+      body: { username: 'legacyuser', email: 'legacy.user@example.com', password: PASSWORD }
+    });
+    assert.strictEqual(response.status, 201);
+
+    response = await server.request('POST', '/users/login', {
+      body: { email: 'legacy.user@example.com', password: PASSWORD }
+    });
+    response = await server.request('GET', '/favorites', { token: response.body.data.accessToken });
+    assert.deepStrictEqual(
+      response.body.data.result.map((recipe) => recipe.recipe_name),
+      ['Second recipe']
+    );
+
+    const userRecord = await server.repositories.users.findByEmail('legacy.user@example.com');
+    const favoriteRecord = await server.repositories.favorites.findDefaultList(userRecord._id);
+    assert.strictEqual(favoriteRecord.email_key, undefined);
+  });
+
+  it('DELETE /favorites removes a recipe from favorites', async function () {
+    let response = await server.request('DELETE', '/favorites', {
+      token: user.token,
+      body: { recipeId: recipeIds[0] }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.modifiedCount, 1);
+
+    response = await server.request('DELETE', '/favorites', {
+      token: user.token,
+      body: { recipeId: recipeIds[0] }
+    });
+    assert.strictEqual(response.status, 400);
+
+    const favoriteRecord = await server.repositories.favorites.findDefaultList(user._id);
+    assert.deepStrictEqual(
+      favoriteRecord.coffee_recipes.map((id) => id.toString()),
+      [recipeIds[1]]
+    );
+  });
+});
+
+describe('Favorite lists', function () {
+  let server;
+  let user;
+  let otherUser;
+  let recipeIds;
+  let listIds = {};
+
+  before(async function () {
+    server = await startServer();
+    user = await createUser(server, 'listuser');
+    otherUser = await createUser(server, 'otheruser');
+
+    const catalog = await createCatalog(server);
+    recipeIds = [
+      await createRecipe(server, otherUser, catalog, { recipeName: 'First recipe' }),
+      await createRecipe(server, otherUser, catalog, { recipeName: 'Second recipe' }),
+      await createRecipe(server, otherUser, catalog, { recipeName: 'Third recipe' })
+    ];
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  // Function to get the names of recipes of a favorite list (in order of the list)
+  async function getRecipeNames(listId) {
+    const response = await server.request('GET', '/favorites/lists/' + listId, { token: user.token });
+    return response.body.data.result.map((recipe) => recipe.recipe_name);
+  }
+
+  it('POST /favorites/lists creates named lists', async function () {
+    for (let name of ['Morning espresso', 'To try']) {
+      const response = await server.request('POST', '/favorites/lists', {
+        token: user.token,
+        body: { name: name, notes: 'Notes for ' + name }
+      });
+      assert.strictEqual(response.status, 201);
+      listIds[name] = response.body.data.insertedId;
+    }
+
+    let response = await server.request('POST', '/favorites/lists', {
+      token: user.token,
+      body: { name: 'To try' }
+    });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('POST', '/favorites/lists', {
+      token: user.token,
+      body: { name: ' ', notes: 5, isPublic: 'maybe' }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(Object.keys(response.body.data).sort(), ['isPublic', 'name', 'notes']);
+
+    response = await server.request('POST', '/favorites/lists', { body: { name: 'Guests' } });
+    assert.strictEqual(response.status, 401);
+
+    response = await server.request('GET', '/favorites/lists', { token: user.token });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(
+      response.body.data.result.map((list) => list.name),
+      ['Morning espresso', 'To try']
+    );
+    assert.strictEqual(response.body.data.result[0].notes, 'Notes for Morning espresso');
+    assert.strictEqual(response.body.data.result[0].share_link, null);
+  });
+
+  it('POST /favorites/lists/:list_id/recipes adds recipes at a position', async function () {
+    const listId = listIds['Morning espresso'];
+    const bodies = [{ recipeId: recipeIds[0] }, { recipeId: recipeIds[1] }, { recipeId: recipeIds[2], position: 0 }];
+    for (let body of bodies) {
+      const response = await server.request('POST', '/favorites/lists/' + listId + '/recipes', {
+        token: user.token,
+        body: body
+      });
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.data.modifiedCount, 1);
+    }
+    assert.deepStrictEqual(await getRecipeNames(listId), ['Third recipe', 'First recipe', 'Second recipe']);
+
+    let response = await server.request('POST', '/favorites/lists/' + listId + '/recipes', {
+      token: user.token,
+      body: { recipeId: recipeIds[0] }
+    });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('POST', '/favorites/lists/' + listId + '/recipes', {
+      token: user.token,
+      body: { recipeId: '0'.repeat(24) }
+    });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('POST', '/favorites/lists/' + listIds['To try'] + '/recipes', {
+      token: user.token,
+      body: { recipeId: recipeIds[0], position: 1 }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.position);
+  });
+
+  it('PUT /favorites/lists/:list_id/recipes reorders recipes', async function () {
+    const listId = listIds['Morning espresso'];
+    let response = await server.request('PUT', '/favorites/lists/' + listId + '/recipes', {
+      token: user.token,
+      body: { recipeIds: [recipeIds[0], recipeIds[1], recipeIds[2]] }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await getRecipeNames(listId), ['First recipe', 'Second recipe', 'Third recipe']);
+
+    // Every recipe of the list must be given exactly once
+    response = await server.request('PUT', '/favorites/lists/' + listId + '/recipes', {
+      token: user.token,
+      body: { recipeIds: [recipeIds[0], recipeIds[0], recipeIds[2]] }
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('POST /favorites/lists/:list_id/recipes/:recipe_id/move moves a recipe to another list', async function () {
+    const fromId = listIds['Morning espresso'];
+    const toId = listIds['To try'];
+    let response = await server.request('POST', '/favorites/lists/' + fromId + '/recipes/' + recipeIds[1] + '/move', {
+      token: user.token,
+      body: { listId: toId }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.from.modifiedCount, 1);
+    assert.strictEqual(response.body.data.to.modifiedCount, 1);
+    assert.deepStrictEqual(await getRecipeNames(fromId), ['First recipe', 'Third recipe']);
+    assert.deepStrictEqual(await getRecipeNames(toId), ['Second recipe']);
+
+    response = await server.request('POST', '/favorites/lists/' + fromId + '/recipes/' + recipeIds[1] + '/move', {
+      token: user.token,
+      body: { listId: toId }
+    });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('DELETE', '/favorites/lists/' + toId + '/recipes/' + recipeIds[1], {
+      token: user.token
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await getRecipeNames(toId), []);
+  });
+
+  it('public lists can be viewed read-only with a share link', async function () {
+    const listId = listIds['Morning espresso'];
+    let response = await server.request('PUT', '/favorites/lists/' + listId, {
+      token: user.token,
+      body: { name: 'Morning espresso', notes: 'Weekday cups', isPublic: true }
+    });
+    assert.strictEqual(response.status, 200);
+
+    response = await server.request('GET', '/favorites/lists/' + listId, { token: user.token });
+    const list = response.body.data.list;
+    assert.strictEqual(list.is_public, true);
+    assert.strictEqual(list.notes, 'Weekday cups');
+
+    response = await server.request('GET', list.share_link);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.list.username, 'listuser');
+    assert.strictEqual(response.body.data.list._id, undefined);
+    assert.deepStrictEqual(
+      response.body.data.result.map((recipe) => recipe.recipe_name),
+      ['First recipe', 'Third recipe']
+    );
+
+    // Share link is removed when the list is made private
+    response = await server.request('PUT', '/favorites/lists/' + listId, {
+      token: user.token,
+      body: { name: 'Morning espresso', isPublic: 'false' }
+    });
+    assert.strictEqual(response.status, 200);
+
+    response = await server.request('GET', list.share_link);
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('lists of another user cannot be accessed', async function () {
+    const listId = listIds['Morning espresso'];
+    let response = await server.request('GET', '/favorites/lists/' + listId, { token: otherUser.token });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('POST', '/favorites/lists/' + listId + '/recipes', {
+      token: otherUser.token,
+      body: { recipeId: recipeIds[1] }
+    });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('POST', '/favorites/lists', {
+      token: otherUser.token,
+      body: { name: 'Guests' }
+    });
+    response = await server.request('POST', '/favorites/lists/' + listId + '/recipes/' + recipeIds[0] + '/move', {
+      token: user.token,
+      body: { listId: response.body.data.insertedId }
+    });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('GET', '/favorites/lists/invalid', { token: user.token });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('DELETE /favorites/lists/:list_id deletes a list', async function () {
+    let response = await server.request('DELETE', '/favorites/lists/' + listIds['To try'], { token: user.token });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.deletedCount, 1);
+
+    response = await server.request('GET', '/favorites/lists/' + listIds['To try'], { token: user.token });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('/favorites uses the first list of the user', async function () {
+    const response = await server.request('GET', '/favorites', { token: user.token });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(
+      response.body.data.result.map((recipe) => recipe.recipe_name),
+      ['First recipe', 'Third recipe']
+    );
+  });
+});
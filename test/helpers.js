@@ -0,0 +1,164 @@
+// Require dependencies
+const { createApp } = require('../index');
+const MemoryRepository = require('../repositories/MemoryRepository');
+const BcryptUtil = require('../utilities/BcryptUtil');
+
+const TOKEN_SECRET = 'test-secret';
+const EMAIL_KEY_SECRET = 'test-email-key-secret';
+const PASSWORD = 'password123';
+
+// Rate limits that are not reached by tests (tests of rate limits start a server with lower limits)
+const TEST_RATE_LIMITS = {
+  windowSeconds: 60,
+  clientMax: 10000,
+  userMax: 10000
+};
+
+// Function to start a server with in-memory repositories on a random port
+// -> options replace the default options of createApp (eg. { rateLimits })
+// -> returns { repositories, request, close }
+async function startServer(options) {
+  const repositories = await MemoryRepository.createRepositories();
+  const app = createApp(repositories, {
+    tokenSecret: TOKEN_SECRET,
+    emailKeySecret: EMAIL_KEY_SECRET,
+    rateLimits: TEST_RATE_LIMITS,
+    ...options
+  });
+
+  const server = await new Promise(function (resolve) {
+    const server = app.listen(0, () => resolve(server));
+  });
+  const baseUrl = 'http://127.0.0.1:' + server.address().port;
+
+  // Function to send a request to the server
+  // -> options are { body, token, headers }
+  // -> returns { status, headers, body } (body is parsed if response is JSON)
+  async function request(method, path, options) {
+    options = options || {};
+    const headers = { ...options.headers };
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (options.token) {
+      headers['Authorization'] = 'Bearer ' + options.token;
+    }
+
+    const response = await fetch(baseUrl + path, {
+      method: method,
+      headers: headers,
+      body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+    });
+
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? JSON.parse(text) : text
+    };
+  }
+
+  function close() {
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return { repositories, request, close };
+}
+
+// Function to create a user and log in
+// -> role is 'user' by default (admin role can only be assigned directly in database)
+// -> returns { _id, username, email, token }
+async function createUser(server, username, role) {
+  const email = username + '@example.com';
+  const result = await server.repositories.users.insert({
+    username: username,
+    email: email,
+    password: await BcryptUtil.hash(PASSWORD),
+    role: role || 'user',
+    date_joined: new Date()
+  });
+
+  const response = await server.request('POST', '/users/login', {
+    body: { email: email, password: PASSWORD }
+  });
+  return {
+    _id: result.insertedId.toString(),
+    username: username,
+    email: email,
+    token: response.body.data.accessToken
+  };
+}
+
+// Function to create one record of each catalog collection
+// -> returns the IDs (as strings) of { bean, grinder, brewer, method }
+async function createCatalog(server) {
+  const { catalogs } = server.repositories;
+  const bean = await catalogs.insert('beans', {
+    name: 'Ethiopia Guji',
+    roast_level: 'Light',
+    blend: false,
+    variety: 'Heirloom',
+    flavor_notes: ['Blueberry', 'Jasmine'],
+    roaster: 'Common Man',
+    origins: ['Ethiopia']
+  });
+  const grinder = await catalogs.insert('grinders', { brand: 'Comandante', model: 'C40', type: 'Manual' });
+  const brewer = await catalogs.insert('brewers', { brand: 'Hario', model: 'V60', type: 'Manual' });
+  const method = await catalogs.insert('methods', { name: 'Pour Over' });
+
+  return {
+    bean: bean.insertedId.toString(),
+    grinder: grinder.insertedId.toString(),
+    brewer: brewer.insertedId.toString(),
+    method: method.insertedId.toString()
+  };
+}
+
+// Function to get the request body for creating a recipe with the catalog records
+function getRecipeBody(catalog, fields) {
+  return {
+    imageUrl: 'https://example.com/image.jpg',
+    recipeName: 'Morning V60',
+    description: 'A bright and fruity pour over',
+    totalBrewTime: '3 min',
+    brewYield: '250 ml',
+    brewingMethod: catalog.method,
+    coffeeBeans: [catalog.bean],
+    coffeeRestPeriod: '2 weeks',
+    coffeeAmount: 15,
+    grinder: catalog.grinder,
+    grindSetting: '24 clicks',
+    waterAmount: '250 ml',
+    waterTemperature: 93,
+    additionalIngredients: [],
+    brewer: catalog.brewer,
+    additionalEquipment: ['Kettle'],
+    steps: ['Bloom for 45 s', 'Pour to 250 g'],
+    ...fields
+  };
+}
+
+// Function to create a recipe owned by user
+// -> returns the ID of the recipe (as string)
+async function createRecipe(server, user, catalog, fields) {
+  const response = await server.request('POST', '/recipes', {
+    token: user.token,
+    body: getRecipeBody(catalog, fields)
+  });
+  if (response.status !== 201) {
+    throw new Error('Unable to create recipe: ' + JSON.stringify(response.body));
+  }
+  return response.body.data.insertedId;
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  PASSWORD,
+  EMAIL_KEY_SECRET,
+  startServer,
+  createUser,
+  createCatalog,
+  getRecipeBody,
+  createRecipe
+}
@@ -0,0 +1,141 @@
+// Require dependencies
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser, createCatalog, getRecipeBody } = require('./helpers');
+
+describe('Rate limits', function () {
+  let server;
+  let users;
+  let catalog;
+
+  before(async function () {
+    server = await startServer({ rateLimits: { windowSeconds: 60, clientMax: 8, userMax: 3 } });
+    // Note: users are added directly to the repository, only logins count towards the client limit
+    users = [await createUser(server, 'firstuser'), await createUser(server, 'seconduser')];
+    catalog = await createCatalog(server);
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  // Function to create a recipe as user
+  async function postRecipe(user) {
+    return await server.request('POST', '/recipes', { token: user.token, body: getRecipeBody(catalog) });
+  }
+
+  it('limits write requests of each user', async function () {
+    for (let i = 0; i < 3; i++) {
+      const response = await postRecipe(users[0]);
+      assert.strictEqual(response.status, 201);
+    }
+
+    let response = await postRecipe(users[0]);
+    assert.strictEqual(response.status, 429);
+    assert.ok(response.body.data.rate_limit);
+    const retryAfter = Number(response.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+
+    // Read requests are not limited
+    response = await server.request('GET', '/recipes');
+    assert.strictEqual(response.status, 200);
+
+    response = await postRecipe(users[1]);
+    assert.strictEqual(response.status, 201);
+  });
+
+  it('limits write requests of each client', async function () {
+    // 2 logins and 5 requests to create recipes have been sent from the same client so far
+    let response = await server.request('POST', '/users/login', {
+      body: { email: 'nobody@example.com', password: 'password123' }
+    });
+    assert.strictEqual(response.status, 401);
+
+    response = await postRecipe(users[1]);
+    assert.strictEqual(response.status, 429);
+    assert.ok(response.headers.get('retry-after'));
+  });
+});
+
+describe('Idempotency keys', function () {
+  let server;
+  let user;
+  let otherUser;
+  let catalog;
+  let recipeId;
+
+  before(async function () {
+    server = await startServer();
+    user = await createUser(server, 'firstuser');
+    otherUser = await createUser(server, 'seconduser');
+    catalog = await createCatalog(server);
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  // Function to create a recipe with an idempotency key
+  async function postRecipe(requestUser, key, fields) {
+    return await server.request('POST', '/recipes', {
+      token: requestUser.token,
+      headers: { 'Idempotency-Key': key },
+      body: getRecipeBody(catalog, fields)
+    });
+  }
+
+  it('POST /recipes with the same key creates the recipe once', async function () {
+    let response = await postRecipe(user, 'submit-1');
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.headers.get('idempotent-replayed'), null);
+    recipeId = response.body.data.insertedId;
+
+    response = await postRecipe(user, 'submit-1');
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.headers.get('idempotent-replayed'), 'true');
+    assert.strictEqual(response.body.data.insertedId, recipeId);
+
+    response = await server.request('GET', '/recipes');
+    assert.strictEqual(response.body.data.count, 1);
+
+    // Keys are per user
+    response = await postRecipe(otherUser, 'submit-1');
+    assert.strictEqual(response.status, 201);
+    assert.notStrictEqual(response.body.data.insertedId, recipeId);
+  });
+
+  it('rejects keys reused for a different request', async function () {
+    let response = await postRecipe(user, 'submit-1', { recipeName: 'Evening V60' });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.idempotency_key);
+
+    response = await postRecipe(user, 'x'.repeat(256));
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.idempotency_key);
+  });
+
+  it('keeps only successful responses so that failed requests can be retried', async function () {
+    let response = await postRecipe(user, 'submit-2', { recipeName: '' });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.recipeName);
+
+    response = await postRecipe(user, 'submit-2', { recipeName: 'Evening V60' });
+    assert.strictEqual(response.status, 201);
+  });
+
+  it('POST /recipes/:recipe_id/reviews with the same key adds the review once', async function () {
+    const path = '/recipes/' + recipeId + '/reviews';
+    const body = { title: 'Great recipe', content: 'Sweet and balanced cup', rating: 4 };
+    const headers = { 'Idempotency-Key': 'review-1' };
+
+    let response = await server.request('POST', path, { token: otherUser.token, headers: headers, body: body });
+    assert.strictEqual(response.status, 201);
+
+    response = await server.request('POST', path, { token: otherUser.token, headers: headers, body: body });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.headers.get('idempotent-replayed'), 'true');
+
+    const recipe = await server.repositories.recipes.findById(recipeId);
+    assert.strictEqual(recipe.reviews.length, 1);
+  });
+});
@@ -0,0 +1,262 @@
+// Require dependencies
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser, createCatalog, createRecipe } = require('./helpers');
+
+describe('Moderation', function () {
+  let server;
+  let owner;
+  let reporters;
+  let admin;
+  let catalog;
+  let recipeId;
+
+  before(async function () {
+    server = await startServer();
+    owner = await createUser(server, 'owneruser');
+    reporters = [
+      await createUser(server, 'reporterone'),
+      await createUser(server, 'reportertwo'),
+      await createUser(server, 'reporterthree')
+    ];
+    admin = await createUser(server, 'adminuser', 'admin');
+    catalog = await createCatalog(server);
+    recipeId = await createRecipe(server, owner, catalog, { recipeName: 'Spam recipe' });
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  // Function to report a recipe (or a review if reviewId is given)
+  async function report(user, targetRecipeId, reviewId, body) {
+    const path = '/recipes/' + targetRecipeId + (reviewId ? '/reviews/' + reviewId : '') + '/reports';
+    return await server.request('POST', path, { token: user.token, body: body || { reason: 'spam' } });
+  }
+
+  it('POST /recipes/:recipe_id/reports reports a recipe once per user', async function () {
+    let response = await report(reporters[0], recipeId, null, { reason: 'boring' });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.reason);
+
+    response = await report(reporters[0], recipeId, null, { reason: 'other' });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.details);
+
+    response = await report(reporters[0], recipeId);
+    assert.strictEqual(response.status, 201);
+
+    response = await report(reporters[0], recipeId);
+    assert.strictEqual(response.status, 400);
+
+    response = await report(reporters[0], '0'.repeat(24));
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('POST', '/recipes/' + recipeId + '/reports', { body: { reason: 'spam' } });
+    assert.strictEqual(response.status, 401);
+  });
+
+  it('recipes are hidden after reaching the report threshold', async function () {
+    await server.request('POST', '/favorites', { token: admin.token, body: { recipeId: recipeId } });
+
+    await report(reporters[1], recipeId);
+    let response = await server.request('GET', '/recipes');
+    assert.strictEqual(response.body.data.count, 1);
+
+    await report(reporters[2], recipeId, null, { reason: 'other', details: 'Advertises a shop' });
+    response = await server.request('GET', '/recipes');
+    assert.strictEqual(response.body.data.count, 0);
+
+    response = await server.request('GET', '/recipes/' + recipeId);
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('GET', '/favorites', { token: admin.token });
+    assert.deepStrictEqual(response.body.data.result, []);
+    assert.strictEqual(response.body.data.count, 0);
+  });
+
+  it('GET /moderation/reports lists open reports (admin only)', async function () {
+    let response = await server.request('GET', '/moderation/reports', { token: owner.token });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('GET', '/moderation/reports?limit=2', { token: admin.token });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.count, 3);
+    assert.strictEqual(response.body.data.result[0].reason, 'other');
+    assert.deepStrictEqual(response.body.data.result[0].target, {
+      recipe_name: 'Spam recipe',
+      username: 'owneruser',
+      hidden: true
+    });
+
+    response = await server.request('GET', response.body.data.links.next, { token: admin.token });
+    assert.strictEqual(response.body.data.result.length, 1);
+
+    response = await server.request('GET', '/moderation/reports?type=review', { token: admin.token });
+    assert.strictEqual(response.body.data.count, 0);
+
+    response = await server.request('GET', '/moderation/reports?status=closed&type=user', { token: admin.token });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(Object.keys(response.body.data).sort(), ['status', 'type']);
+  });
+
+  it('PUT /moderation/reports/:report_id resolves all open reports of the content', async function () {
+    let response = await server.request('GET', '/moderation/reports', { token: admin.token });
+    const reportId = response.body.data.result[0]._id;
+
+    response = await server.request('PUT', '/moderation/reports/' + reportId, {
+      token: owner.token,
+      body: { action: 'dismiss' }
+    });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('PUT', '/moderation/reports/' + reportId, {
+      token: admin.token,
+      body: { action: 'delete' }
+    });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('PUT', '/moderation/reports/' + reportId, {
+      token: admin.token,
+      body: { action: 'dismiss', note: 'Not spam' }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.reports.modifiedCount, 3);
+    assert.strictEqual(response.body.data.target.modifiedCount, 1);
+
+    response = await server.request('GET', '/recipes');
+    assert.strictEqual(response.body.data.count, 1);
+
+    response = await server.request('PUT', '/moderation/reports/' + reportId, {
+      token: admin.token,
+      body: { action: 'hide' }
+    });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('GET', '/moderation/reports?status=resolved', { token: admin.token });
+    assert.strictEqual(response.body.data.count, 3);
+    assert.strictEqual(response.body.data.result[0].resolution, 'dismiss');
+  });
+
+  it('hidden reviews are excluded from reviews and average rating', async function () {
+    const reviewedId = await createRecipe(server, owner, catalog, { recipeName: 'Reviewed recipe' });
+    for (let [user, rating] of [[reporters[0], 5], [reporters[1], 1]]) {
+      await server.request('POST', '/recipes/' + reviewedId + '/reviews', {
+        token: user.token,
+        body: { title: 'Review', content: 'Review content', rating: rating }
+      });
+    }
+    const recipe = await server.repositories.recipes.findById(reviewedId);
+    const reviewId = recipe.reviews[1]._id.toString();
+    assert.strictEqual(recipe.average_rating, 3);
+
+    for (let user of [reporters[0], reporters[2], owner]) {
+      const response = await report(user, reviewedId, reviewId, { reason: 'abuse' });
+      assert.strictEqual(response.status, 201);
+    }
+
+    let response = await server.request('GET', '/recipes/' + reviewedId + '/reviews');
+    assert.strictEqual(response.body.data.count, 1);
+
+    response = await server.request('GET', '/recipes/' + reviewedId);
+    assert.strictEqual(response.body.data.result.average_rating, 5);
+    assert.strictEqual(response.body.data.result.reviews.length, 1);
+
+    response = await server.request('GET', '/moderation/reports?type=review', { token: admin.token });
+    assert.strictEqual(response.body.data.count, 3);
+    assert.strictEqual(response.body.data.result[0].target.title, 'Review');
+
+    response = await server.request('PUT', '/moderation/reports/' + response.body.data.result[0]._id, {
+      token: admin.token,
+      body: { action: 'hide' }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await server.repositories.reviews.findById(reviewedId, reviewId)).hidden, true);
+
+    response = await server.request('POST', '/recipes/' + reviewedId + '/reviews/' + reviewId + '/helpful', {
+      token: reporters[2].token
+    });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.review_id);
+  });
+
+  it('hidden recipes cannot be viewed, reviewed, voted for or favorited', async function () {
+    const hiddenId = await createRecipe(server, owner, catalog, { recipeName: 'Hidden recipe' });
+    await server.request('POST', '/recipes/' + hiddenId + '/reviews', {
+      token: reporters[0].token,
+      body: { title: 'Review', content: 'Review content', rating: 4 }
+    });
+    const reviewId = (await server.repositories.recipes.findById(hiddenId)).reviews[0]._id.toString();
+    let response = await server.request('POST', '/favorites/lists', { token: admin.token, body: { name: 'Hidden' } });
+    const listId = response.body.data.insertedId;
+    await server.repositories.recipes.setHidden(hiddenId, true);
+
+    for (let path of ['/ratings', '/ancestry', '/versions', '/versions/1', '/reviews']) {
+      response = await server.request('GET', '/recipes/' + hiddenId + path);
+      assert.strictEqual(response.status, 400, path);
+      assert.ok(response.body.data.recipe_id, path);
+    }
+
+    response = await server.request('POST', '/recipes/' + hiddenId + '/reviews', {
+      token: reporters[1].token,
+      body: { title: 'Review', content: 'Review content', rating: 5 }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.recipe_id);
+
+    response = await server.request('POST', '/recipes/' + hiddenId + '/reviews/' + reviewId + '/helpful', {
+      token: reporters[1].token
+    });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.recipe_id);
+
+    response = await server.request('POST', '/favorites/lists/' + listId + '/recipes', {
+      token: admin.token,
+      body: { recipeId: hiddenId }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.recipeId);
+  });
+
+  it('hidden recipes cannot be forked', async function () {
+    const hiddenId = await createRecipe(server, owner, catalog, { recipeName: 'Hidden source' });
+    await server.repositories.recipes.setHidden(hiddenId, true);
+
+    const response = await server.request('POST', '/recipes/' + hiddenId + '/fork', {
+      token: reporters[0].token,
+      body: { recipeName: 'Forked recipe' }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.recipe_id);
+
+    const forks = await server.repositories.recipes.findMany({ name: 'Forked recipe' }, 10);
+    assert.strictEqual(forks.length, 0);
+  });
+
+  it('dismissing later reports keeps content hidden by an admin', async function () {
+    const recipeId = await createRecipe(server, owner, catalog, { recipeName: 'Hidden by admin' });
+    for (let user of reporters) {
+      await report(user, recipeId);
+    }
+
+    let response = await server.request('GET', '/moderation/reports?status=open', { token: admin.token });
+    const hideReport = response.body.data.result.find((report) => report.recipe_id === recipeId);
+    response = await server.request('PUT', '/moderation/reports/' + hideReport._id, {
+      token: admin.token,
+      body: { action: 'hide' }
+    });
+    assert.strictEqual(response.status, 200);
+
+    response = await report(owner, recipeId, null, { reason: 'other', details: 'Please review again' });
+    assert.strictEqual(response.status, 201);
+    response = await server.request('PUT', '/moderation/reports/' + response.body.data.insertedId, {
+      token: admin.token,
+      body: { action: 'dismiss' }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.reports.modifiedCount, 1);
+    assert.strictEqual(response.body.data.target, null);
+
+    assert.strictEqual((await server.repositories.recipes.findById(recipeId)).hidden, true);
+  });
+});
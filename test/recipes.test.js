@@ -0,0 +1,449 @@
+// Require dependencies
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser, createCatalog, getRecipeBody, createRecipe } = require('./helpers');
+
+describe('Recipes', function () {
+  let server;
+  let owner;
+  let otherUser;
+  let admin;
+  let catalog;
+
+  before(async function () {
+    server = await startServer();
+    owner = await createUser(server, 'owneruser');
+    otherUser = await createUser(server, 'otheruser');
+    admin = await createUser(server, 'adminuser', 'admin');
+    catalog = await createCatalog(server);
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  it('POST /recipes creates a recipe with its first version', async function () {
+    const response = await server.request('POST', '/recipes', {
+      token: owner.token,
+      body: getRecipeBody(catalog)
+    });
+    assert.strictEqual(response.status, 201);
+
+    const recipe = await server.repositories.recipes.findById(response.body.data.insertedId);
+    assert.strictEqual(recipe.recipe_name, 'Morning V60');
+    assert.strictEqual(recipe.version, 1);
+    assert.strictEqual(recipe.brew_ratio, 16.7);
+    assert.strictEqual(recipe.user.username, 'owneruser');
+    assert.deepStrictEqual(recipe.reviews, []);
+
+    const versionRecord = await server.repositories.recipeVersions.findByVersion(recipe._id, 1);
+    assert.ok(versionRecord);
+  });
+
+  it('POST /recipes rejects invalid fields and missing token', async function () {
+    let response = await server.request('POST', '/recipes', {
+      token: owner.token,
+      body: getRecipeBody(catalog, { recipeName: 'V60', coffeeBeans: ['123'], totalBrewTime: 'long' })
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(Object.keys(response.body.data).sort(), ['coffeeBeans', 'recipeName', 'totalBrewTime']);
+
+    response = await server.request('POST', '/recipes', { body: getRecipeBody(catalog) });
+    assert.strictEqual(response.status, 401);
+  });
+
+  it('POST /recipes rejects text fields that are not strings', async function () {
+    const response = await server.request('POST', '/recipes', {
+      token: owner.token,
+      body: getRecipeBody(catalog, {
+        imageUrl: 1,
+        description: ['A bright pour over'],
+        grindSetting: 24,
+        coffeeRestPeriod: { days: 14 },
+        steps: [1, 2],
+        additionalIngredients: [{ name: 'Milk' }]
+      })
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(Object.keys(response.body.data).sort(), [
+      'additionalIngredients',
+      'coffeeRestPeriod',
+      'description',
+      'grindSetting',
+      'imageUrl',
+      'steps'
+    ]);
+  });
+
+  it('GET /recipes lists, filters, sorts and paginates recipes', async function () {
+    await createRecipe(server, owner, catalog, { recipeName: 'Strong Espresso', coffeeAmount: 18, waterAmount: '36 ml' });
+    await createRecipe(server, owner, catalog, { recipeName: 'Iced Pour Over', description: 'Brewed over ice' });
+
+    let response = await server.request('GET', '/recipes');
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.body.data.count >= 3);
+    const recipe = response.body.data.result[0];
+    assert.strictEqual(recipe.recipe_name, 'Iced Pour Over');
+    assert.strictEqual(recipe.brewer.model, 'V60');
+    assert.strictEqual(recipe.coffee_beans[0].name, 'Ethiopia Guji');
+    assert.strictEqual(recipe.reviews, undefined);
+    assert.deepStrictEqual(recipe.quantities.amount_of_coffee, { value: 15, unit: 'g' });
+
+    response = await server.request('GET', '/recipes?name=espresso');
+    assert.deepStrictEqual(response.body.data.result.map((r) => r.recipe_name), ['Strong Espresso']);
+
+    response = await server.request('GET', '/recipes?maxRatio=5');
+    assert.deepStrictEqual(response.body.data.result.map((r) => r.recipe_name), ['Strong Espresso']);
+
+    response = await server.request('GET', '/recipes?search=ice');
+    assert.strictEqual(response.body.data.result[0].recipe_name, 'Iced Pour Over');
+    assert.ok(response.body.data.result[0].highlights.length > 0);
+
+    response = await server.request('GET', '/recipes?brewer=' + catalog.brewer + '&beans=' + catalog.bean);
+    assert.strictEqual(response.body.data.count, 3);
+
+    response = await server.request('GET', '/recipes?units=imperial');
+    assert.strictEqual(response.body.data.result[0].quantities.amount_of_coffee.unit, 'oz');
+
+    // Pages do not overlap when following cursors
+    response = await server.request('GET', '/recipes?limit=2');
+    assert.strictEqual(response.body.data.result.length, 2);
+    const nextResponse = await server.request('GET', response.body.data.links.next);
+    assert.strictEqual(nextResponse.body.data.result.length, 1);
+    const ids = response.body.data.result.concat(nextResponse.body.data.result).map((r) => r._id);
+    assert.strictEqual(new Set(ids).size, 3);
+
+    const prevResponse = await server.request('GET', nextResponse.body.data.links.prev);
+    assert.deepStrictEqual(
+      prevResponse.body.data.result.map((r) => r._id),
+      response.body.data.result.map((r) => r._id)
+    );
+  });
+
+  it('GET /recipes rejects invalid query strings', async function () {
+    let response = await server.request('GET', '/recipes?sort=relevance');
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('GET', '/recipes?sort=random&rating=high&minRatio=abc&grinder=123');
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(Object.keys(response.body.data).sort(), ['grinder', 'minRatio', 'rating', 'sort']);
+
+    response = await server.request('GET', '/recipes?cursor=invalid');
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('GET /recipes/facets counts recipes per filter value', async function () {
+    const response = await server.request('GET', '/recipes/facets?name=espresso');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.count, 1);
+
+    const { result } = response.body.data;
+    assert.strictEqual(result.brewer[0].count, 1);
+    assert.strictEqual(result.brewer[0].record.model, 'V60');
+    assert.deepStrictEqual(result.roast_level, [{ _id: 'Light', count: 1 }]);
+    assert.deepStrictEqual(result.rating, [{ _id: 0, count: 1 }]);
+  });
+
+  it('GET /recipes/:recipe_id returns a populated recipe', async function () {
+    const recipeId = await createRecipe(server, owner, catalog);
+
+    let response = await server.request('GET', '/recipes/' + recipeId + '?temperatureUnit=F');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.result.grinder.model, 'C40');
+    assert.strictEqual(response.body.data.result.brewing_method.name, 'Pour Over');
+    assert.deepStrictEqual(response.body.data.result.quantities.water_temperature, { value: 199.4, unit: 'F' });
+
+    response = await server.request('GET', '/recipes/invalid');
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('GET', '/recipes/' + '0'.repeat(24));
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('POST /recipes/:recipe_id/access verifies ownership', async function () {
+    const recipeId = await createRecipe(server, owner, catalog);
+
+    for (let [user, expected] of [[owner, true], [otherUser, false], [admin, true]]) {
+      const response = await server.request('POST', '/recipes/' + recipeId + '/access', { token: user.token });
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.data.result, expected);
+    }
+  });
+
+  it('PUT /recipes/:recipe_id updates a recipe and saves a new version', async function () {
+    const recipeId = await createRecipe(server, owner, catalog);
+
+    let response = await server.request('PUT', '/recipes/' + recipeId, {
+      token: otherUser.token,
+      body: getRecipeBody(catalog, { recipeName: 'Stolen recipe' })
+    });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('PUT', '/recipes/' + recipeId, {
+      token: owner.token,
+      body: getRecipeBody(catalog, { recipeName: 'Evening V60', coffeeAmount: 20 })
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.matchedCount, 1);
+
+    const recipe = await server.repositories.recipes.findById(recipeId);
+    assert.strictEqual(recipe.recipe_name, 'Evening V60');
+    assert.strictEqual(recipe.version, 2);
+
+    response = await server.request('PUT', '/recipes/' + recipeId, {
+      token: admin.token,
+      body: getRecipeBody(catalog, { recipeName: 'x' })
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('GET /recipes/:recipe_id/versions lists versions with changes', async function () {
+    const recipeId = await createRecipe(server, owner, catalog);
+    await server.request('PUT', '/recipes/' + recipeId, {
+      token: owner.token,
+      body: getRecipeBody(catalog, { recipeName: 'Updated V60' })
+    });
+
+    let response = await server.request('GET', '/recipes/' + recipeId + '/versions');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.data.result.map((v) => v.version), [2, 1]);
+    assert.strictEqual(response.body.data.result[0].snapshot, undefined);
+    assert.deepStrictEqual(response.body.data.result[0].changes[0], {
+      field: 'recipe_name',
+      from: 'Morning V60',
+      to: 'Updated V60'
+    });
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/versions/1');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.result.snapshot.recipe_name, 'Morning V60');
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/versions/3');
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/versions/abc');
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('POST /recipes/:recipe_id/versions/:version/revert reverts to a previous version', async function () {
+    const recipeId = await createRecipe(server, owner, catalog);
+    await server.request('PUT', '/recipes/' + recipeId, {
+      token: owner.token,
+      body: getRecipeBody(catalog, { recipeName: 'Updated V60' })
+    });
+
+    let response = await server.request('POST', '/recipes/' + recipeId + '/versions/1/revert', {
+      token: owner.token
+    });
+    assert.strictEqual(response.status, 200);
+
+    const recipe = await server.repositories.recipes.findById(recipeId);
+    assert.strictEqual(recipe.recipe_name, 'Morning V60');
+    assert.strictEqual(recipe.version, 3);
+
+    const versionRecord = await server.repositories.recipeVersions.findByVersion(recipeId, 3);
+    assert.strictEqual(versionRecord.reverted_from, 1);
+
+    response = await server.request('POST', '/recipes/' + recipeId + '/versions/1/revert', {
+      token: owner.token
+    });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('POST', '/recipes/' + recipeId + '/versions/1/revert', {
+      token: otherUser.token
+    });
+    assert.strictEqual(response.status, 403);
+  });
+
+  it('POST /recipes/:recipe_id/fork forks a recipe with lineage', async function () {
+    const recipeId = await createRecipe(server, owner, catalog);
+
+    let response = await server.request('POST', '/recipes/' + recipeId + '/fork', {
+      token: otherUser.token,
+      body: { recipeName: 'Forked V60' }
+    });
+    assert.strictEqual(response.status, 201);
+    const forkId = response.body.data.insertedId;
+
+    response = await server.request('POST', '/recipes/' + forkId + '/fork', { token: owner.token });
+    assert.strictEqual(response.status, 201);
+    const secondForkId = response.body.data.insertedId;
+
+    const fork = await server.repositories.recipes.findById(forkId);
+    assert.strictEqual(fork.recipe_name, 'Forked V60');
+    assert.strictEqual(fork.user.username, 'otheruser');
+    assert.strictEqual(fork.forked_from.recipe_id.toString(), recipeId);
+    assert.strictEqual(fork.fork_count, 1);
+
+    const original = await server.repositories.recipes.findById(recipeId);
+    assert.strictEqual(original.fork_count, 1);
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/forks');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.data.result.map((r) => r._id), [forkId]);
+
+    response = await server.request('GET', '/recipes/' + secondForkId + '/ancestry');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.data.result.map((r) => r._id), [recipeId, forkId]);
+
+    response = await server.request('POST', '/recipes/' + recipeId + '/fork', {
+      token: otherUser.token,
+      body: { coffeeAmount: 'abc' }
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('DELETE /recipes/:recipe_id deletes a recipe with its versions and favorites', async function () {
+    const recipeId = await createRecipe(server, owner, catalog);
+    let response = await server.request('POST', '/recipes/' + recipeId + '/fork', { token: owner.token });
+    const forkId = response.body.data.insertedId;
+    await server.request('POST', '/favorites', {
+      token: otherUser.token,
+      body: { recipeId: forkId }
+    });
+
+    response = await server.request('DELETE', '/recipes/' + forkId, { token: otherUser.token });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('DELETE', '/recipes/' + forkId, { token: owner.token });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.deletedCount, 1);
+
+    assert.strictEqual(await server.repositories.recipes.findById(forkId), null);
+    assert.strictEqual(await server.repositories.recipeVersions.findByVersion(forkId, 1), null);
+    assert.strictEqual((await server.repositories.recipes.findById(recipeId)).fork_count, 0);
+    const favoriteRecord = await server.repositories.favorites.findDefaultList(otherUser._id);
+    assert.deepStrictEqual(favoriteRecord.coffee_recipes, []);
+
+    // Admin can delete recipes of other users
+    response = await server.request('DELETE', '/recipes/' + recipeId, { token: admin.token });
+    assert.strictEqual(response.status, 200);
+  });
+
+  it('GET /recipes/export exports recipes as JSON, Markdown and CSV', async function () {
+    const recipeId = await createRecipe(server, owner, catalog, {
+      recipeName: 'Exported V60',
+      description: '=HYPERLINK("https://example.com")',
+      steps: ['@Bloom for 45 s', 'Pour to 250 g']
+    });
+
+    let response = await server.request('GET', '/recipes/export?ids=' + recipeId);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.recipes.length, 1);
+    assert.strictEqual(response.body.data.recipes[0].recipe_name, 'Exported V60');
+    assert.strictEqual(response.body.data.recipes[0].brewer.model, 'V60');
+
+    response = await server.request('GET', '/recipes/export?format=csv&name=exported');
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+    assert.match(response.body, /Exported V60/);
+    // Text that spreadsheets would run as a formula is prefixed with '
+    assert.match(response.body, /,"'=HYPERLINK\(""https:\/\/example\.com""\)",/);
+    assert.match(response.body, /,'@Bloom for 45 s; Pour to 250 g,/);
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/export?format=markdown');
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /recipe-/);
+    assert.match(response.body, /# Exported V60/);
+
+    response = await server.request('GET', '/recipes/export?format=pdf&ids=abc');
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(Object.keys(response.body.data).sort(), ['format', 'ids']);
+
+    response = await server.request('GET', '/recipes/' + '0'.repeat(24) + '/export');
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('POST /recipes/import imports exported recipes', async function () {
+    const recipeId = await createRecipe(server, owner, catalog, { recipeName: 'Imported V60' });
+    const exportResponse = await server.request('GET', '/recipes/export?ids=' + recipeId);
+    const exportDocument = exportResponse.body.data;
+
+    // Catalog records that do not exist yet are created
+    exportDocument.recipes[0].brewer = { brand: 'Origami', model: 'Dripper S', type: 'Manual' };
+
+    let response = await server.request('POST', '/recipes/import', {
+      token: otherUser.token,
+      body: exportDocument
+    });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.body.data.insertedCount, 1);
+
+    const recipe = await server.repositories.recipes.findById(response.body.data.insertedIds[0]);
+    assert.strictEqual(recipe.recipe_name, 'Imported V60');
+    assert.strictEqual(recipe.user.username, 'otheruser');
+    assert.strictEqual(recipe.coffee_beans[0].toString(), catalog.bean);
+    const brewer = await server.repositories.catalogs.findById('brewers', recipe.brewer);
+    assert.strictEqual(brewer.brand, 'Origami');
+
+    response = await server.request('POST', '/recipes/import', {
+      token: otherUser.token,
+      body: { recipes: [{ recipe_name: 'Incomplete' }] }
+    });
+    assert.strictEqual(response.status, 400);
+
+    // Catalog records are not created for recipes that are rejected
+    exportDocument.recipes[0].brewer = { brand: 'Kalita', model: 'Wave 185', type: 'Manual' };
+    exportDocument.recipes[0].steps = [];
+    response = await server.request('POST', '/recipes/import', {
+      token: otherUser.token,
+      body: exportDocument
+    });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data['recipes[0]'].steps);
+    assert.strictEqual(
+      await server.repositories.catalogs.findDuplicate('brewers', { brand: 'Kalita', model: 'Wave 185' }),
+      null
+    );
+  });
+
+  it('GET /recipes/:recipe_id/scaled scales quantities to a yield or an amount of coffee', async function () {
+    const recipeId = await createRecipe(server, owner, catalog, {
+      recipeName: 'Iced V60',
+      waterAmount: '8 oz',
+      additionalIngredients: ['100 g ice', '1 1/2 tsp sugar', 'Orange peel'],
+      steps: ['Bloom for 45 s', 'Pour to 250 g']
+    });
+
+    let response = await server.request('GET', '/recipes/' + recipeId + '/scaled?yield=0.5 l');
+    assert.strictEqual(response.status, 200);
+    let recipe = response.body.data.result;
+    assert.strictEqual(response.body.data.scaling.factor, 2);
+    assert.strictEqual(recipe.amount_of_coffee, 30);
+    assert.strictEqual(recipe.amount_of_water, '16 oz');
+    assert.strictEqual(recipe.brew_yield, '500 ml');
+    assert.strictEqual(recipe.brew_ratio, 15.8);
+    assert.deepStrictEqual(recipe.additional_ingredients, ['200 g ice', '3 tsp sugar', 'Orange peel']);
+    assert.strictEqual(recipe.quantities.amount_of_water.value, 473.2);
+    assert.deepStrictEqual(
+      response.body.data.scaling.unscaled.map((value) => [value.field, value.index]),
+      [['additional_ingredients', 2], ['steps', 1]]
+    );
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/scaled?coffee=20');
+    recipe = response.body.data.result;
+    assert.strictEqual(response.body.data.scaling.factor, 1.33);
+    assert.strictEqual(recipe.amount_of_coffee, 20);
+    assert.strictEqual(recipe.brew_yield, '333 ml');
+    assert.strictEqual(recipe.additional_ingredients[1], '2 tsp sugar');
+  });
+
+  it('GET /recipes/:recipe_id/scaled rejects invalid targets', async function () {
+    const recipeId = await createRecipe(server, owner, catalog);
+
+    let response = await server.request('GET', '/recipes/' + recipeId + '/scaled');
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.scale);
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/scaled?yield=2 pints');
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.yield);
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/scaled?coffee=1000');
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.scale);
+
+    response = await server.request('GET', '/recipes/' + '0'.repeat(24) + '/scaled?coffee=30');
+    assert.strictEqual(response.status, 400);
+  });
+});
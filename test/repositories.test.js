@@ -0,0 +1,451 @@
+// Require dependencies
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { MongoClient, ObjectId } = require('mongodb');
+const MemoryRepository = require('../repositories/MemoryRepository');
+const MongoRepository = require('../repositories/MongoRepository');
+const MigrationUtil = require('../utilities/MigrationUtil');
+const PaginationUtil = require('../utilities/PaginationUtil');
+
+// Rating prior of the repositories under test (weighted rating of a recipe without reviews is 3)
+const RATING_PRIOR = { mean: 3, weight: 2 };
+
+// Backends that the same tests are run against
+// -> start() returns null, or the reason why the tests of the backend are skipped
+// -> create(options) returns { repositories, close } with empty collections for each test
+const memoryBackend = {
+  name: 'memory',
+
+  async start() {
+    return null;
+  },
+
+  async create(options) {
+    return {
+      repositories: await MemoryRepository.createRepositories(null, options),
+      close: async function () {}
+    };
+  },
+
+  async stop() {}
+};
+
+// Note: MongoDB server is given by MONGO_TEST_URI (eg. in CI, see .github/workflows/test.yml), otherwise an in-memory
+// server is started (mongodb-memory-server) and each test gets a new database with all migrations applied (dropped
+// after the test)
+// -> tests are only skipped if MONGO_TEST_URI is not set and the in-memory server cannot be started
+const mongoBackend = {
+  name: 'MongoDB',
+  server: null,
+  client: null,
+  databaseCount: 0,
+
+  async start() {
+    let uri = process.env.MONGO_TEST_URI;
+    if (!uri) {
+      try {
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        this.server = await MongoMemoryServer.create();
+        uri = this.server.getUri();
+      } catch (err) {
+        return 'MongoDB is not available, set MONGO_TEST_URI (' + err.message.split('\n')[0] + ')';
+      }
+    }
+    this.client = await MongoClient.connect(uri, { serverSelectionTimeoutMS: 10000 });
+    return null;
+  },
+
+  async create(options) {
+    const db = this.client.db('repository_test_' + process.pid + '_' + ++this.databaseCount);
+    await MigrationUtil.migrateUp(db);
+    return {
+      repositories: await MongoRepository.createRepositories(db, options),
+      close: () => db.dropDatabase()
+    };
+  },
+
+  async stop() {
+    if (this.client) {
+      await this.client.close();
+    }
+    if (this.server) {
+      await this.server.stop();
+    }
+  }
+};
+
+// Function to create the catalog records referenced by recipes
+// -> returns the IDs of { method, otherMethod, brewer, grinder, lightBean, darkBean }
+async function createCatalog(repositories) {
+  const { catalogs } = repositories;
+  const getId = (result) => result.insertedId;
+  const bean = { blend: false, variety: 'Heirloom', roaster: 'Common Man', origins: ['Ethiopia'] };
+
+  return {
+    method: getId(await catalogs.insert('methods', { name: 'Pour Over' })),
+    otherMethod: getId(await catalogs.insert('methods', { name: 'Immersion' })),
+    brewer: getId(await catalogs.insert('brewers', { brand: 'Hario', model: 'V60', type: 'Manual' })),
+    grinder: getId(await catalogs.insert('grinders', { brand: 'Comandante', model: 'C40', type: 'Manual' })),
+    lightBean: getId(await catalogs.insert('beans', { ...bean, name: 'Ethiopia Guji', roast_level: 'Light' })),
+    darkBean: getId(await catalogs.insert('beans', { ...bean, name: 'Sumatra', roast_level: 'Dark' }))
+  };
+}
+
+// Function to get a recipe with all fields required by the recipe validator (see migration 002)
+function getRecipe(catalog, fields) {
+  return {
+    recipe_name: 'Morning V60',
+    description: 'A bright and fruity pour over',
+    user: { _id: new ObjectId(), username: 'recipeuser' },
+    date: new Date('2024-01-01'),
+    total_brew_time: '3 min',
+    brew_yield: '250 ml',
+    brewing_method: catalog.method,
+    coffee_beans: [catalog.lightBean],
+    amount_of_coffee: 15,
+    grinder: catalog.grinder,
+    amount_of_water: '250 ml',
+    water_temperature: 93,
+    brewer: catalog.brewer,
+    steps: ['Bloom for 45 s', 'Pour to 250 g'],
+    reviews: [],
+    version: 1,
+    ...fields
+  };
+}
+
+// Function to get a review of a recipe by the user
+function getReview(userId, rating, date) {
+  return {
+    _id: new ObjectId(),
+    date: new Date(date),
+    title: 'Review',
+    content: 'Review content',
+    rating: rating,
+    user_id: userId,
+    username: 'reviewer'
+  };
+}
+
+// Function to get the IDs (as strings) of records
+function getIds(records) {
+  return records.map((record) => record._id.toString());
+}
+
+// Function to get the rating fields of a recipe (see RatingUtil.getRatingSummary)
+function getRatingFields(recipe) {
+  const { average_rating, weighted_rating, review_count, rating_histogram } = recipe;
+  return { average_rating, weighted_rating, review_count, rating_histogram };
+}
+
+for (let backend of [memoryBackend, mongoBackend]) {
+  describe('Repositories (' + backend.name + ')', function () {
+    let skipReason;
+    let repositories;
+    let close;
+    let catalog;
+
+    before(async function () {
+      skipReason = await backend.start();
+    });
+
+    after(async function () {
+      await backend.stop();
+    });
+
+    beforeEach(async function () {
+      if (!skipReason) {
+        ({ repositories, close } = await backend.create({ ratingPrior: RATING_PRIOR }));
+        catalog = await createCatalog(repositories);
+      }
+    });
+
+    afterEach(async function () {
+      if (!skipReason) {
+        await close();
+      }
+    });
+
+    // Function to add a test that is skipped if the backend is not available
+    function contractTest(name, fn) {
+      it(name, async function (t) {
+        if (skipReason) {
+          t.skip(skipReason);
+          return;
+        }
+        await fn();
+      });
+    }
+
+    // Function to insert a recipe
+    // -> returns the ID of the recipe (as string)
+    async function insertRecipe(fields) {
+      const result = await repositories.recipes.insert(getRecipe(catalog, fields));
+      return result.insertedId.toString();
+    }
+
+    // Function to get a page of recipes as the recipe list endpoint does
+    async function findRecipePage(query) {
+      return await repositories.recipes.findPage({}, 'date', PaginationUtil.parsePagination(query));
+    }
+
+    contractTest('recipes.findPage pages through recipes with keyset cursors', async function () {
+      const ids = [];
+      for (let date of ['2024-01-01', '2024-01-02', '2024-01-02', '2024-01-03', '2024-01-04']) {
+        ids.push(await insertRecipe({ date: new Date(date) }));
+      }
+      await repositories.recipes.setHidden(await insertRecipe({ date: new Date('2024-01-05') }), true);
+
+      // Latest first (recipes with the same date are sorted by _id)
+      const expectedIds = [ids[4], ids[3], ids[2], ids[1], ids[0]];
+
+      let page = await findRecipePage({ limit: '2' });
+      assert.strictEqual(page.count, 5);
+      assert.deepStrictEqual(getIds(page.records), expectedIds.slice(0, 2));
+      assert.strictEqual(page.prevCursor, null);
+      assert.strictEqual(page.records[0].reviews, undefined);
+
+      page = await findRecipePage({ limit: '2', cursor: page.nextCursor });
+      assert.deepStrictEqual(getIds(page.records), expectedIds.slice(2, 4));
+      const prevCursor = page.prevCursor;
+
+      page = await findRecipePage({ limit: '2', cursor: page.nextCursor });
+      assert.deepStrictEqual(getIds(page.records), expectedIds.slice(4));
+      assert.strictEqual(page.nextCursor, null);
+
+      page = await findRecipePage({ limit: '2', cursor: prevCursor });
+      assert.deepStrictEqual(getIds(page.records), expectedIds.slice(0, 2));
+      assert.strictEqual(page.prevCursor, null);
+      assert.ok(page.nextCursor);
+
+      // Pages by page number start from the same order
+      page = await findRecipePage({ limit: '2', page: '2' });
+      assert.deepStrictEqual(getIds(page.records), expectedIds.slice(2, 4));
+
+      // Cursors of another sort order are rejected
+      const ratingCursor = PaginationUtil.parsePagination({ limit: '2', cursor: prevCursor });
+      assert.strictEqual(await repositories.recipes.findPage({}, 'rating', ratingCursor), null);
+    });
+
+    contractTest('recipes.getFacets counts visible recipes per value', async function () {
+      const reviewedId = await insertRecipe({ coffee_beans: [catalog.lightBean, catalog.darkBean] });
+      await insertRecipe();
+      await insertRecipe({ brewing_method: catalog.otherMethod });
+      await repositories.recipes.setHidden(await insertRecipe({ brewing_method: catalog.otherMethod }), true);
+      await repositories.reviews.insert(reviewedId, getReview(new ObjectId(), 5, '2024-02-01'));
+
+      const facets = await repositories.recipes.getFacets({});
+      assert.strictEqual(facets.count, 3);
+
+      assert.deepStrictEqual(
+        facets.brewing_method.map((facet) => [facet._id.toString(), facet.count, facet.record.name]),
+        [
+          [catalog.method.toString(), 2, 'Pour Over'],
+          [catalog.otherMethod.toString(), 1, 'Immersion']
+        ]
+      );
+      assert.deepStrictEqual(
+        facets.coffee_beans.map((facet) => [facet._id.toString(), facet.count]),
+        [
+          [catalog.lightBean.toString(), 3],
+          [catalog.darkBean.toString(), 1]
+        ]
+      );
+      assert.strictEqual(facets.brewer[0].count, 3);
+      assert.strictEqual(facets.brewer[0].record.model, 'V60');
+      assert.deepStrictEqual(facets.roast_level, [
+        { _id: 'Light', count: 3 },
+        { _id: 'Dark', count: 1 }
+      ]);
+      assert.deepStrictEqual(facets.rating, [
+        { _id: 0, count: 2 },
+        { _id: 5, count: 1 }
+      ]);
+    });
+
+    contractTest('reviews recalculate rating fields of their recipe', async function () {
+      const recipeId = await insertRecipe();
+      const users = [new ObjectId(), new ObjectId()];
+
+      let result = await repositories.reviews.insert(recipeId, getReview(users[0], 5, '2024-02-01'));
+      assert.strictEqual(result.modifiedCount, 1);
+      await repositories.reviews.insert(recipeId, getReview(users[1], 2, '2024-02-02'));
+
+      let recipe = await repositories.recipes.findById(recipeId);
+      const reviewIds = getIds(recipe.reviews);
+      assert.strictEqual(recipe.reviews[0].recipe_version, 1);
+      assert.deepStrictEqual(getRatingFields(recipe), {
+        average_rating: 3.5,
+        weighted_rating: 3.25,
+        review_count: 2,
+        rating_histogram: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 1 }
+      });
+
+      await repositories.reviews.update(recipeId, reviewIds[1], { rating: 4 });
+      recipe = await repositories.recipes.findById(recipeId);
+      assert.strictEqual(recipe.average_rating, 4.5);
+      assert.strictEqual(recipe.weighted_rating, 3.75);
+
+      // Hidden reviews are not counted
+      await repositories.reviews.setHidden(recipeId, reviewIds[0], true);
+      recipe = await repositories.recipes.findById(recipeId);
+      assert.deepStrictEqual(getRatingFields(recipe), {
+        average_rating: 4,
+        weighted_rating: 3.33,
+        review_count: 1,
+        rating_histogram: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 0 }
+      });
+
+      await repositories.reviews.delete(recipeId, reviewIds[1]);
+      recipe = await repositories.recipes.findById(recipeId);
+      assert.strictEqual(recipe.reviews.length, 1);
+      assert.strictEqual(recipe.average_rating, 0);
+      assert.strictEqual(recipe.weighted_rating, 3);
+      assert.strictEqual(recipe.review_count, 0);
+    });
+
+    contractTest('recipes.findWithLatestReviews keeps all recipe fields', async function () {
+      const recipeId = await insertRecipe();
+      const reviews = [
+        getReview(new ObjectId(), 5, '2024-02-01'),
+        getReview(new ObjectId(), 4, '2024-02-02'),
+        getReview(new ObjectId(), 3, '2024-02-03'),
+        getReview(new ObjectId(), 2, '2024-02-04')
+      ];
+      for (let review of reviews) {
+        await repositories.reviews.insert(recipeId, review);
+      }
+      await repositories.reviews.setHidden(recipeId, reviews[3]._id, true);
+
+      const recipe = await repositories.recipes.findWithLatestReviews(recipeId, 2);
+      const { reviews: allReviews, ...fields } = await repositories.recipes.findById(recipeId);
+      const { reviews: latestReviews, ...latestFields } = recipe;
+      assert.deepStrictEqual(latestFields, fields);
+      assert.strictEqual(latestFields.recipe_name, 'Morning V60');
+      assert.strictEqual(allReviews.length, 4);
+
+      // Latest reviews that are not hidden (oldest first)
+      assert.deepStrictEqual(getIds(latestReviews), getIds(reviews.slice(1, 3)));
+
+      assert.strictEqual(await repositories.recipes.findWithLatestReviews(new ObjectId(), 2), null);
+    });
+
+    contractTest('reviews.insert allows one review per user', async function () {
+      const recipeId = await insertRecipe();
+      const userId = new ObjectId();
+      await repositories.reviews.insert(recipeId, getReview(userId, 5, '2024-02-01'));
+
+      let result = await repositories.reviews.insert(recipeId, getReview(userId, 1, '2024-02-02'));
+      assert.strictEqual(result.matchedCount, 0);
+
+      // User ID may be given as a string
+      result = await repositories.reviews.insert(recipeId, getReview(userId.toString(), 1, '2024-02-02'));
+      assert.strictEqual(result.matchedCount, 0);
+
+      const recipe = await repositories.recipes.findById(recipeId);
+      assert.strictEqual(recipe.reviews.length, 1);
+      assert.strictEqual(recipe.average_rating, 5);
+
+      result = await repositories.reviews.insert(new ObjectId(), getReview(userId, 5, '2024-02-01'));
+      assert.strictEqual(result.matchedCount, 0);
+    });
+
+    contractTest('reviews.findPage sorts, filters and counts visible reviews', async function () {
+      const recipeId = await insertRecipe();
+      const reviews = [
+        getReview(new ObjectId(), 5, '2024-02-01'),
+        getReview(new ObjectId(), 3, '2024-02-02'),
+        getReview(new ObjectId(), 5, '2024-02-03'),
+        getReview(new ObjectId(), 1, '2024-02-04')
+      ];
+      for (let review of reviews) {
+        await repositories.reviews.insert(recipeId, review);
+      }
+      await repositories.reviews.setHidden(recipeId, reviews[3]._id, true);
+      const reviewIds = getIds(reviews);
+
+      // Reviews with the same rating are sorted by newest first
+      let page = await repositories.reviews.findPage(recipeId, { sort: 'highest' }, 0, 2);
+      assert.strictEqual(page.count, 3);
+      assert.deepStrictEqual(getIds(page.reviews), [reviewIds[2], reviewIds[0]]);
+      assert.strictEqual(page.reviews[0].helpful_count, 0);
+
+      page = await repositories.reviews.findPage(recipeId, { sort: 'newest', ratings: [3, 5] }, 1, 5);
+      assert.strictEqual(page.count, 3);
+      assert.deepStrictEqual(getIds(page.reviews), [reviewIds[1], reviewIds[0]]);
+
+      page = await repositories.reviews.findPage(recipeId, { sort: 'lowest', ratings: [1] }, 0, 5);
+      assert.deepStrictEqual(page, { reviews: [], count: 0 });
+
+      assert.strictEqual(await repositories.reviews.findPage(new ObjectId(), { sort: 'newest' }, 0, 5), null);
+    });
+
+    contractTest('recipes.recomputeRatings restores rating fields and can be run again', async function () {
+      const recipeId = await insertRecipe();
+      await repositories.reviews.insert(recipeId, getReview(new ObjectId(), 5, '2024-02-01'));
+      await repositories.reviews.insert(recipeId, getReview(new ObjectId(), 2, '2024-02-02'));
+      const expected = getRatingFields(await repositories.recipes.findById(recipeId));
+
+      await repositories.recipes.update(recipeId, { average_rating: 0, weighted_rating: 0, review_count: 0 });
+
+      for (let i = 0; i < 2; i++) {
+        const result = await repositories.recipes.recomputeRatings();
+        assert.strictEqual(result.matchedCount, 1);
+        assert.deepStrictEqual(getRatingFields(await repositories.recipes.findById(recipeId)), expected);
+      }
+    });
+
+    contractTest('users.insert allows each email once', async function () {
+      const user = { username: 'firstuser', email: 'user@example.com', password: 'hash', role: 'user' };
+      assert.ok(await repositories.users.insert({ ...user }));
+      assert.strictEqual(await repositories.users.insert({ ...user, username: 'seconduser' }), null);
+      assert.strictEqual((await repositories.users.findByEmail('user@example.com')).username, 'firstuser');
+    });
+
+    contractTest('tokens.revoke revokes a token until it expires', async function () {
+      await repositories.tokens.revoke('revoked-token', new Date(Date.now() + 60 * 60 * 1000));
+      assert.strictEqual(await repositories.tokens.isRevoked('revoked-token'), true);
+      assert.strictEqual(await repositories.tokens.isRevoked('other-token'), false);
+    });
+
+    contractTest('brewLogs.countUsingRecord counts brews that reference a catalog record', async function () {
+      // Brew with all fields required by the brew log validator (see migration 008)
+      await repositories.brewLogs.insert({
+        recipe_id: await insertRecipe(),
+        recipe_version: 1,
+        user_id: new ObjectId(),
+        bean: catalog.darkBean,
+        grinder: catalog.grinder,
+        grind_setting: '24 clicks',
+        amount_of_coffee: 15,
+        brew_time: '3 min',
+        brew_time_seconds: 180,
+        brew_yield: '250 ml',
+        brew_yield_ml: 250,
+        yield_ratio: 16.7,
+        date: new Date()
+      });
+
+      assert.strictEqual(await repositories.brewLogs.countUsingRecord('beans', catalog.darkBean), 1);
+      assert.strictEqual(await repositories.brewLogs.countUsingRecord('beans', catalog.lightBean), 0);
+      assert.strictEqual(await repositories.brewLogs.countUsingRecord('grinders', catalog.grinder), 1);
+      assert.strictEqual(await repositories.brewLogs.countUsingRecord('brewers', catalog.brewer), 0);
+    });
+
+    contractTest('idempotencyKeys.insert allows each key once per user', async function () {
+      const userId = new ObjectId();
+      const record = { user_id: userId, key: 'submit-1', request_hash: 'hash', response: null, date: new Date() };
+
+      assert.ok(await repositories.idempotencyKeys.insert({ ...record }));
+      assert.strictEqual(await repositories.idempotencyKeys.insert({ ...record }), null);
+      assert.ok(await repositories.idempotencyKeys.insert({ ...record, user_id: new ObjectId() }));
+
+      const keyRecord = await repositories.idempotencyKeys.findByKey(userId, 'submit-1');
+      await repositories.idempotencyKeys.saveResponse(keyRecord._id, { status: 201, body: { status: 'success' } });
+      assert.deepStrictEqual((await repositories.idempotencyKeys.findByKey(userId, 'submit-1')).response, {
+        status: 201,
+        body: { status: 'success' }
+      });
+    });
+  });
+}
@@ -0,0 +1,263 @@
+// Require dependencies
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser, createCatalog, createRecipe } = require('./helpers');
+
+describe('Reviews', function () {
+  let server;
+  let reviewer;
+  let otherUser;
+  let extraUsers;
+  let admin;
+  let recipeId;
+
+  before(async function () {
+    server = await startServer();
+    reviewer = await createUser(server, 'revieweruser');
+    otherUser = await createUser(server, 'otheruser');
+    extraUsers = [await createUser(server, 'extrauserone'), await createUser(server, 'extrausertwo')];
+    admin = await createUser(server, 'adminuser', 'admin');
+    recipeId = await createRecipe(server, otherUser, await createCatalog(server));
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  // Function to add a review to the recipe and return its ID
+  async function addReview(user, rating) {
+    await server.request('POST', '/recipes/' + recipeId + '/reviews', {
+      token: user.token,
+      body: { title: 'Great recipe', content: 'Sweet and balanced cup', rating: rating }
+    });
+    const recipe = await server.repositories.recipes.findById(recipeId);
+    return recipe.reviews[recipe.reviews.length - 1]._id.toString();
+  }
+
+  it('POST /recipes/:recipe_id/reviews adds a review and updates average rating', async function () {
+    let response = await server.request('POST', '/recipes/' + recipeId + '/reviews', {
+      token: reviewer.token,
+      body: { title: 'Great recipe', content: 'Sweet and balanced cup', rating: '4' }
+    });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.body.data.matchedCount, 1);
+
+    await addReview(otherUser, 5);
+
+    const recipe = await server.repositories.recipes.findById(recipeId);
+    assert.strictEqual(recipe.average_rating, 4.5);
+    assert.strictEqual(recipe.reviews[0].rating, 4);
+    assert.strictEqual(recipe.reviews[0].recipe_version, 1);
+    assert.strictEqual(recipe.reviews[0].username, 'revieweruser');
+  });
+
+  it('POST /recipes/:recipe_id/reviews allows one review per user', async function () {
+    const response = await server.request('POST', '/recipes/' + recipeId + '/reviews', {
+      token: reviewer.token,
+      body: { title: 'Even better', content: 'Second cup was sweeter', rating: 5 }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.review);
+
+    const recipe = await server.repositories.recipes.findById(recipeId);
+    assert.strictEqual(recipe.reviews.length, 2);
+    assert.strictEqual(recipe.average_rating, 4.5);
+  });
+
+  it('POST /recipes/:recipe_id/reviews rejects invalid reviews', async function () {
+    let response = await server.request('POST', '/recipes/' + recipeId + '/reviews', {
+      token: reviewer.token,
+      body: { title: 'Bad', content: '', rating: 6 }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(Object.keys(response.body.data).sort(), ['content', 'rating', 'title']);
+
+    response = await server.request('POST', '/recipes/' + '0'.repeat(24) + '/reviews', {
+      token: reviewer.token,
+      body: { title: 'Great recipe', content: 'Sweet and balanced cup', rating: 4 }
+    });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('POST', '/recipes/' + recipeId + '/reviews', {
+      body: { title: 'Great recipe', content: 'Sweet and balanced cup', rating: 4 }
+    });
+    assert.strictEqual(response.status, 401);
+  });
+
+  it('GET /recipes/:recipe_id/reviews lists reviews (newest first)', async function () {
+    let response = await server.request('GET', '/recipes/' + recipeId + '/reviews?limit=1');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.count, 2);
+    assert.strictEqual(response.body.data.result[0].username, 'otheruser');
+
+    response = await server.request('GET', response.body.data.links.next);
+    assert.strictEqual(response.body.data.result[0].username, 'revieweruser');
+    assert.strictEqual(response.body.data.next_cursor, null);
+
+    response = await server.request('GET', '/recipes/' + '0'.repeat(24) + '/reviews');
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('PUT /recipes/:recipe_id/reviews/:review_id updates a review', async function () {
+    const reviewId = await addReview(extraUsers[0], 1);
+
+    let response = await server.request('PUT', '/recipes/' + recipeId + '/reviews/' + reviewId, {
+      token: otherUser.token,
+      body: { title: 'Changed title', content: 'Changed content', rating: 5 }
+    });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('PUT', '/recipes/' + recipeId + '/reviews/' + reviewId, {
+      token: extraUsers[0].token,
+      body: { title: 'Changed title', content: 'Changed content', rating: 2 }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.modifiedCount, 1);
+
+    const review = await server.repositories.reviews.findById(recipeId, reviewId);
+    assert.strictEqual(review.title, 'Changed title');
+    assert.strictEqual(review.rating, 2);
+    assert.ok(review.date_modified);
+
+    const recipe = await server.repositories.recipes.findById(recipeId);
+    assert.strictEqual(recipe.average_rating, 3.7);
+
+    response = await server.request('PUT', '/recipes/' + recipeId + '/reviews/' + '0'.repeat(24), {
+      token: reviewer.token,
+      body: { title: 'Changed title', content: 'Changed content', rating: 2 }
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('DELETE /recipes/:recipe_id/reviews/:review_id deletes a review', async function () {
+    const reviewId = await addReview(extraUsers[1], 1);
+
+    let response = await server.request('DELETE', '/recipes/' + recipeId + '/reviews/' + reviewId, {
+      token: otherUser.token
+    });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('DELETE', '/recipes/' + recipeId + '/reviews/' + reviewId, {
+      token: admin.token
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await server.repositories.reviews.findById(recipeId, reviewId), null);
+
+    response = await server.request('DELETE', '/recipes/' + recipeId + '/reviews/invalid', {
+      token: admin.token
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('GET /recipes/:recipe_id/reviews sorts and filters reviews by rating', async function () {
+    let response = await server.request('GET', '/recipes/' + recipeId + '/reviews?sort=highest');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.data.result.map((review) => review.rating), [5, 4, 2]);
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/reviews?sort=lowest');
+    assert.deepStrictEqual(response.body.data.result.map((review) => review.rating), [2, 4, 5]);
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/reviews?rating=4,5&limit=1');
+    assert.strictEqual(response.body.data.count, 2);
+    assert.strictEqual(response.body.data.result[0].rating, 5);
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/reviews?sort=oldest&rating=6');
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(Object.keys(response.body.data).sort(), ['rating', 'sort']);
+  });
+
+  it('POST /recipes/:recipe_id/reviews/:review_id/helpful votes once per user', async function () {
+    const recipe = await server.repositories.recipes.findById(recipeId);
+    const reviewId = recipe.reviews[0]._id.toString();
+    const votePath = '/recipes/' + recipeId + '/reviews/' + reviewId + '/helpful';
+
+    let response = await server.request('POST', votePath, { token: admin.token });
+    assert.strictEqual(response.status, 201);
+
+    response = await server.request('POST', votePath, { token: admin.token });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('POST', votePath, { token: reviewer.token });
+    assert.strictEqual(response.status, 403);
+
+    response = await server.request('POST', votePath, { token: otherUser.token });
+    assert.strictEqual(response.status, 201);
+
+    response = await server.request('DELETE', votePath, { token: admin.token });
+    assert.strictEqual(response.status, 200);
+
+    response = await server.request('DELETE', votePath, { token: admin.token });
+    assert.strictEqual(response.status, 400);
+
+    response = await server.request('GET', '/recipes/' + recipeId + '/reviews?sort=helpful');
+    const review = response.body.data.result[0];
+    assert.strictEqual(review._id, reviewId);
+    assert.strictEqual(review.helpful_count, 1);
+    assert.strictEqual(review.helpful_votes, undefined);
+
+    response = await server.request('POST', '/recipes/' + recipeId + '/reviews/' + '0'.repeat(24) + '/helpful', {
+      token: admin.token
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('GET /recipes/:recipe_id includes only the latest reviews', async function () {
+    await addReview(admin, 3);
+
+    const response = await server.request('GET', '/recipes/' + recipeId);
+    const recipe = response.body.data.result;
+    assert.strictEqual(recipe.reviews.length, 3);
+    assert.strictEqual(recipe.reviews[0].username, 'adminuser');
+    assert.strictEqual(recipe.review_count, 4);
+
+    await server.request('DELETE', '/recipes/' + recipeId + '/reviews/' + recipe.reviews[0]._id, {
+      token: admin.token
+    });
+  });
+
+  it('GET /recipes/:recipe_id/ratings returns the rating distribution', async function () {
+    let response = await server.request('GET', '/recipes/' + recipeId + '/ratings');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.data.result, {
+      average_rating: 3.7,
+      weighted_rating: 3.25, // (5 * 3 + 4 + 5 + 2) / (5 + 3) with the default prior
+      review_count: 3,
+      rating_histogram: { 1: 0, 2: 1, 3: 0, 4: 1, 5: 1 }
+    });
+
+    response = await server.request('GET', '/recipes/' + recipeId);
+    assert.strictEqual(response.body.data.result.review_count, 3);
+    assert.strictEqual(response.body.data.result.rating_histogram['2'], 1);
+
+    response = await server.request('GET', '/recipes/' + '0'.repeat(24) + '/ratings');
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('GET /recipes?sort=rating ranks recipes by weighted rating', async function () {
+    const catalog = await createCatalog(server);
+    const popularId = await createRecipe(server, otherUser, catalog, { recipeName: 'Popular recipe' });
+    const newId = await createRecipe(server, otherUser, catalog, { recipeName: 'New recipe' });
+
+    // Single 5 star review does not outrank several high reviews
+    for (let [user, rating] of [[reviewer, 5], [otherUser, 5], [admin, 4]]) {
+      await server.request('POST', '/recipes/' + popularId + '/reviews', {
+        token: user.token,
+        body: { title: 'Great recipe', content: 'Sweet and balanced cup', rating: rating }
+      });
+    }
+    await server.request('POST', '/recipes/' + newId + '/reviews', {
+      token: reviewer.token,
+      body: { title: 'Great recipe', content: 'Sweet and balanced cup', rating: 5 }
+    });
+
+    const response = await server.request('GET', '/recipes?sort=rating');
+    const recipes = response.body.data.result;
+    assert.deepStrictEqual(
+      recipes.map((recipe) => recipe.recipe_name),
+      ['Popular recipe', 'New recipe', 'Morning V60']
+    );
+    assert.strictEqual(recipes[1].average_rating, 5);
+    assert.strictEqual(recipes[0].review_count, 3);
+    assert.deepStrictEqual(recipes[0].rating_histogram, { 1: 0, 2: 0, 3: 0, 4: 1, 5: 2 });
+  });
+});
@@ -0,0 +1,168 @@
+// Require dependencies
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { PASSWORD, startServer, createUser } = require('./helpers');
+
+describe('Users', function () {
+  let server;
+
+  before(async function () {
+    server = await startServer();
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  it('GET / returns welcome message', async function () {
+    const response = await server.request('GET', '/');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body, 'Welcome to CoffeeTalk API');
+  });
+
+  it('POST /users/register creates a user', async function () {
+    const response = await server.request('POST', '/users/register', {
+      body: { username: 'newuser', email: 'newuser@example.com', password: PASSWORD }
+    });
+    assert.strictEqual(response.status, 201);
+    assert.ok(response.body.data.insertedId);
+
+    const userRecord = await server.repositories.users.findByEmail('newuser@example.com');
+    assert.strictEqual(userRecord.role, 'user');
+    assert.notStrictEqual(userRecord.password, PASSWORD);
+  });
+
+  it('POST /users/register rejects invalid and duplicate fields', async function () {
+    let response = await server.request('POST', '/users/register', {
+      body: { username: 'abc', email: 'invalid', password: 'short' }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(Object.keys(response.body.data).sort(), ['email', 'password', 'username']);
+
+    response = await server.request('POST', '/users/register', {
+      body: { username: 'newuser', email: 'newuser@example.com', password: PASSWORD }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.data.email, 'Email is already registered');
+  });
+
+  it('POST /users/register and login reject fields that are not strings', async function () {
+    for (let fields of [{ email: 123 }, { email: {} }, { username: ['newuser'] }, { password: { length: 8 } }]) {
+      const response = await server.request('POST', '/users/register', {
+        body: { username: 'otheruser', email: 'otheruser@example.com', password: PASSWORD, ...fields }
+      });
+      assert.strictEqual(response.status, 400);
+      assert.deepStrictEqual(Object.keys(response.body.data), Object.keys(fields));
+    }
+
+    const response = await server.request('POST', '/users/login', {
+      body: { email: { $ne: null }, password: PASSWORD }
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('POST /users/register and login ignore the case of emails', async function () {
+    let response = await server.request('POST', '/users/register', {
+      body: { username: 'mixeduser', email: ' Mixed.User@Example.com', password: PASSWORD }
+    });
+    assert.strictEqual(response.status, 201);
+    assert.ok(await server.repositories.users.findByEmail('mixed.user@example.com'));
+
+    response = await server.request('POST', '/users/register', {
+      body: { username: 'mixeduser', email: 'mixed.user@example.COM', password: PASSWORD }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.data.email, 'Email is already registered');
+
+    response = await server.request('POST', '/users/login', {
+      body: { email: 'MIXED.USER@example.com', password: PASSWORD }
+    });
+    assert.strictEqual(response.status, 200);
+  });
+
+  it('POST /users/login returns an access token', async function () {
+    let response = await server.request('POST', '/users/login', {
+      body: { email: 'newuser@example.com', password: PASSWORD }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.body.data.accessToken);
+
+    response = await server.request('POST', '/users/login', {
+      body: { email: 'newuser@example.com', password: 'wrongpassword1' }
+    });
+    assert.strictEqual(response.status, 401);
+
+    response = await server.request('POST', '/users/login', { body: {} });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('POST /users/logout revokes the access token', async function () {
+    const user = await createUser(server, 'logoutuser');
+
+    let response = await server.request('POST', '/users/logout', { token: user.token });
+    assert.strictEqual(response.status, 200);
+
+    response = await server.request('POST', '/users/logout', { token: user.token });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.body.data.token, 'Access token has been revoked');
+
+    response = await server.request('POST', '/users/logout');
+    assert.strictEqual(response.status, 401);
+
+    response = await server.request('POST', '/users/logout', { token: 'invalid' });
+    assert.strictEqual(response.status, 401);
+  });
+
+  it('PUT /users/preferences saves unit preferences', async function () {
+    const user = await createUser(server, 'prefuser');
+
+    let response = await server.request('PUT', '/users/preferences', {
+      token: user.token,
+      body: { units: 'imperial', temperatureUnit: 'F' }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.modifiedCount, 1);
+
+    const userRecord = await server.repositories.users.findById(user._id);
+    assert.deepStrictEqual(userRecord.preferences, { units: 'imperial', temperature_unit: 'F' });
+
+    response = await server.request('PUT', '/users/preferences', {
+      token: user.token,
+      body: { units: 'cubits', temperatureUnit: 'K' }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.data.units);
+    assert.ok(response.body.data.temperatureUnit);
+  });
+
+  // Function to start the server with environment variables (returns the finished process)
+  // Note: run outside the repository so that .env is not loaded
+  function runServer(env) {
+    return spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+      cwd: os.tmpdir(),
+      env: env,
+      encoding: 'utf8',
+      timeout: 10000
+    });
+  }
+
+  it('server does not start without TOKEN_SECRET or EMAIL_KEY_SECRET', function () {
+    // Note: exits before connecting to the database
+    let result = runServer({ MONGO_URI: 'mongodb://127.0.0.1:1' });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Missing required environment variables.*TOKEN_SECRET, EMAIL_KEY_SECRET/);
+
+    result = runServer({ MONGO_URI: 'mongodb://127.0.0.1:1', TOKEN_SECRET: 'secret' });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Missing required environment variables.*EMAIL_KEY_SECRET/);
+  });
+
+  it('server exits when it cannot start', function () {
+    const result = runServer({ MONGO_URI: 'invalid', TOKEN_SECRET: 'secret', EMAIL_KEY_SECRET: 'secret' });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /MongoParseError/);
+  });
+});
@@ -0,0 +1,69 @@
+// Require dependencies
+const UnitUtil = require('./UnitUtil');
+
+// Quantities of brews that are compared with their recipe (see getBrewSummary)
+// -> amount_of_coffee is the dose in grams, yield_ratio is grams of yield per gram of coffee (brew_ratio of recipes is
+//    millilitres of water per gram of coffee)
+const BREW_QUANTITY_FIELDS = ['amount_of_coffee', 'yield_ratio', 'brew_time_seconds', 'brew_yield_ml'];
+
+// Function to get the average of values rounded to 1 decimal place (null if there are no values)
+function getAverage(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return UnitUtil.round(values.reduce((sum, value) => sum + value, 0) / values.length, 1);
+}
+
+// Function to get the median of values rounded to 1 decimal place (null if there are no values)
+function getMedian(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return UnitUtil.round(median, 1);
+}
+
+// Function to get the values of a field of brews (brews without the field are skipped)
+function getValues(brews, field) {
+  return brews.map((brew) => brew[field]).filter((value) => typeof value === 'number');
+}
+
+// Function to get the summary of the brews logged for a recipe
+// -> recipeValues are the values of the recipe for each of BREW_QUANTITY_FIELDS (null if the recipe has no value)
+// -> returns { brew_count, user_count, quantities, average_tds, average_extraction_yield, average_score }
+//    where quantities has { recipe, average, average_deviation, typical_deviation } for each quantity
+// -> average_deviation is the average difference of brews from the recipe (eg. negative if brews are usually shorter)
+//    and typical_deviation is the median of the absolute differences (not skewed by a few unusual brews)
+// Note: deviations are null if the recipe has no value for the quantity
+function getBrewSummary(brews, recipeValues) {
+  const quantities = {};
+  for (let field of BREW_QUANTITY_FIELDS) {
+    const values = getValues(brews, field);
+    const recipeValue = typeof recipeValues[field] === 'number' ? recipeValues[field] : null;
+    const differences = recipeValue === null ? [] : values.map((value) => value - recipeValue);
+
+    quantities[field] = {
+      recipe: recipeValue,
+      average: getAverage(values),
+      average_deviation: getAverage(differences),
+      typical_deviation: getMedian(differences.map((difference) => Math.abs(difference)))
+    };
+  }
+
+  return {
+    brew_count: brews.length,
+    user_count: new Set(brews.map((brew) => brew.user_id.toString())).size,
+    quantities: quantities,
+    average_tds: getAverage(getValues(brews, 'tds')),
+    average_extraction_yield: getAverage(getValues(brews, 'extraction_yield')),
+    average_score: getAverage(getValues(brews, 'score'))
+  };
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  BREW_QUANTITY_FIELDS,
+  getBrewSummary
+}
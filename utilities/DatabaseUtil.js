@@ -0,0 +1,39 @@
+// Name of database and its collections
+// -> shared by the server and the database scripts (eg. seed.js)
+const DB_NAME = 'coffee_talk';
+const DB_COLLECTION = {
+  recipes: 'recipes',
+  favorites: 'favorites',
+  beans: 'beans',
+  grinders: 'grinders',
+  brewers: 'brewers',
+  methods: 'methods',
+  users: 'users',
+  recipeVersions: 'recipe_versions',
+  blacklistedTokens: 'blacklisted_tokens',
+  reports: 'reports',
+  idempotencyKeys: 'idempotency_keys',
+  brewLogs: 'brew_logs'
+};
+
+// Field of recipes that references each catalog collection
+const CATALOG_RECIPE_FIELD = {
+  beans: 'coffee_beans',
+  grinders: 'grinder',
+  brewers: 'brewer',
+  methods: 'brewing_method'
+};
+
+// Field of brew logs that references each catalog collection (brews do not reference brewers or methods)
+const CATALOG_BREW_LOG_FIELD = {
+  beans: 'bean',
+  grinders: 'grinder'
+};
+
+// Export constants for use in other JS files
+module.exports = {
+  DB_NAME,
+  DB_COLLECTION,
+  CATALOG_RECIPE_FIELD,
+  CATALOG_BREW_LOG_FIELD
+}
@@ -0,0 +1,226 @@
+// Formats that recipes can be exported to
+const EXPORT_FORMATS = ['json', 'markdown', 'csv'];
+
+// Version of the exported JSON document (to be increased if its structure changes)
+const EXPORT_VERSION = 1;
+
+// Columns of CSV export (one row per recipe)
+// -> lists are joined with '; ' and references are written by name
+const CSV_COLUMNS = [
+  { header: 'recipe_name', value: (recipe) => recipe.recipe_name },
+  { header: 'description', value: (recipe) => recipe.description },
+  { header: 'username', value: (recipe) => recipe.user.username },
+  { header: 'date', value: (recipe) => formatDate(recipe.date) },
+  { header: 'brewing_method', value: (recipe) => getMethodName(recipe.brewing_method) },
+  { header: 'brewer', value: (recipe) => getEquipmentName(recipe.brewer) },
+  { header: 'grinder', value: (recipe) => getEquipmentName(recipe.grinder) },
+  { header: 'grind_setting', value: (recipe) => recipe.grind_setting },
+  { header: 'coffee_beans', value: (recipe) => recipe.coffee_beans.map(getBeanName).join('; ') },
+  { header: 'coffee_rest_period', value: (recipe) => recipe.coffee_rest_period },
+  { header: 'amount_of_coffee', value: (recipe) => recipe.amount_of_coffee },
+  { header: 'amount_of_water', value: (recipe) => recipe.amount_of_water },
+  { header: 'water_temperature', value: (recipe) => recipe.water_temperature },
+  { header: 'water_temperature_unit', value: (recipe) => recipe.water_temperature_unit },
+  { header: 'brew_ratio', value: (recipe) => recipe.brew_ratio },
+  { header: 'brew_yield', value: (recipe) => recipe.brew_yield },
+  { header: 'total_brew_time', value: (recipe) => recipe.total_brew_time },
+  { header: 'additional_ingredients', value: (recipe) => recipe.additional_ingredients.join('; ') },
+  { header: 'additional_equipment', value: (recipe) => recipe.additional_equipment.join('; ') },
+  { header: 'steps', value: (recipe) => recipe.steps.join('; ') },
+  { header: 'image_url', value: (recipe) => recipe.image_url }
+];
+
+// Function to format a date as YYYY-MM-DD (null if date is not provided)
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : null;
+}
+
+// Functions to get display names of referenced records (null if record does not exist)
+function getMethodName(method) {
+  return method ? method.name : null;
+}
+
+function getEquipmentName(equipment) {
+  return equipment ? equipment.brand + ' ' + equipment.model : null;
+}
+
+function getBeanName(bean) {
+  return bean ? bean.name + ' (' + bean.roaster + ')' : null;
+}
+
+// Function to remove IDs from a referenced record so that it can be imported into another database
+// -> returns null if record does not exist
+function stripId(record) {
+  if (!record) {
+    return null;
+  }
+  const { _id, ...fields } = record;
+  return fields;
+}
+
+// Function to format a populated recipe into a portable recipe (no database IDs)
+// -> referenced beans, grinder, brewer and brewing method are embedded as records
+// -> water temperature is in degree Celsius (as stored)
+function formatExportRecipe(recipe) {
+  return {
+    recipe_name: recipe.recipe_name,
+    description: recipe.description,
+    image_url: recipe.image_url,
+    user: {
+      username: recipe.user.username
+    },
+    date: recipe.date,
+    total_brew_time: recipe.total_brew_time,
+    brew_yield: recipe.brew_yield,
+    brewing_method: stripId(recipe.brewing_method),
+    coffee_beans: recipe.coffee_beans.map(stripId).filter((bean) => bean !== null),
+    coffee_rest_period: recipe.coffee_rest_period,
+    amount_of_coffee: recipe.amount_of_coffee,
+    grinder: stripId(recipe.grinder),
+    grind_setting: recipe.grind_setting,
+    amount_of_water: recipe.amount_of_water,
+    water_temperature: recipe.water_temperature,
+    water_temperature_unit: 'C',
+    brew_ratio: recipe.brew_ratio || null,
+    additional_ingredients: recipe.additional_ingredients || [],
+    brewer: stripId(recipe.brewer),
+    additional_equipment: recipe.additional_equipment || [],
+    steps: recipe.steps || [],
+    source: {
+      recipe_id: recipe._id,
+      version: recipe.version || 1
+    }
+  };
+}
+
+// Function to build the exported JSON document for a list of populated recipes
+function buildExportDocument(recipes) {
+  return {
+    version: EXPORT_VERSION,
+    exported_at: new Date(),
+    recipes: recipes.map(formatExportRecipe)
+  };
+}
+
+// Function to render a list of portable recipes as a Markdown document
+function renderMarkdown(exportRecipes) {
+  return exportRecipes.map(renderRecipeMarkdown).join('\n---\n\n');
+}
+
+// Function to render a single portable recipe in Markdown
+function renderRecipeMarkdown(recipe) {
+  const lines = [];
+
+  lines.push('# ' + recipe.recipe_name, '');
+  lines.push('_By ' + recipe.user.username + ' on ' + formatDate(recipe.date) + '_', '');
+  if (recipe.image_url) {
+    lines.push('![' + recipe.recipe_name + '](' + recipe.image_url + ')', '');
+  }
+  lines.push(recipe.description, '');
+
+  // Brew parameters are shown as a table of label and value
+  const details = [
+    ['Brewing method', getMethodName(recipe.brewing_method)],
+    ['Brewer', getEquipmentName(recipe.brewer)],
+    ['Grinder', getEquipmentName(recipe.grinder)],
+    ['Grind setting', recipe.grind_setting],
+    ['Coffee', recipe.amount_of_coffee + ' g'],
+    ['Water', recipe.amount_of_water],
+    ['Water temperature', recipe.water_temperature + ' °' + recipe.water_temperature_unit],
+    ['Brew ratio', recipe.brew_ratio ? '1:' + recipe.brew_ratio : null],
+    ['Brew yield', recipe.brew_yield],
+    ['Total brew time', recipe.total_brew_time],
+    ['Coffee rest period', recipe.coffee_rest_period]
+  ];
+
+  lines.push('## Details', '', '| | |', '| --- | --- |');
+  for (let [label, value] of details) {
+    if (value !== null && value !== undefined && value !== '') {
+      lines.push('| ' + label + ' | ' + escapeMarkdownCell(value) + ' |');
+    }
+  }
+  lines.push('');
+
+  lines.push('## Coffee beans', '');
+  for (let bean of recipe.coffee_beans) {
+    let line = '- **' + bean.name + '** by ' + bean.roaster + ' (' + bean.roast_level + ' roast)';
+    if (bean.origins && bean.origins.length > 0) {
+      line += ', origins: ' + bean.origins.join(', ');
+    }
+    if (bean.flavor_notes && bean.flavor_notes.length > 0) {
+      line += ', flavor notes: ' + bean.flavor_notes.join(', ');
+    }
+    lines.push(line);
+  }
+  lines.push('');
+
+  if (recipe.additional_ingredients.length > 0) {
+    lines.push('## Additional ingredients', '');
+    recipe.additional_ingredients.forEach((ingredient) => lines.push('- ' + ingredient));
+    lines.push('');
+  }
+
+  if (recipe.additional_equipment.length > 0) {
+    lines.push('## Additional equipment', '');
+    recipe.additional_equipment.forEach((equipment) => lines.push('- ' + equipment));
+    lines.push('');
+  }
+
+  lines.push('## Steps', '');
+  recipe.steps.forEach((step, index) => lines.push(index + 1 + '. ' + step));
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+// Function to escape characters that would break a Markdown table cell
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+// Function to render a list of portable recipes as CSV (RFC 4180, one row per recipe)
+function renderCsv(exportRecipes) {
+  const rows = [CSV_COLUMNS.map((column) => column.header)];
+  for (let recipe of exportRecipes) {
+    rows.push(CSV_COLUMNS.map((column) => column.value(recipe)));
+  }
+  return rows.map((row) => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+// Function to quote a CSV value if it contains commas, quotes or line breaks
+// -> text starting with =, +, - or @ is prefixed with ' so that spreadsheets do not run it as a formula
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = "'" + text;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+// Function to get the content type of an export format
+function getContentType(format) {
+  return format === 'csv' ? 'text/csv; charset=utf-8' : 'text/markdown; charset=utf-8';
+}
+
+// Function to get the file name of an export download (eg. 'recipes.md')
+function getFileName(name, format) {
+  return name + (format === 'csv' ? '.csv' : '.md');
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_VERSION,
+  formatExportRecipe,
+  buildExportDocument,
+  renderMarkdown,
+  renderCsv,
+  getContentType,
+  getFileName
+}
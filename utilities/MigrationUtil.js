@@ -0,0 +1,115 @@
+// Require dependencies
+const fs = require('fs');
+const path = require('path');
+
+// Directory of migration files and collection where applied migrations are recorded
+// -> migration files are named '<version>-<name>.js' (eg. '001-normalise-legacy-documents.js')
+// and export { description, up(db), down(db) }
+const MIGRATION_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_COLLECTION = 'migrations';
+
+// Function to load all migrations sorted by version
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATION_DIR)
+    .filter((fileName) => /^\d+-.+\.js$/.test(fileName))
+    .map(function (fileName) {
+      const migration = require(path.join(MIGRATION_DIR, fileName));
+      return {
+        version: parseInt(fileName),
+        name: fileName.replace(/\.js$/, ''),
+        description: migration.description,
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+// Function to get the applied migrations recorded in the database (sorted by version)
+async function getAppliedMigrations(db) {
+  return await db
+    .collection(MIGRATION_COLLECTION)
+    .find({})
+    .sort({ version: 1 })
+    .toArray();
+}
+
+// Function to get all migrations with whether each of them has been applied
+async function getStatus(db) {
+  const applied = await getAppliedMigrations(db);
+  const appliedVersions = applied.map((migration) => migration.version);
+
+  return loadMigrations().map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    description: migration.description,
+    applied: appliedVersions.includes(migration.version)
+  }));
+}
+
+// Function to apply all pending migrations up to the target version (latest if not specified)
+// -> returns the names of the applied migrations
+async function migrateUp(db, targetVersion) {
+  const applied = await getAppliedMigrations(db);
+  const appliedVersions = applied.map((migration) => migration.version);
+
+  const pending = loadMigrations().filter(
+    (migration) =>
+      !appliedVersions.includes(migration.version) &&
+      (targetVersion === undefined || migration.version <= targetVersion)
+  );
+
+  const names = [];
+  for (let migration of pending) {
+    await migration.up(db);
+    await db.collection(MIGRATION_COLLECTION).insertOne({
+      version: migration.version,
+      name: migration.name,
+      applied_at: new Date()
+    });
+    names.push(migration.name);
+  }
+  return names;
+}
+
+// Function to revert applied migrations down to the target version (target itself is kept)
+// -> if target version is not specified, only the latest applied migration is reverted
+// -> returns the names of the reverted migrations
+async function migrateDown(db, targetVersion) {
+  const applied = await getAppliedMigrations(db);
+  if (applied.length === 0) {
+    return [];
+  }
+
+  if (targetVersion === undefined) {
+    targetVersion = applied.length > 1 ? applied[applied.length - 2].version : 0;
+  }
+
+  const migrations = loadMigrations();
+  const toRevert = applied
+    .filter((record) => record.version > targetVersion)
+    .reverse();
+
+  const names = [];
+  for (let record of toRevert) {
+    const migration = migrations.find((m) => m.version === record.version);
+    if (!migration) {
+      throw new Error('Migration file of applied migration ' + record.name + ' not found');
+    }
+    await migration.down(db);
+    await db.collection(MIGRATION_COLLECTION).deleteOne({ version: record.version });
+    names.push(migration.name);
+  }
+  return names;
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  MIGRATION_COLLECTION,
+  loadMigrations,
+  getAppliedMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown
+}
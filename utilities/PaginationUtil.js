@@ -0,0 +1,151 @@
+// Default and maximum number of records per page for all list endpoints
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Function to encode cursor data into an opaque string (base64url encoded JSON)
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+// Function to decode an opaque cursor string
+// -> returns null if cursor is invalid
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return data && typeof data === 'object' ? data : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Function to validate and format pagination query strings (page, limit and cursor)
+// -> cursor takes priority over page if both are specified
+// -> returns { page, limit, cursor, errorData }
+function parsePagination(query) {
+  let { page, limit, cursor } = query;
+  const errorData = {};
+
+  // If limit is not specified, default value is DEFAULT_LIMIT
+  if (limit === undefined) {
+    limit = DEFAULT_LIMIT;
+  } else {
+    limit = Number(limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errorData['limit'] = 'Limit must be an integer from 1 to ' + MAX_LIMIT;
+    }
+  }
+
+  // If page is not specified, default value is 1
+  if (page === undefined) {
+    page = 1;
+  } else {
+    page = Number(page);
+    if (!Number.isInteger(page) || page < 1) {
+      errorData['page'] = 'Page must be a positive integer';
+    }
+  }
+
+  // Decode cursor if specified
+  if (cursor !== undefined) {
+    cursor = decodeCursor(cursor);
+    if (!cursor) {
+      errorData['cursor'] = 'Invalid cursor';
+    }
+  } else {
+    cursor = null;
+  }
+
+  return { page, limit, cursor, errorData };
+}
+
+// Function to get the offset of the first record of a page
+// -> offset cursors are used where records cannot be sorted by a field (eg. arrays of references)
+function getOffset(pagination) {
+  if (pagination.cursor) {
+    return Number.isInteger(pagination.cursor.offset) && pagination.cursor.offset > 0
+      ? pagination.cursor.offset
+      : 0;
+  }
+  return (pagination.page - 1) * pagination.limit;
+}
+
+// Function to get offset cursors of the next and previous pages
+function getOffsetCursors(offset, limit, count) {
+  return {
+    nextCursor: offset + limit < count ? encodeCursor({ offset: offset + limit }) : null,
+    prevCursor: offset > 0 ? encodeCursor({ offset: Math.max(0, offset - limit) }) : null
+  };
+}
+
+// Function to create a keyset cursor pointing after (direction 'next') or before ('prev') a record
+// -> records are sorted by sortField and then by _id
+function createKeysetCursor(record, sortField, direction) {
+  const value = record[sortField];
+  return encodeCursor({
+    field: sortField,
+    value: value,
+    type: value instanceof Date ? 'date' : undefined,
+    id: record._id.toString(),
+    direction: direction
+  });
+}
+
+// Function to build the pagination details sent together with a list of records
+// -> path and query are of the current request (links keep all other query strings)
+function buildPageInfo(path, query, pagination, count, nextCursor, prevCursor) {
+  // Function to build a link to the same endpoint with the given cursor
+  function buildLink(cursor) {
+    if (!cursor) {
+      return null;
+    }
+    const params = new URLSearchParams(query);
+    params.delete('page');
+    params.set('cursor', cursor);
+    params.set('limit', pagination.limit);
+    return path + '?' + params.toString();
+  }
+
+  const pageInfo = {
+    count: count,
+    pages: Math.max(1, Math.ceil(count / pagination.limit)),
+    limit: pagination.limit,
+    next_cursor: nextCursor,
+    prev_cursor: prevCursor,
+    links: {
+      next: buildLink(nextCursor),
+      prev: buildLink(prevCursor)
+    }
+  };
+
+  // Page number is only known when paginating by page numbers
+  if (!pagination.cursor) {
+    pageInfo.page = pagination.page;
+  }
+
+  return pageInfo;
+}
+
+// Function to paginate an array that is already loaded in memory
+// -> returns { items, count, nextCursor, prevCursor }
+function paginateArray(items, pagination) {
+  const offset = getOffset(pagination);
+  return {
+    items: items.slice(offset, offset + pagination.limit),
+    count: items.length,
+    ...getOffsetCursors(offset, pagination.limit, items.length)
+  };
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  getOffset,
+  getOffsetCursors,
+  createKeysetCursor,
+  buildPageInfo,
+  paginateArray
+}
@@ -0,0 +1,73 @@
+// Default limits of write requests (see createRateLimiter)
+// -> each client (IP address) can make at most clientMax write requests per window,
+//    and each user (whatever client is used) at most userMax write requests per window
+// Note: clients can be shared by several users (eg. office networks) so clientMax is higher
+const DEFAULT_RATE_LIMITS = {
+  windowSeconds: 60,
+  clientMax: 60,
+  userMax: 30
+};
+
+// Function to get rate limits from configured values (eg. environment variables)
+// -> values must be positive integers, otherwise the default is used
+function getRateLimits(windowSeconds, clientMax, userMax) {
+  function getValue(value, defaultValue) {
+    value = parseInt(value);
+    return value > 0 ? value : defaultValue;
+  }
+
+  return {
+    windowSeconds: getValue(windowSeconds, DEFAULT_RATE_LIMITS.windowSeconds),
+    clientMax: getValue(clientMax, DEFAULT_RATE_LIMITS.clientMax),
+    userMax: getValue(userMax, DEFAULT_RATE_LIMITS.userMax)
+  };
+}
+
+// Function to create a rate limiter with a fixed window
+// -> each key (eg. IP address or user ID) can be hit at most max times per window
+// -> returns { hit } where hit(key) counts a hit and returns 0 if it is allowed,
+//    or the number of seconds until the key can be hit again
+// Note: hits are counted in memory, so each server process has its own counts
+function createRateLimiter(max, windowSeconds) {
+  const windowMs = windowSeconds * 1000;
+  const windows = new Map(); // Key to { count, reset } (reset is when the window ends in ms)
+  let nextCleanup = Date.now() + windowMs;
+
+  // Function to remove ended windows so that keys that are no longer used do not take up memory
+  function cleanup(now) {
+    for (let [key, window] of windows) {
+      if (window.reset <= now) {
+        windows.delete(key);
+      }
+    }
+    nextCleanup = now + windowMs;
+  }
+
+  function hit(key) {
+    const now = Date.now();
+    if (now >= nextCleanup) {
+      cleanup(now);
+    }
+
+    let window = windows.get(key);
+    if (!window || window.reset <= now) {
+      window = { count: 0, reset: now + windowMs };
+      windows.set(key, window);
+    }
+
+    if (window.count >= max) {
+      return Math.ceil((window.reset - now) / 1000);
+    }
+    window.count++;
+    return 0;
+  }
+
+  return { hit };
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  getRateLimits,
+  createRateLimiter
+}
@@ -0,0 +1,64 @@
+// Require dependencies
+const UnitUtil = require('./UnitUtil');
+
+// Star ratings that can be given in reviews
+const RATING_VALUES = [1, 2, 3, 4, 5];
+
+// Default prior of the weighted (Bayesian) rating
+// -> each recipe is rated as if it also had `weight` reviews with the `mean` rating,
+//    so that a few high ratings do not outrank many slightly lower ratings
+const DEFAULT_RATING_PRIOR = {
+  mean: 3,
+  weight: 5
+};
+
+// Function to get the prior of the weighted rating from configured values (eg. environment variables)
+// -> mean must be from 1 to 5 and weight must not be negative, otherwise the default is used
+function getRatingPrior(mean, weight) {
+  mean = parseFloat(mean);
+  weight = parseFloat(weight);
+  return {
+    mean: mean >= 1 && mean <= 5 ? mean : DEFAULT_RATING_PRIOR.mean,
+    weight: weight >= 0 ? weight : DEFAULT_RATING_PRIOR.weight
+  };
+}
+
+// Function to get the weighted rating of a recipe from the sum and number of its ratings
+// Note: a recipe without reviews has the prior mean as weighted rating (0 if prior has no weight)
+function getWeightedRating(ratingSum, reviewCount, prior) {
+  if (reviewCount + prior.weight === 0) {
+    return 0;
+  }
+  return UnitUtil.round((prior.weight * prior.mean + ratingSum) / (prior.weight + reviewCount), 2);
+}
+
+// Function to get the rating fields of a recipe from its reviews
+// -> returns { average_rating, weighted_rating, review_count, rating_histogram }
+// -> rating_histogram is the number of reviews for each star rating ('1' to '5')
+// -> hidden reviews (see moderation routes) are not counted
+// Note: ratings are converted to int since older reviews may store rating as string
+function getRatingSummary(reviews, prior) {
+  const ratings = (reviews || []).filter((review) => !review.hidden).map((review) => parseInt(review.rating));
+  const ratingSum = ratings.reduce((sum, rating) => sum + rating, 0);
+
+  const histogram = {};
+  for (let value of RATING_VALUES) {
+    histogram[value] = ratings.filter((rating) => rating === value).length;
+  }
+
+  return {
+    average_rating: ratings.length > 0 ? UnitUtil.round(ratingSum / ratings.length, 1) : 0,
+    weighted_rating: getWeightedRating(ratingSum, ratings.length, prior),
+    review_count: ratings.length,
+    rating_histogram: histogram
+  };
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  RATING_VALUES,
+  DEFAULT_RATING_PRIOR,
+  getRatingPrior,
+  getWeightedRating,
+  getRatingSummary
+}
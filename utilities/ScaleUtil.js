@@ -0,0 +1,114 @@
+// Require dependencies
+const UnitUtil = require('./UnitUtil');
+
+// Range of factors that recipes can be scaled by (eg. 0.5 for half, 2 for double)
+const SCALE_FACTOR_MIN = 0.1;
+const SCALE_FACTOR_MAX = 20;
+
+// Pattern of a text that starts with an amount (eg. '2', '1.5', '1/2' or '1 1/2')
+// followed by the rest of the text (eg. ' tsp sugar' or 'g')
+// Note: amount must not be followed by another number (eg. ranges such as '3-4 ice cubes')
+const AMOUNT_PATTERN = /^\s*(\d+\s+\d+\/\d+|\d+\/\d+|\d*\.?\d+)(?=$|\s|[a-zA-Z%])(.*)$/;
+
+// Pattern of a quantity with a unit of mass or volume (eg. 'Pour to 250 g')
+const STEP_QUANTITY_PATTERN = /\d\s*(g|kg|ml|l|oz|cups?|tbsp|tsp)\b/i;
+
+// Function to round a scaled amount sensibly for its size
+// -> whole numbers from 100 (eg. 375 ml), 1 decimal place from 10 (eg. 22.5 g), otherwise 2 decimal places (eg. 0.75 tsp)
+function roundAmount(value) {
+  if (value >= 100) {
+    return Math.round(value);
+  }
+  return UnitUtil.round(value, value >= 10 ? 1 : 2);
+}
+
+// Function to parse an amount that may include a fraction (eg. '1.5', '1/2' or '1 1/2')
+function parseAmount(text) {
+  let total = 0;
+  for (let part of text.trim().split(/\s+/)) {
+    const [numerator, denominator] = part.split('/');
+    total += denominator === undefined ? Number(numerator) : Number(numerator) / Number(denominator);
+  }
+  return total;
+}
+
+// Function to scale the amount at the start of a text (eg. '2 tsp sugar' or '250 ml')
+// -> unit and the rest of the text are kept as they are
+// -> returns the scaled text, or null if text does not start with an amount that can be scaled
+function scaleText(text, factor) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const match = text.match(AMOUNT_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const amount = parseAmount(match[1]);
+  if (!isFinite(amount) || amount <= 0) {
+    return null;
+  }
+  return roundAmount(amount * factor) + match[2];
+}
+
+// Function to scale the quantities of a recipe by a factor (recipe is changed in place)
+// -> amount_of_coffee, amount_of_water, brew_yield (and their canonical values) and
+//    amounts at the start of additional_ingredients are scaled (brew ratio stays the same)
+// -> returns the values that cannot be scaled automatically as an array of { field, index, value, reason }
+//    (index is null for fields that are not arrays)
+function scaleRecipe(recipe, factor) {
+  const unscaled = [];
+
+  recipe.amount_of_coffee = roundAmount(Number(recipe.amount_of_coffee) * factor);
+
+  // Liquid amounts keep the unit of their display string (eg. '8 oz' is scaled to '16 oz')
+  for (let [field, canonicalField] of [
+    ['amount_of_water', 'amount_of_water_ml'],
+    ['brew_yield', 'brew_yield_ml']
+  ]) {
+    const millilitres = recipe[canonicalField] || UnitUtil.parseQuantity(recipe[field], 'liquid');
+    if (millilitres) {
+      recipe[canonicalField] = UnitUtil.round(millilitres * factor, 1);
+    }
+
+    const scaledText = scaleText(recipe[field], factor);
+    if (scaledText !== null) {
+      recipe[field] = scaledText;
+    } else {
+      unscaled.push({ field: field, index: null, value: recipe[field], reason: 'Amount is not a number' });
+    }
+  }
+
+  recipe.additional_ingredients = (recipe.additional_ingredients || []).map(function (ingredient, index) {
+    const scaledText = scaleText(ingredient, factor);
+    if (scaledText === null) {
+      unscaled.push({
+        field: 'additional_ingredients',
+        index: index,
+        value: ingredient,
+        reason: 'Ingredient does not start with an amount'
+      });
+      return ingredient;
+    }
+    return scaledText;
+  });
+
+  // Quantities within steps are left to the user (eg. pour stages may not scale linearly)
+  (recipe.steps || []).forEach(function (step, index) {
+    if (typeof step === 'string' && STEP_QUANTITY_PATTERN.test(step)) {
+      unscaled.push({ field: 'steps', index: index, value: step, reason: 'Step contains a quantity' });
+    }
+  });
+
+  return unscaled;
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  SCALE_FACTOR_MIN,
+  SCALE_FACTOR_MAX,
+  roundAmount,
+  scaleText,
+  scaleRecipe
+}
@@ -0,0 +1,75 @@
+// Number of characters to show before and after the first match in a snippet
+const SNIPPET_PADDING = 40;
+
+// Function to escape characters that have special meaning in regular expressions
+// -> allows user input to be used as a literal pattern (eg. 'V60 (light roast)')
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Function to split a search string into individual search terms
+// -> quotes and negations used by MongoDB text search are removed
+function getSearchTerms(search) {
+  return search
+    .replace(/["-]/g, ' ')
+    .split(/\s+/)
+    .filter((term) => term.length > 0);
+}
+
+// Function to get a snippet of text around the first match with matches wrapped in <mark> tags
+// -> returns null if none of the terms are found in the text
+function getSnippet(text, terms) {
+  if (typeof text !== 'string' || terms.length === 0) {
+    return null;
+  }
+
+  // Match words starting with any of the terms (text search also matches other forms of a word)
+  const regex = new RegExp('\\b(' + terms.map(escapeRegex).join('|') + ')\\w*', 'gi');
+  const firstMatch = regex.exec(text);
+  if (!firstMatch) {
+    return null;
+  }
+
+  const start = Math.max(0, firstMatch.index - SNIPPET_PADDING);
+  const end = Math.min(
+    text.length,
+    firstMatch.index + firstMatch[0].length + SNIPPET_PADDING
+  );
+
+  let snippet = text.slice(start, end).replace(regex, '<mark>$&</mark>');
+  if (start > 0) {
+    snippet = '...' + snippet;
+  }
+  if (end < text.length) {
+    snippet = snippet + '...';
+  }
+  return snippet;
+}
+
+// Function to get highlighted snippets for each field that matches the search terms
+// -> fields is an object of field name to a string or an array of strings
+// -> returns an array of { field, snippet }
+function getHighlights(fields, search) {
+  const terms = getSearchTerms(search);
+  const highlights = [];
+
+  for (let field in fields) {
+    const values = Array.isArray(fields[field]) ? fields[field] : [fields[field]];
+    for (let value of values) {
+      const snippet = getSnippet(value, terms);
+      if (snippet) {
+        highlights.push({ field: field, snippet: snippet });
+      }
+    }
+  }
+
+  return highlights;
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  escapeRegex,
+  getSearchTerms,
+  getSnippet,
+  getHighlights
+}
@@ -0,0 +1,53 @@
+// Require dependencies
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Function to generate a signed access token
+// -> payload should only contain non-sensitive user details (no password)
+function generateAccessToken(payload, secret, expiresIn) {
+  const token = jwt.sign(payload, secret, {
+    expiresIn: expiresIn
+  });
+  return token;
+}
+
+// Function to verify an access token
+// -> returns the decoded payload if token is valid, otherwise returns null
+function verifyAccessToken(token, secret) {
+  try {
+    const payload = jwt.verify(token, secret);
+    return payload;
+  } catch (err) {
+    return null; // Token is either invalid or expired
+  }
+}
+
+// Function to generate a random token that cannot be guessed (eg. for share links)
+function generateRandomToken() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+// Function to generate an opaque key for an email address (HMAC-SHA256 with a server secret)
+// -> the same email always gives the same key (case and surrounding spaces are ignored),
+//    but the email cannot be recovered from the key without the secret
+function generateEmailKey(email, secret) {
+  return crypto.createHmac('sha256', secret).update(email.trim().toLowerCase()).digest('hex');
+}
+
+// Function to generate a hash of a request (SHA-256 of method, path and body)
+// -> used to check that a request repeated with the same idempotency key is the same request
+function generateRequestHash(method, path, body) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([method, path, body || null]))
+    .digest('hex');
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  generateAccessToken,
+  verifyAccessToken,
+  generateRandomToken,
+  generateEmailKey,
+  generateRequestHash
+}
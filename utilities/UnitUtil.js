@@ -0,0 +1,124 @@
+// Conversion factors from each allowed unit to its canonical unit
+// -> time is stored in seconds
+// -> liquid amounts (brew yield and water) are stored in millilitres (1 g of water is taken as 1 ml)
+// -> coffee amount is stored in grams
+const UNITS = {
+  time: {
+    s: 1,
+    sec: 1,
+    secs: 1,
+    min: 60,
+    mins: 60,
+    h: 3600,
+    hr: 3600,
+    hrs: 3600
+  },
+  liquid: {
+    ml: 1,
+    l: 1000,
+    g: 1,
+    kg: 1000,
+    oz: 29.5735, // fluid ounce
+    cup: 236.588,
+    cups: 236.588
+  }
+};
+
+const ML_PER_FLUID_OUNCE = 29.5735;
+const GRAMS_PER_OUNCE = 28.3495;
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+const TEMPERATURE_UNITS = ['C', 'F'];
+
+// Function to round a number to the given number of decimal places
+function round(value, decimalPlaces) {
+  const factor = Math.pow(10, decimalPlaces);
+  return Math.round(value * factor) / factor;
+}
+
+// Function to get the list of allowed units for a type of quantity ('time' or 'liquid')
+function getAllowedUnits(type) {
+  return Object.keys(UNITS[type]);
+}
+
+// Function to parse a display string in the format '<num> <unit>' (eg. '10 min', '200 ml')
+// -> returns the value in canonical unit, or null if string is invalid or unit is not allowed
+function parseQuantity(text, type) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const parts = text.trim().split(/\s+/);
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const amount = Number(parts[0]);
+  const factor = UNITS[type][parts[1].toLowerCase()];
+  if (!parts[0] || isNaN(amount) || amount <= 0 || !factor) {
+    return null;
+  }
+
+  // Seconds are stored as whole numbers, millilitres up to 1 decimal place
+  return type === 'time'
+    ? Math.round(amount * factor)
+    : round(amount * factor, 1);
+}
+
+// Function to convert a temperature in the given unit ('C' or 'F') to degree Celsius
+function convertToCelsius(value, unit) {
+  if (unit === 'F') {
+    return round(((value - 32) * 5) / 9, 1);
+  }
+  return value;
+}
+
+// Function to format quantities in canonical units to the preferred unit system
+// -> returns an object of { value, unit }
+function formatTime(seconds) {
+  return { value: seconds, unit: 's' };
+}
+
+function formatLiquid(millilitres, unitSystem) {
+  if (unitSystem === 'imperial') {
+    return { value: round(millilitres / ML_PER_FLUID_OUNCE, 1), unit: 'fl oz' };
+  }
+  return { value: millilitres, unit: 'ml' };
+}
+
+function formatMass(grams, unitSystem) {
+  if (unitSystem === 'imperial') {
+    return { value: round(grams / GRAMS_PER_OUNCE, 2), unit: 'oz' };
+  }
+  return { value: grams, unit: 'g' };
+}
+
+function formatTemperature(celsius, temperatureUnit) {
+  if (temperatureUnit === 'F') {
+    return { value: round((celsius * 9) / 5 + 32, 1), unit: 'F' };
+  }
+  return { value: celsius, unit: 'C' };
+}
+
+// Function to compute brew ratio as grams of water per gram of coffee (eg. 15 for 1:15)
+function computeBrewRatio(coffeeGrams, waterMillilitres) {
+  if (!coffeeGrams || !waterMillilitres) {
+    return null;
+  }
+  return round(waterMillilitres / coffeeGrams, 1);
+}
+
+// Export functions for use in other JS files
+module.exports = {
+  UNIT_SYSTEMS,
+  TEMPERATURE_UNITS,
+  round,
+  getAllowedUnits,
+  parseQuantity,
+  convertToCelsius,
+  formatTime,
+  formatLiquid,
+  formatMass,
+  formatTemperature,
+  computeBrewRatio
+}